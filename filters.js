@@ -0,0 +1,127 @@
+// Message filters that don't need a Discord connection: regexes typed by
+// moderators (AutoMod patterns and /purge regex) and the /purge matcher.
+// index.js wires them into the commands; tests import them directly.
+//
+// The bot runs every guild on one thread, so a pattern that backtracks badly
+// on a single message stalls all of them. Patterns are checked when they are
+// entered and only ever run on the first MAX_REGEX_INPUT_LENGTH characters.
+export const MAX_REGEX_LENGTH = 200;
+export const MAX_REGEX_INPUT_LENGTH = 2000;
+// Product of the optional parts and alternatives. Next to an unbounded repeat
+// every choice is retried at every position, so far fewer are allowed there.
+const MAX_REGEX_CHOICES = 256;
+const MAX_REGEX_CHOICES_WITH_REPEAT = 8;
+
+const QUANTIFIER_PATTERN = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/;
+
+function newGroup() {
+  return { quantified: false, alternatives: 1 };
+}
+
+// Compile a regex typed by a moderator, refusing the shapes that can make
+// matching slow: backreferences, a repeated group that contains a quantifier
+// or alternatives (like (a+)+ or (a|aa)*), more than one unbounded repeat
+// (like .*a.*x, which is polynomial in the message length) and too many
+// optional parts or alternatives in a row. Throws an Error explaining what is
+// wrong.
+export function compileSafeRegex(source, flags) {
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new Error(`Patterns can be at most ${MAX_REGEX_LENGTH} characters long.`);
+  }
+  if (/\\(?:[1-9]|k<)/.test(source)) {
+    throw new Error('Backreferences are not allowed.');
+  }
+
+  const regex = new RegExp(source, flags);
+
+  // Only the structure matters here: escapes and character classes are atoms
+  const groups = [newGroup()];
+  let unbounded = 0;
+  let choices = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    let closedGroup = null;
+
+    if (char === '(') {
+      groups.push(newGroup());
+      // Skip the (?: (?= (?! (?<= (?<! (?<name> prefixes
+      const prefix = source.slice(i + 1).match(/^\?(?:<[\w$]+>|<=|<!|[:=!])/);
+      if (prefix) i += prefix[0].length;
+      continue;
+    }
+    if (char === '|') {
+      groups[groups.length - 1].alternatives++;
+      continue;
+    }
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      while (++i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      choices *= closedGroup.alternatives;
+    }
+
+    const quantifier = source.slice(i + 1).match(QUANTIFIER_PATTERN);
+    if (quantifier) {
+      i += quantifier[0].length;
+      if (source[i + 1] === '?') i++; // Lazy quantifier
+
+      const [text, min, range, max] = quantifier;
+      const lower = text === '?' || text === '*' ? 0 : text === '+' ? 1 : Number(min);
+      const upper = text === '?' ? 1 : text === '*' || text === '+' || max === '' ? Infinity : Number(range ? max : min);
+
+      if (upper > 1 && closedGroup && (closedGroup.quantified || closedGroup.alternatives > 1)) {
+        throw new Error('Repeating a group that contains a quantifier or alternatives (like (a+)+ or (a|b)*) is not allowed.');
+      }
+      groups[groups.length - 1].quantified = true;
+
+      if (upper === Infinity) {
+        unbounded++;
+      } else {
+        choices *= upper - lower + 1;
+      }
+    }
+
+    // Inner quantifiers count for the enclosing group too
+    if (closedGroup?.quantified) groups[groups.length - 1].quantified = true;
+  }
+  choices *= groups[0].alternatives;
+
+  if (unbounded > 1) {
+    throw new Error('Only one unbounded repeat (*, + or {n,}) is allowed per pattern.');
+  }
+  if (choices > (unbounded ? MAX_REGEX_CHOICES_WITH_REPEAT : MAX_REGEX_CHOICES)) {
+    throw new Error('The pattern has too many optional parts or alternatives.');
+  }
+
+  return regex;
+}
+
+// Run a moderator's regex on the start of a message only
+export function testSafeRegex(regex, text) {
+  return regex.test(text.slice(0, MAX_REGEX_INPUT_LENGTH));
+}
+
+// PURGE
+export const PURGE_CONTENT_TYPES = {
+  attachments: 'Attachments',
+  links: 'Links',
+  embeds: 'Embeds'
+};
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+export function matchesPurgeFilters(message, filters) {
+  if (filters.user && message.author.id !== filters.user.id) return false;
+  if (filters.botsOnly && !message.author.bot) return false;
+  if (filters.contains && !message.content.toLowerCase().includes(filters.contains.toLowerCase())) return false;
+  if (filters.regex && !testSafeRegex(filters.regex, message.content)) return false;
+  if (filters.has === 'attachments' && message.attachments.size === 0) return false;
+  if (filters.has === 'links' && !LINK_PATTERN.test(message.content)) return false;
+  if (filters.has === 'embeds' && message.embeds.length === 0) return false;
+  return true;
+}
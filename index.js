@@ -7,19 +7,47 @@ import {
   ActionRowBuilder, 
   ButtonBuilder, 
   ButtonStyle, 
+  StringSelectMenuBuilder,
   EmbedBuilder,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
   ChannelType,
   PermissionFlagsBits,
+  Partials,
+  ThreadAutoArchiveDuration,
+  RESTJSONErrorCodes,
   Collection
 } from 'discord.js';
+import {
+  joinVoiceChannel,
+  createAudioPlayer,
+  createAudioResource,
+  entersState,
+  AudioPlayerStatus,
+  VoiceConnectionStatus,
+  NoSubscriberBehavior
+} from '@discordjs/voice';
 import dotenv from 'dotenv';
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve as resolvePath } from 'path';
 import fs from 'fs/promises';
+import { randomBytes } from 'crypto';
+import {
+  LocalFileSource,
+  HttpAudioSource,
+  MusicQueue,
+  formatDuration,
+  QUEUE_PAGE_SIZE
+} from './music.js';
+import {
+  compileSafeRegex,
+  testSafeRegex,
+  matchesPurgeFilters,
+  PURGE_CONTENT_TYPES
+} from './filters.js';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
 
 // Load environment variables
 dotenv.config();
@@ -41,67 +69,468 @@ const client = new Client({
     GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent, // Required to read message content
     GatewayIntentBits.DirectMessages
-  ]
+  ],
+  // Members who leave before being cached still trigger goodbye messages, and
+  // reaction roles keep working on messages sent before a restart
+  partials: [Partials.GuildMember, Partials.Message, Partials.Reaction, Partials.User]
 });
 
+// Resolve paths relative to this file (ES modules have no __dirname)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
 // Store important data
 const logs = [];
-let welcomeConfig = new Collection();
-let ticketConfig = new Collection();
-let cancelDmOperation = false;
+const welcomeConfig = new Collection();
+const ticketConfig = new Collection();
+const dmCampaigns = new Collection();
+const schedules = new Collection();
+const guildSettings = new Collection();
+const savedEmbeds = new Collection();
+const dmOptOuts = new Collection();
+const tickets = new Collection();
+const ticketMetrics = new Collection();
+const autoRoleConfig = new Collection();
+const pendingRoleGrants = new Collection();
+const roleMenus = new Collection();
+const verificationConfig = new Collection();
+const modCases = new Collection();
+const tempBans = new Collection();
+const warnPolicies = new Collection();
+const automodConfig = new Collection();
+const modLogConfig = new Collection();
+
+// PERSISTENCE
+// Guild settings and logs are written through to a storage backend so they
+// survive restarts and redeploys. Backends only need load() and save(state).
+
+// Stores everything in a single JSON file (default backend)
+class JsonFileBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null; // First run, nothing saved yet
+      throw error;
+    }
+  }
+
+  async save(state) {
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+
+    // Write to a temporary file first so a crash mid-write can't corrupt the store
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(state, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+// Keeps state in memory only (useful for local testing)
+class MemoryBackend {
+  constructor() {
+    this.state = null;
+  }
+
+  async load() {
+    return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+  }
+
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+const storageBackends = {
+  json: () => new JsonFileBackend(process.env.DATA_FILE || join(__dirname, 'data', 'store.json')),
+  memory: () => new MemoryBackend()
+};
+
+const storageBackendName = process.env.STORAGE_BACKEND || 'json';
+if (!storageBackends[storageBackendName]) {
+  console.error(`ERROR: Unknown STORAGE_BACKEND "${storageBackendName}". Use one of: ${Object.keys(storageBackends).join(', ')}`);
+  process.exit(1);
+}
+const storage = storageBackends[storageBackendName]();
+
+// Schema migrations, applied in order. migrations[n] upgrades a state saved
+// at version n to version n + 1. Append new entries, never edit old ones.
+const migrations = [
+  // v0 -> v1: initial schema
+  state => ({
+    welcomeConfig: {},
+    ticketConfig: {},
+    logs: [],
+    ...state
+  }),
+  // v1 -> v2: DM campaigns
+  state => ({
+    dmCampaigns: {},
+    ...state
+  }),
+  // v2 -> v3: scheduled broadcasts and per-guild settings (timezone)
+  state => ({
+    schedules: {},
+    guildSettings: {},
+    ...state
+  }),
+  // v3 -> v4: named embeds saved with /embed save
+  state => ({
+    savedEmbeds: {},
+    ...state
+  }),
+  // v4 -> v5: members who opted out of server broadcasts
+  state => ({
+    dmOptOuts: {},
+    ...state
+  }),
+  // v5 -> v6: open and archived tickets, keyed by channel ID
+  state => ({
+    tickets: {},
+    ...state
+  }),
+  // v6 -> v7: ticket response and resolution times for /ticket stats
+  state => ({
+    ticketMetrics: {},
+    ...state
+  }),
+  // v7 -> v8: join auto-roles, the rules gate and delayed role grants
+  state => ({
+    autoRoleConfig: {},
+    pendingRoleGrants: {},
+    ...state
+  }),
+  // v8 -> v9: self-assignable role menus
+  state => ({
+    roleMenus: {},
+    ...state
+  }),
+  // v9 -> v10: verification gate, account age and raid lockdown settings
+  state => ({
+    verificationConfig: {},
+    ...state
+  }),
+  // v10 -> v11: numbered moderation cases, keyed by guild ID and case number
+  state => ({
+    modCases: {},
+    ...state
+  }),
+  // v11 -> v12: temporary bans waiting to be lifted, keyed by guild and user ID
+  state => ({
+    tempBans: {},
+    ...state
+  }),
+  // v12 -> v13: automatic punishments once members reach a number of warnings
+  state => ({
+    warnPolicies: {},
+    ...state
+  }),
+  // v13 -> v14: AutoMod rules, filter lists and exemptions
+  state => ({
+    automodConfig: {},
+    ...state
+  }),
+  // v14 -> v15: mod-log channel and event categories
+  state => ({
+    modLogConfig: {},
+    ...state
+  })
+];
+const STORAGE_SCHEMA_VERSION = migrations.length;
+
+// Collections saved as plain objects keyed by their Collection key
+const persistedCollections = {
+  welcomeConfig,
+  ticketConfig,
+  dmCampaigns,
+  schedules,
+  guildSettings,
+  savedEmbeds,
+  dmOptOuts,
+  tickets,
+  ticketMetrics,
+  autoRoleConfig,
+  pendingRoleGrants,
+  roleMenus,
+  verificationConfig,
+  modCases,
+  tempBans,
+  warnPolicies,
+  automodConfig,
+  modLogConfig
+};
+
+let stateLoaded = false;
+let saveQueue = Promise.resolve();
+let savePending = false;
+
+function migrateState(state) {
+  let version = state.version || 0;
+
+  if (version > STORAGE_SCHEMA_VERSION) {
+    throw new Error(`Stored data is schema v${version}, but this bot only understands up to v${STORAGE_SCHEMA_VERSION}`);
+  }
+
+  while (version < STORAGE_SCHEMA_VERSION) {
+    state = migrations[version](state);
+    version++;
+  }
+
+  state.version = version;
+  return state;
+}
+
+function serializeState() {
+  const state = { version: STORAGE_SCHEMA_VERSION, logs };
+
+  for (const [key, collection] of Object.entries(persistedCollections)) {
+    state[key] = Object.fromEntries(collection);
+  }
+
+  return state;
+}
+
+// Load saved state into the in-memory collections
+async function loadState() {
+  const saved = await storage.load();
+
+  if (saved) {
+    const savedVersion = saved.version || 0;
+    const state = migrateState(saved);
+
+    for (const [key, collection] of Object.entries(persistedCollections)) {
+      collection.clear();
+      for (const [id, value] of Object.entries(state[key] || {})) {
+        collection.set(id, value);
+      }
+    }
+
+    // Keep anything logged before the load finished after the saved history
+    logs.unshift(...state.logs);
+    logs.splice(0, Math.max(0, logs.length - 200));
+
+    stateLoaded = true;
+
+    if (savedVersion !== STORAGE_SCHEMA_VERSION) {
+      addLog('info', `Migrated stored data from schema v${savedVersion} to v${STORAGE_SCHEMA_VERSION}`);
+    }
+  } else {
+    stateLoaded = true;
+  }
+
+  await persistState();
+}
+
+// Queue a write of the current state. Writes never overlap, and calls made
+// while a write is already queued are folded into it.
+function persistState() {
+  // Never overwrite the stored data before it has been loaded
+  if (!stateLoaded) return saveQueue;
+  if (savePending) return saveQueue;
+
+  savePending = true;
+  saveQueue = saveQueue.then(async () => {
+    savePending = false;
+    try {
+      await storage.save(serializeState());
+    } catch (error) {
+      // Don't use addLog here, it would queue another save
+      console.error(`[ERROR] Failed to save bot data: ${error.message}`);
+    }
+  });
+
+  return saveQueue;
+}
+
+// DM quotas, enforced with sliding windows. A DM is only sent when the global
+// budget, the server's quota and the invoking user's quota all have room.
+// Servers can change their own hourly quotas with /dm-quotas (stored in
+// guildSettings.dmQuotas); the bot-wide budget is fixed.
+const DM_QUOTAS = {
+  global: { maxRequests: 25, timeWindow: 60000 }, // 25 DMs per minute for the whole bot
+  guild: { maxRequests: 300, timeWindow: 3600000 }, // 300 DMs per hour per server
+  user: { maxRequests: 150, timeWindow: 3600000 } // 150 DMs per hour per invoking user
+};
+const MAX_DM_QUOTA_PER_HOUR = 1500; // What the bot-wide budget allows in an hour
 
-// Collections to track rate limits for DM commands (prevent spam flagging)
+// Collections to track rate limits for DM commands (prevent spam flagging).
+// Server limiters are keyed by guild ID, user limiters by guildId:userId.
 const userRateLimits = new Collection();
-const MAX_DMS_PER_USER = 2; // Maximum DMs per user in the time window
-const TIME_WINDOW_MS = 60000; // 1 minute time window
+const guildRateLimits = new Collection();
 
-// A class to handle rate limiting for DMs
+// A sliding window rate limiter: remembers when each request in the last
+// timeWindow was made, so capacity frees up gradually instead of all at once
 class RateLimiter {
   constructor(maxRequests, timeWindow) {
     this.maxRequests = maxRequests; // Maximum allowed requests in the time window
     this.timeWindow = timeWindow; // Time window in milliseconds
-    this.tokens = maxRequests; // Available tokens (initialized to max)
-    this.lastRefill = Date.now(); // Time of last token refill
+    this.timestamps = []; // When each request in the current window was made, oldest first
   }
   
   canProceed() {
-    this._refillTokens();
-    if (this.tokens > 0) {
-      this.tokens -= 1;
+    this._pruneExpired();
+    if (this.timestamps.length < this.maxRequests) {
+      this.timestamps.push(Date.now());
       return true;
     }
     return false;
   }
   
+  get remaining() {
+    this._pruneExpired();
+    return this.maxRequests - this.timestamps.length;
+  }
+  
   getTimeUntilNextAllowed() {
-    this._refillTokens();
-    if (this.tokens > 0) return 0;
+    this._pruneExpired();
+    if (this.timestamps.length < this.maxRequests) return 0;
     
-    // Calculate time until next token refill
-    const elapsedTime = Date.now() - this.lastRefill;
-    const remainingTime = this.timeWindow - elapsedTime;
-    return remainingTime > 0 ? remainingTime : 0;
+    // The next slot opens when the request maxRequests from the end leaves the
+    // window (there can be more than maxRequests after the limit is lowered)
+    return Math.max(0, this.timestamps[this.timestamps.length - this.maxRequests] + this.timeWindow - Date.now());
+  }
+  
+  // Time until the whole window is free again
+  getTimeUntilReset() {
+    this._pruneExpired();
+    if (this.timestamps.length === 0) return 0;
+    return Math.max(0, this.timestamps[this.timestamps.length - 1] + this.timeWindow - Date.now());
   }
   
-  _refillTokens() {
+  // Earliest time (from now) by which `count` more requests could all be made
+  estimateTimeFor(count) {
+    this._pruneExpired();
     const now = Date.now();
-    const elapsedTime = now - this.lastRefill;
+    const times = [...this.timestamps];
+    let last = now;
     
-    // If time window has passed, refill tokens
-    if (elapsedTime >= this.timeWindow) {
-      this.tokens = this.maxRequests;
-      this.lastRefill = now;
+    for (let i = 0; i < count; i++) {
+      // Each request has to wait for the one maxRequests before it to expire
+      const blocker = times.length >= this.maxRequests ? times[times.length - this.maxRequests] : null;
+      last = blocker === null ? now : Math.max(now, blocker + this.timeWindow);
+      times.push(last);
+    }
+    
+    return last - now;
+  }
+  
+  _pruneExpired() {
+    const cutoff = Date.now() - this.timeWindow;
+    while (this.timestamps.length > 0 && this.timestamps[0] <= cutoff) {
+      this.timestamps.shift();
     }
   }
   
   reset() {
-    this.tokens = this.maxRequests;
-    this.lastRefill = Date.now();
+    this.timestamps = [];
   }
 }
 
 // Global rate limiter for the entire bot (to prevent Discord's anti-spam)
-const globalRateLimiter = new RateLimiter(25, 60000); // 25 DMs per minute
+const globalRateLimiter = new RateLimiter(DM_QUOTAS.global.maxRequests, DM_QUOTAS.global.timeWindow);
+
+// Reuses the limiter for a key, applying the current quota so changes made
+// with /dm-quotas take effect without forgetting recent sends
+function getOrCreateLimiter(collection, key, { maxRequests, timeWindow }) {
+  if (!collection.has(key)) {
+    collection.set(key, new RateLimiter(maxRequests, timeWindow));
+  }
+  const limiter = collection.get(key);
+  limiter.maxRequests = maxRequests;
+  limiter.timeWindow = timeWindow;
+  return limiter;
+}
+
+function getGuildDmQuotas(guildId) {
+  const custom = guildSettings.get(guildId)?.dmQuotas || {};
+  return {
+    guild: { ...DM_QUOTAS.guild, maxRequests: custom.guildPerHour || DM_QUOTAS.guild.maxRequests },
+    user: { ...DM_QUOTAS.user, maxRequests: custom.userPerHour || DM_QUOTAS.user.maxRequests }
+  };
+}
+
+// Forget limiters whose window is empty. Limiters of running campaigns are
+// kept so the campaign and a new command share the same one.
+function pruneIdleLimiters() {
+  const activeKeys = new Set();
+  for (const [guildId, operations] of activeDmOperations) {
+    activeKeys.add(guildId);
+    for (const operation of operations.values()) {
+      activeKeys.add(`${guildId}:${operation.ownerId}`);
+    }
+  }
+
+  for (const collection of [guildRateLimits, userRateLimits]) {
+    for (const [key, limiter] of collection) {
+      if (!activeKeys.has(key) && limiter.getTimeUntilReset() === 0) {
+        collection.delete(key);
+      }
+    }
+  }
+}
+
+// The limiters a DM sent on behalf of a user in a guild counts against
+function getDmLimiters(guildId, userId) {
+  pruneIdleLimiters();
+  const quotas = getGuildDmQuotas(guildId);
+  return [
+    { name: 'global', limiter: globalRateLimiter },
+    { name: 'server', limiter: getOrCreateLimiter(guildRateLimits, guildId, quotas.guild) },
+    { name: 'user', limiter: getOrCreateLimiter(userRateLimits, `${guildId}:${userId}`, quotas.user) }
+  ];
+}
+
+// Wait until every limiter has room, then take a slot from each. Returns
+// false if shouldStop() turns true while waiting.
+async function acquireDmSlot(limiters, shouldStop = () => false, onWait = () => {}) {
+  while (true) {
+    const waits = limiters.map(({ name, limiter }) => ({ name, wait: limiter.getTimeUntilNextAllowed() }));
+    const longest = waits.reduce((a, b) => (b.wait > a.wait ? b : a));
+    
+    if (longest.wait === 0) {
+      limiters.forEach(({ limiter }) => limiter.canProceed());
+      return true;
+    }
+    
+    onWait(longest);
+    
+    // Wake up at least every 5 seconds to notice cancellation
+    await new Promise(resolve => setTimeout(resolve, Math.min(longest.wait + 100, 5000)));
+    if (shouldStop()) return false;
+  }
+}
+
+// Estimated time to send `count` DMs, including the pause between batches
+function estimateDmTime(limiters, count, batchSize = 5) {
+  const batchDelays = Math.ceil(count / batchSize) * 1000;
+  return Math.max(batchDelays, ...limiters.map(({ limiter }) => limiter.estimateTimeFor(count)));
+}
+
+// Format a wait time like "1h 5m", "4m 10s" or "30s"
+function formatWait(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = totalSeconds % 60;
+  
+  const days = Math.floor(hours / 24);
+  
+  if (days > 0) return hours % 24 > 0 ? `${days}d ${hours % 24}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  if (minutes > 0) return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
+  return `${seconds}s`;
+}
+
+// Logs are saved with the rest of the state, but at most every
+// LOG_SAVE_DELAY_MS: busy DM campaigns log every message, and rewriting the
+// whole store for each line would be wasteful. Other changes that save state
+// take the pending log lines along.
+const LOG_SAVE_DELAY_MS = 30000;
+let logSaveTimer = null;
 
 // Log function
 function addLog(type, message) {
@@ -114,212 +543,5649 @@ function addLog(type, message) {
   if (logs.length > 200) {
     logs.shift();
   }
+
+  if (!logSaveTimer) {
+    logSaveTimer = setTimeout(() => {
+      logSaveTimer = null;
+      persistState();
+    }, LOG_SAVE_DELAY_MS);
+    logSaveTimer.unref();
+  }
 }
 
-// Define commands
-const commands = [
-  // Original commands with improvements
-  {
-    data: new SlashCommandBuilder()
-      .setName('dm-role')
-      .setDescription('Send a DM to all users with a specific role')
-      .addRoleOption(option => 
-        option.setName('role')
-          .setDescription('The role to send DM to')
-          .setRequired(true))
-      .addStringOption(option => 
-        option.setName('message')
-          .setDescription('The message to send')
-          .setRequired(true))
-      .addBooleanOption(option =>
-        option.setName('anonymous')
-          .setDescription('Send message anonymously (without sender info)')
-          .setRequired(false))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
-    async execute(interaction) {
-      await interaction.deferReply({ ephemeral: true });
-      
-      const role = interaction.options.getRole('role');
-      const message = interaction.options.getString('message');
-      const isAnonymous = interaction.options.getBoolean('anonymous') || false;
-      
-      // Reset cancel flag
-      cancelDmOperation = false;
-      
-      // Get guild members with the role
-      const guild = interaction.guild;
-      await guild.members.fetch();
-      
-      const membersWithRole = guild.members.cache.filter(member => 
-        member.roles.cache.has(role.id)
-      );
-      
-      if (membersWithRole.size === 0) {
-        await interaction.editReply(`No members found with the role ${role.name}`);
-        addLog('info', `No members found with role ${role.name}`);
-        return;
-      }
-      
-      // Check if we're attempting to DM too many users at once
-      if (membersWithRole.size > 50) {
-        const confirmRow = new ActionRowBuilder()
-          .addComponents(
-            new ButtonBuilder()
-              .setCustomId('confirm_mass_dm')
-              .setLabel('Confirm')
-              .setStyle(ButtonStyle.Danger),
-            new ButtonBuilder()
-              .setCustomId('cancel_mass_dm')
-              .setLabel('Cancel')
-              .setStyle(ButtonStyle.Secondary)
-          );
-        
-        const response = await interaction.editReply({
-          content: `⚠️ You're about to send DMs to **${membersWithRole.size}** members. This might trigger Discord's anti-spam system. Are you sure?`,
-          components: [confirmRow],
-          ephemeral: true
-        });
-        
-        try {
-          const confirmation = await response.awaitMessageComponent({ time: 30000 });
-          
-          if (confirmation.customId === 'cancel_mass_dm') {
-            await interaction.editReply({
-              content: 'Mass DM operation canceled.',
-              components: []
-            });
-            return;
-          }
-          
-          await confirmation.update({
-            content: `Starting to send DMs to ${membersWithRole.size} members with role ${role.name}...`,
-            components: []
-          });
-        } catch (error) {
-          await interaction.editReply({
-            content: 'Confirmation timed out. Mass DM operation canceled.',
-            components: []
-          });
-          return;
-        }
-      } else {
-        await interaction.editReply(`Starting to send DMs to ${membersWithRole.size} members with role ${role.name}...`);
-      }
-      
-      // Send DMs with rate limiting to prevent anti-spam flagging
-      let successCount = 0;
-      let failCount = 0;
-      let pendingCount = 0;
-      
-      // Create batch processing for members
-      const memberBatches = [];
-      const batchSize = 5; // Process 5 members at a time
-      
-      for (let i = 0; i < membersWithRole.size; i += batchSize) {
-        const batch = Array.from(membersWithRole.values()).slice(i, i + batchSize);
-        memberBatches.push(batch);
+// MOD LOG
+// Each guild can pick a channel that gets a structured embed (actor, target,
+// reason, case number) for moderation and bot activity. Every category can be
+// switched off; message edits, deletes and member leaves are noisy, so they
+// start off and have to be opted into.
+const MOD_LOG_CATEGORIES = {
+  moderation: { label: 'Moderation actions', default: true },
+  purges: { label: 'Purges', default: true },
+  tickets: { label: 'Ticket events', default: true },
+  campaigns: { label: 'DM campaigns', default: true },
+  config: { label: 'Config changes', default: true },
+  messageEdits: { label: 'Message edits', default: false },
+  messageDeletes: { label: 'Message deletes', default: false },
+  memberLeaves: { label: 'Member leaves', default: false }
+};
+
+function isModLogCategoryEnabled(config, category) {
+  return config.categories?.[category] ?? MOD_LOG_CATEGORIES[category].default;
+}
+
+// Users are shown as a mention plus their tag; anything else is used as is
+function formatModLogSubject(subject) {
+  return typeof subject === 'string' ? subject : `<@${subject.id}> (${subject.tag})`;
+}
+
+async function sendModLog(guild, category, { title, color = 0x5865F2, description, actor, target, reason, caseNumber, fields = [], files = [] }) {
+  const config = modLogConfig.get(guild.id);
+  if (!config?.channelId || !isModLogCategoryEnabled(config, category)) return;
+
+  const channel = guild.channels.cache.get(config.channelId);
+  if (!channel) return;
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(color)
+    .setFooter({ text: MOD_LOG_CATEGORIES[category].label })
+    .setTimestamp();
+
+  if (description) embed.setDescription(description.slice(0, 4096));
+  if (actor) embed.addFields({ name: 'Actor', value: formatModLogSubject(actor), inline: true });
+  if (target) embed.addFields({ name: 'Target', value: formatModLogSubject(target), inline: true });
+  if (caseNumber) embed.addFields({ name: 'Case', value: `#${caseNumber}`, inline: true });
+  if (reason) embed.addFields({ name: 'Reason', value: reason.slice(0, 1024) });
+  embed.addFields(...fields);
+
+  try {
+    await channel.send({ embeds: [embed], files });
+  } catch (error) {
+    addLog('error', `Failed to send mod log in ${guild.name}: ${error.message}`);
+  }
+}
+
+// The command as typed, e.g. "/automod rule rule:caps enabled:true"
+function describeCommand(interaction) {
+  const parts = [`/${interaction.commandName}`];
+  let options = interaction.options.data;
+
+  while (options.length === 1 && options[0].options) {
+    parts.push(options[0].name);
+    options = options[0].options;
+  }
+  for (const option of options) {
+    const value = option.channel ? `#${option.channel.name}` : option.role ? `@${option.role.name}` : option.user ? `@${option.user.tag}` : option.value;
+    parts.push(`${option.name}:${value}`);
+  }
+
+  return parts.join(' ');
+}
+
+function logConfigChange(interaction, summary) {
+  sendModLog(interaction.guild, 'config', {
+    title: '⚙️ Settings Changed',
+    color: 0x5865F2,
+    description: summary,
+    actor: interaction.user,
+    fields: [{ name: 'Command', value: `\`${describeCommand(interaction).slice(0, 1000)}\`` }]
+  });
+}
+
+function logTicketEvent(guild, ticket, action, actor, color = 0x5865F2) {
+  sendModLog(guild, 'tickets', {
+    title: `🎫 Ticket #${ticket.number} ${action}`,
+    color,
+    actor,
+    target: ticket.openerTag ? { id: ticket.openerId, tag: ticket.openerTag } : `<@${ticket.openerId}>`,
+    fields: [{ name: 'Channel', value: `<#${ticket.channelId}>`, inline: true }]
+  });
+}
+
+// TEMPLATES
+// A small template engine shared by the welcome system and /dm-role.
+// Placeholders look like {name}; unknown placeholders are left as they are.
+function renderTemplate(template, variables) {
+  return template.replace(/\{([\w.]+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(variables, key) ? String(variables[key]) : match
+  );
+}
+
+// Render every string inside an object or array (e.g. embed JSON)
+function renderTemplateDeep(value, variables) {
+  if (typeof value === 'string') return renderTemplate(value, variables);
+  if (Array.isArray(value)) return value.map(item => renderTemplateDeep(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, renderTemplateDeep(item, variables)])
+    );
+  }
+  return value;
+}
+
+// Stored embeds keep the timestamp from when they were built with /embed
+// create. Posts should show when they went out, so move it to now.
+function refreshEmbedTimestamp(embed) {
+  return embed.timestamp ? { ...embed, timestamp: new Date().toISOString() } : embed;
+}
+
+// 1 -> 1st, 2 -> 2nd, 11 -> 11th, 23 -> 23rd
+function formatOrdinal(number) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${number}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(number)]}`;
+}
+
+// Placeholders describing a member and their server
+function getMemberTemplateVariables(member) {
+  const memberCount = member.guild.memberCount;
+
+  return {
+    user: `<@${member.id}>`,
+    'user.name': member.user.username,
+    'user.displayName': member.displayName,
+    'user.tag': member.user.tag,
+    'user.id': member.id,
+    username: member.user.username,
+    displayName: member.displayName,
+    tag: member.user.tag,
+    server: member.guild.name,
+    'server.id': member.guild.id,
+    memberCount,
+    'memberCount.ordinal': formatOrdinal(memberCount)
+  };
+}
+
+// Parse "Label | https://url; Other | https://url2" into link buttons
+function parseLinkButtons(input) {
+  if (!input) return [];
+
+  const buttons = input.split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [label, url] = part.split('|').map(piece => piece.trim());
+      if (!label || !/^https?:\/\/\S+$/i.test(url || '')) {
+        throw new Error(`Invalid button \`${part}\`. Use \`Label | https://example.com\`.`);
       }
-      
-      for (const batch of memberBatches) {
-        if (cancelDmOperation) {
-          addLog('info', 'DM operation was canceled by user');
-          break;
-        }
-        
-        // Update progress every batch
-        await interaction.editReply(
-          `Processing DMs to members with role ${role.name}...\n` +
-          `✅ Sent: ${successCount}\n` +
-          `❌ Failed: ${failCount}\n` +
-          `⏳ Pending: ${membersWithRole.size - successCount - failCount}`
-        );
-        
-        // Process batch with a slight delay between each member
-        await Promise.all(batch.map(async (member) => {
-          // Wait for rate limiter to allow processing
-          while (!globalRateLimiter.canProceed()) {
-            const waitTime = globalRateLimiter.getTimeUntilNextAllowed();
-            addLog('info', `Rate limit hit, waiting ${Math.ceil(waitTime/1000)} seconds`);
-            await new Promise(resolve => setTimeout(resolve, waitTime + 100));
-            
-            if (cancelDmOperation) return;
-          }
-          
-          try {
-            // Format the message with or without sender info
-            const formattedMessage = isAnonymous 
-              ? message 
-              : `**Message from ${interaction.user.tag}**: ${message}`;
-              
-            await member.send(formattedMessage);
-            successCount++;
-            addLog('success', `Sent DM to ${member.user.tag}`);
-          } catch (error) {
-            failCount++;
-            addLog('error', `Failed to send DM to ${member.user.tag}: ${error.message}`);
-          }
-        }));
-        
-        // Small delay between batches to prevent rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      return { label: label.slice(0, 80), url };
+    });
+
+  if (buttons.length > 5) {
+    throw new Error('A message can have at most 5 link buttons.');
+  }
+
+  return buttons;
+}
+
+// AUDIENCE FILTERS
+// /dm-role audiences are role expressions such as
+// `@Staff AND (@Events OR NOT @Muted)` plus member filters (bots, member
+// age, join dates and an exclude list).
+const AUDIENCE_OPERATORS = { AND: 'and', '&&': 'and', OR: 'or', '||': 'or', NOT: 'not', '!': 'not' };
+
+function resolveAudienceRole(token, guild) {
+  const id = token.match(/^<@&(\d+)>$/)?.[1] || token.match(/^\d{17,20}$/)?.[0];
+  const name = token.replace(/^@/, '').replace(/^"|"$/g, '').toLowerCase();
+
+  const role = id
+    ? guild.roles.cache.get(id)
+    : guild.roles.cache.find(candidate => candidate.name.toLowerCase() === name);
+
+  if (!role) {
+    throw new Error(`Unknown role \`${token}\` in audience. Mention the role or quote names with spaces.`);
+  }
+
+  return role;
+}
+
+// Parse a role expression into a tree of { type: 'role' | 'and' | 'or' | 'not' } nodes.
+// NOT binds tightest, then AND, then OR; parentheses group.
+function parseAudienceExpression(input, guild) {
+  const tokens = input.match(/\(|\)|<@&\d+>|@?"[^"]*"|[^\s()]+/g) || [];
+  let position = 0;
+
+  const peekOperator = () => AUDIENCE_OPERATORS[tokens[position]?.toUpperCase()];
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peekOperator() === 'or') {
+      position++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peekOperator() === 'and') {
+      position++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (peekOperator() === 'not') {
+      position++;
+      return { type: 'not', operand: parseNot() };
+    }
+
+    const token = tokens[position++];
+
+    if (token === undefined) {
+      throw new Error('The audience expression ended unexpectedly.');
+    }
+
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[position++] !== ')') {
+        throw new Error('Missing `)` in audience expression.');
       }
-      
-      const finalStatus = cancelDmOperation 
-        ? `DM operation to role ${role.name} was canceled.\n` 
-        : `Completed sending DMs to members with role ${role.name}.\n`;
-        
-      await interaction.editReply(
-        finalStatus +
-        `✅ Successfully sent: ${successCount}\n` +
-        `❌ Failed to send: ${failCount}`
-      );
-      
-      addLog('info', `Completed DM to role ${role.name}. Success: ${successCount}, Failed: ${failCount}`);
+      return node;
     }
-  },
-  {
-    data: new SlashCommandBuilder()
-      .setName('cancel-dm')
-      .setDescription('Cancel any ongoing DM operations')
-      .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
-    async execute(interaction) {
-      cancelDmOperation = true;
-      await interaction.reply({
-        content: 'Attempting to cancel ongoing DM operations. Currently processing messages will still be sent.',
-        ephemeral: true
-      });
-      addLog('info', `${interaction.user.tag} requested to cancel DM operations`);
+
+    if (token === ')' || AUDIENCE_OPERATORS[token.toUpperCase()]) {
+      throw new Error(`Unexpected \`${token}\` in audience expression.`);
+    }
+
+    const role = resolveAudienceRole(token, guild);
+    return { type: 'role', roleId: role.id, roleName: role.name };
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected \`${tokens[position]}\` in audience expression.`);
+  }
+
+  return tree;
+}
+
+function matchesAudienceExpression(node, member) {
+  switch (node.type) {
+    case 'role': return member.roles.cache.has(node.roleId);
+    case 'not': return !matchesAudienceExpression(node.operand, member);
+    case 'and': return matchesAudienceExpression(node.left, member) && matchesAudienceExpression(node.right, member);
+    case 'or': return matchesAudienceExpression(node.left, member) || matchesAudienceExpression(node.right, member);
+    default: return false;
+  }
+}
+
+function describeAudienceExpression(node, parentType = null) {
+  switch (node.type) {
+    case 'role': return `@${node.roleName}`;
+    case 'not': return `NOT ${describeAudienceExpression(node.operand, 'not')}`;
+    default: {
+      const text = `${describeAudienceExpression(node.left, node.type)} ${node.type.toUpperCase()} ${describeAudienceExpression(node.right, node.type)}`;
+      return parentType && parentType !== node.type ? `(${text})` : text;
+    }
+  }
+}
+
+// Build an audience from /dm-role style criteria:
+// { expression, includeBots, minMemberDays, joinedAfter, joinedBefore, excludeIds }
+// Returns { members, description }. guild.members must already be fetched.
+function resolveAudience(guild, criteria) {
+  const {
+    expression,
+    includeBots = false,
+    minMemberDays = null,
+    joinedAfter = null,
+    joinedBefore = null,
+    excludeIds = []
+  } = criteria;
+
+  const minJoinedTimestamp = minMemberDays !== null ? Date.now() - minMemberDays * 86400000 : null;
+  const excluded = new Set(excludeIds);
+
+  const members = guild.members.cache.filter(member => {
+    if (!includeBots && member.user.bot) return false;
+    if (excluded.has(member.id)) return false;
+    if (!matchesAudienceExpression(expression, member)) return false;
+    if (minJoinedTimestamp !== null && member.joinedTimestamp > minJoinedTimestamp) return false;
+    if (joinedAfter && member.joinedTimestamp < joinedAfter.getTime()) return false;
+    if (joinedBefore && member.joinedTimestamp >= joinedBefore.getTime()) return false;
+    return true;
+  });
+
+  const filters = [describeAudienceExpression(expression)];
+  if (!includeBots) filters.push('no bots');
+  if (minMemberDays !== null) filters.push(`member for ${minMemberDays}+ days`);
+  if (joinedAfter) filters.push(`joined after <t:${Math.floor(joinedAfter.getTime() / 1000)}:d>`);
+  if (joinedBefore) filters.push(`joined before <t:${Math.floor(joinedBefore.getTime() / 1000)}:d>`);
+  if (excluded.size > 0) filters.push(`${excluded.size} excluded`);
+
+  return { members, description: filters.join(' • ') };
+}
+
+// Parse a YYYY-MM-DD date (start of that day in the timezone)
+function parseAudienceDate(input, timeZone) {
+  const match = input.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid date \`${input}\`. Use YYYY-MM-DD.`);
+  }
+
+  const [, year, month, day] = match.map(Number);
+  return zonedTimeToDate({ year, month, day, hour: 0, minute: 0 }, timeZone);
+}
+
+// DM CAMPAIGNS
+// Every /dm-role broadcast is saved as a campaign with a status per recipient
+// (pending, sent or failed), so an interrupted run can be resumed after a
+// restart without messaging anyone twice.
+const MAX_STORED_CAMPAIGNS = 25; // Finished campaigns kept per guild
+const MAX_CAMPAIGN_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+const CAMPAIGN_FILES_DIR = process.env.CAMPAIGN_FILES_DIR || join(__dirname, 'data', 'campaign-files');
+
+// Check a /dm-role attachment before the confirmation; it is only downloaded
+// once the broadcast is confirmed (see saveCampaignAttachment)
+function getCampaignAttachment(attachment) {
+  if (attachment.size > MAX_CAMPAIGN_ATTACHMENT_BYTES) {
+    throw new Error(`The attachment is too large, DM attachments can be at most ${MAX_CAMPAIGN_ATTACHMENT_BYTES / 1024 / 1024} MB.`);
+  }
+  return { name: attachment.name, url: attachment.url };
+}
+
+// Attachment URLs from Discord expire, so a campaign keeps its own copy of the
+// file in CAMPAIGN_FILES_DIR and can still send it when resumed days later.
+// The store only keeps the file name.
+async function saveCampaignAttachment(attachment) {
+  const response = await fetch(attachment.url);
+  if (!response.ok) {
+    throw new Error(`Could not download the attachment (HTTP ${response.status}).`);
+  }
+
+  const file = randomBytes(8).toString('hex');
+  await fs.mkdir(CAMPAIGN_FILES_DIR, { recursive: true });
+  await fs.writeFile(join(CAMPAIGN_FILES_DIR, file), Buffer.from(await response.arrayBuffer()));
+  return { ...attachment, file };
+}
+
+// Read a campaign's files once per run, so they aren't read again for every
+// recipient. Falls back to the original URL when the copy is gone.
+async function loadCampaignFiles(campaign) {
+  return Promise.all((campaign.attachments || []).map(async (attachment) => {
+    if (attachment.file) {
+      try {
+        return { attachment: await fs.readFile(join(CAMPAIGN_FILES_DIR, attachment.file)), name: attachment.name };
+      } catch (error) {
+        addLog('error', `Could not read file ${attachment.name} of DM campaign ${campaign.id}, sending its link instead: ${error.message}`);
+      }
+    }
+    return { attachment: attachment.url, name: attachment.name };
+  }));
+}
+
+function deleteCampaignFiles(campaign) {
+  for (const attachment of campaign.attachments || []) {
+    if (!attachment.file) continue;
+
+    const path = join(CAMPAIGN_FILES_DIR, attachment.file);
+    attachment.file = null;
+    fs.rm(path, { force: true }).catch(error => {
+      addLog('error', `Failed to delete file ${attachment.name} of DM campaign ${campaign.id}: ${error.message}`);
+    });
+  }
+}
+
+// Content is { message, embed, attachments, buttons }. The message and embed
+// are templates rendered per recipient (see buildCampaignMessage).
+function createDmCampaign({ guild, role, content, isAnonymous, author, members }) {
+  const recipients = {};
+  for (const member of members.values()) {
+    // Opted-out members are kept so the report can count them
+    const status = isOptedOutOfDms(guild.id, member.id) ? 'unsubscribed' : 'pending';
+    recipients[member.id] = { tag: member.user.tag, status };
+  }
+
+  const campaign = {
+    id: randomBytes(4).toString('hex'),
+    guildId: guild.id,
+    roleId: role.id,
+    roleName: role.name,
+    message: content.message || '',
+    embed: content.embed || null,
+    attachments: content.attachments || [],
+    buttons: content.buttons || [],
+    isAnonymous,
+    authorId: author.id,
+    authorTag: author.tag,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    canceledBy: null,
+    recipients
+  };
+
+  dmCampaigns.set(campaign.id, campaign);
+  pruneDmCampaigns(guild.id);
+  persistState();
+
+  return campaign;
+}
+
+// Build the DM for one recipient, filling in their placeholders. Files are
+// the payload files from loadCampaignFiles. A preview shows the unsubscribe
+// button disabled, so the sender can't opt themselves out by trying it.
+function buildCampaignMessage(campaign, member, { files = [], preview = false } = {}) {
+  const variables = {
+    ...getMemberTemplateVariables(member),
+    role: campaign.roleName
+  };
+
+  let content = campaign.message ? renderTemplate(campaign.message, variables) : '';
+  if (!campaign.isAnonymous) {
+    // Format the message with sender info
+    content = content
+      ? `**Message from ${campaign.authorTag}**: ${content}`
+      : `**Message from ${campaign.authorTag}**`;
+  }
+
+  const payload = { content: content || undefined };
+
+  if (campaign.embed) {
+    payload.embeds = [refreshEmbedTimestamp(renderTemplateDeep(campaign.embed, variables))];
+  }
+
+  if (files.length) {
+    payload.files = files;
+  }
+
+  payload.components = [];
+
+  if (campaign.buttons?.length) {
+    payload.components.push(
+      new ActionRowBuilder().addComponents(campaign.buttons.map(button =>
+        new ButtonBuilder()
+          .setLabel(button.label)
+          .setURL(button.url)
+          .setStyle(ButtonStyle.Link)
+      ))
+    );
+  }
+
+  // Every broadcast lets the recipient opt out of future ones
+  payload.components.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`dm_unsubscribe_${member.guild.id}`)
+        .setLabel('Unsubscribe from server broadcasts')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🔕')
+        .setDisabled(preview)
+    )
+  );
+
+  return payload;
+}
+
+function isOptedOutOfDms(guildId, userId) {
+  return Boolean(dmOptOuts.get(guildId)?.[userId]);
+}
+
+// Add or remove a member from a guild's broadcast opt-out list
+function setDmOptOut(guildId, userId, optedOut) {
+  const guildOptOuts = { ...dmOptOuts.get(guildId) };
+
+  if (optedOut) {
+    guildOptOuts[userId] = new Date().toISOString();
+  } else {
+    delete guildOptOuts[userId];
+  }
+
+  dmOptOuts.set(guildId, guildOptOuts);
+  return persistState();
+}
+
+// Drop the oldest finished campaigns of a guild beyond MAX_STORED_CAMPAIGNS.
+// Completed, canceled and interrupted campaigns all count as finished; only
+// a campaign that is still sending is kept regardless of age.
+function pruneDmCampaigns(guildId) {
+  const finished = getGuildCampaigns(guildId)
+    .filter(campaign => campaign.status !== 'running' && !getDmOperation(guildId, campaign.id));
+
+  for (const campaign of finished.slice(MAX_STORED_CAMPAIGNS)) {
+    deleteCampaignFiles(campaign);
+    dmCampaigns.delete(campaign.id);
+  }
+}
+
+// Campaigns of a guild, newest first
+function getGuildCampaigns(guildId) {
+  return [...dmCampaigns.values()]
+    .filter(campaign => campaign.guildId === guildId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getCampaignCounts(campaign) {
+  const counts = { total: 0, pending: 0, sent: 0, failed: 0, unsubscribed: 0 };
+
+  for (const recipient of Object.values(campaign.recipients)) {
+    counts.total++;
+    counts[recipient.status]++;
+  }
+
+  return counts;
+}
+
+function formatCampaignProgress(campaign, heading) {
+  const counts = getCampaignCounts(campaign);
+  const operation = getDmOperation(campaign.guildId, campaign.id);
+  let eta = '';
+
+  // Only running campaigns have an ETA, based on what the quotas allow
+  if (operation && counts.pending > 0) {
+    const limiters = getDmLimiters(campaign.guildId, operation.ownerId);
+    eta = `⏱️ ETA: ~${formatWait(estimateDmTime(limiters, counts.pending))}` +
+      (operation.waitingFor ? ` (waiting for the ${operation.waitingFor} DM quota)` : '') + '\n';
+  }
+
+  return `${heading}\n` +
+    `✅ Sent: ${counts.sent}\n` +
+    `❌ Failed: ${counts.failed}\n` +
+    `⏳ Pending: ${counts.pending}\n` +
+    (counts.unsubscribed > 0 ? `🔕 Opted out (skipped): ${counts.unsubscribed}\n` : '') +
+    eta +
+    `Campaign ID: \`${campaign.id}\``;
+}
+
+// DM operations currently sending, keyed by guild ID and then operation ID
+// (the campaign ID). Each run can be canceled on its own with /cancel-dm.
+const activeDmOperations = new Collection();
+
+function registerDmOperation(campaign, owner) {
+  if (!activeDmOperations.has(campaign.guildId)) {
+    activeDmOperations.set(campaign.guildId, new Collection());
+  }
+
+  const operation = {
+    id: campaign.id,
+    guildId: campaign.guildId,
+    ownerId: owner.id,
+    ownerTag: owner.tag,
+    campaign,
+    canceled: false,
+    canceledBy: null,
+    waitingFor: null, // Name of the quota the run is currently waiting on
+    startedAt: new Date()
+  };
+
+  activeDmOperations.get(campaign.guildId).set(campaign.id, operation);
+  return operation;
+}
+
+function unregisterDmOperation(operation) {
+  const guildOperations = activeDmOperations.get(operation.guildId);
+  if (!guildOperations) return;
+
+  guildOperations.delete(operation.id);
+  if (guildOperations.size === 0) {
+    activeDmOperations.delete(operation.guildId);
+  }
+}
+
+function getDmOperation(guildId, operationId) {
+  return activeDmOperations.get(guildId)?.get(operationId) || null;
+}
+
+const DM_CAMPAIGN_RUN_TITLES = {
+  start: 'Started',
+  resume: 'Resumed',
+  retry: 'Retrying Failed DMs'
+};
+
+// Send a campaign's pending DMs. onProgress is called before every batch with
+// the campaign, e.g. to update an interaction reply. The owner is the user
+// allowed to cancel this run (defaults to the campaign's author). The mode
+// (start, resume or retry) only labels the run in the mod log.
+async function runDmCampaign(campaign, { onProgress = async () => {}, owner, mode = 'start' } = {}) {
+  if (getDmOperation(campaign.guildId, campaign.id)) return campaign;
+
+  const guild = client.guilds.cache.get(campaign.guildId);
+  if (!guild) {
+    campaign.status = 'interrupted';
+    persistState();
+    addLog('error', `Cannot run DM campaign ${campaign.id}: the bot is no longer in that server`);
+    return campaign;
+  }
+
+  const operation = registerDmOperation(campaign, owner || { id: campaign.authorId, tag: campaign.authorTag });
+  const limiters = getDmLimiters(campaign.guildId, operation.ownerId);
+  campaign.status = 'running';
+  campaign.finishedAt = null;
+  campaign.canceledBy = null;
+  persistState();
+
+  const campaignAuthor = { id: campaign.authorId, tag: campaign.authorTag };
+  sendModLog(guild, 'campaigns', {
+    title: `📨 DM Campaign ${DM_CAMPAIGN_RUN_TITLES[mode]}`,
+    actor: operation.ownerId === campaign.authorId ? campaignAuthor : { id: operation.ownerId, tag: operation.ownerTag },
+    target: `@${campaign.roleName}`,
+    fields: [
+      { name: 'Campaign', value: campaign.id, inline: true },
+      { name: 'Pending', value: `${getCampaignCounts(campaign).pending}`, inline: true }
+    ]
+  });
+
+  try {
+    const files = await loadCampaignFiles(campaign);
+
+    // Create batch processing for pending recipients
+    const pendingIds = Object.keys(campaign.recipients)
+      .filter(userId => campaign.recipients[userId].status === 'pending');
+    const batchSize = 5; // Process 5 members at a time
+
+    for (let i = 0; i < pendingIds.length; i += batchSize) {
+      if (operation.canceled) break;
+
+      try {
+        await onProgress(campaign);
+      } catch (error) {
+        // Progress is cosmetic (the interaction may have expired), keep sending
+      }
+
+      await Promise.all(pendingIds.slice(i, i + batchSize).map(async (userId) => {
+        // Wait until the global, server and user quotas all allow another DM
+        const acquired = await acquireDmSlot(limiters, () => operation.canceled, ({ name, wait }) => {
+          if (operation.waitingFor !== name) {
+            addLog('info', `DM campaign ${campaign.id} reached the ${name} DM quota, waiting ${formatWait(wait)}`);
+          }
+          operation.waitingFor = name;
+        });
+        if (!acquired) return;
+        operation.waitingFor = null;
+
+        const recipient = campaign.recipients[userId];
+
+        // Members can opt out while a campaign is running
+        if (isOptedOutOfDms(campaign.guildId, userId)) {
+          recipient.status = 'unsubscribed';
+          persistState();
+          return;
+        }
+
+        try {
+          const member = await guild.members.fetch(userId);
+          await member.send(buildCampaignMessage(campaign, member, { files }));
+          recipient.status = 'sent';
+          recipient.error = null;
+          addLog('success', `Sent DM to ${recipient.tag}`);
+        } catch (error) {
+          recipient.status = 'failed';
+          recipient.error = error.message;
+          addLog('error', `Failed to send DM to ${recipient.tag}: ${error.message}`);
+        }
+
+        persistState();
+      }));
+
+      // Small delay between batches to prevent rate limiting
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    // A cancel during the last batch ends the loop normally, so check here
+    if (operation.canceled && getCampaignCounts(campaign).pending > 0) {
+      campaign.status = 'canceled';
+      campaign.canceledBy = operation.canceledBy;
+      addLog('info', `DM campaign ${campaign.id} was canceled by ${operation.canceledBy}`);
+    } else if (campaign.status === 'running') {
+      campaign.status = 'completed';
+      campaign.finishedAt = new Date().toISOString();
+      // Failed DMs can still be retried with the file, otherwise it's no longer needed
+      if (getCampaignCounts(campaign).failed === 0) deleteCampaignFiles(campaign);
+    }
+  } finally {
+    unregisterDmOperation(operation);
+    persistState();
+  }
+
+  const counts = getCampaignCounts(campaign);
+  addLog('info', `DM campaign ${campaign.id} to role ${campaign.roleName} ${campaign.status}. Success: ${counts.sent}, Failed: ${counts.failed}, Opted out: ${counts.unsubscribed}, Pending: ${counts.pending}`);
+  sendModLog(guild, 'campaigns', {
+    title: `📨 DM Campaign ${campaign.status.charAt(0).toUpperCase()}${campaign.status.slice(1)}`,
+    color: campaign.status === 'completed' ? 0x00FF00 : 0xFFA500,
+    actor: campaignAuthor,
+    target: `@${campaign.roleName}`,
+    reason: campaign.status === 'canceled' ? `Canceled by ${campaign.canceledBy}` : undefined,
+    fields: [
+      { name: 'Campaign', value: campaign.id, inline: true },
+      { name: 'Sent', value: `${counts.sent}`, inline: true },
+      { name: 'Failed', value: `${counts.failed}`, inline: true },
+      { name: 'Opted Out', value: `${counts.unsubscribed}`, inline: true },
+      { name: 'Pending', value: `${counts.pending}`, inline: true }
+    ]
+  });
+
+  return campaign;
+}
+
+// Pick up campaigns that were still sending when the bot stopped
+function resumeInterruptedCampaigns() {
+  const interrupted = [...dmCampaigns.values()].filter(campaign => campaign.status === 'running');
+
+  for (const campaign of interrupted) {
+    addLog('info', `Resuming DM campaign ${campaign.id} to role ${campaign.roleName}`);
+    runDmCampaign(campaign, { mode: 'resume' }).catch(error => {
+      addLog('error', `Failed to resume DM campaign ${campaign.id}: ${error.message}`);
+    });
+  }
+}
+
+// SCHEDULER
+// Schedules post a /dm-role style broadcast or an /embed at a future time,
+// optionally repeating on a cron-like recurrence in the guild's timezone.
+// They are polled from storage, so they survive restarts; runs missed while
+// the bot was offline are caught up once on startup.
+const SCHEDULER_INTERVAL_MS = 30000; // Check for due schedules every 30 seconds
+const DEFAULT_TIMEZONE = 'UTC';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+const zonedFormatters = new Map();
+let schedulerBusy = false;
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getGuildTimezone(guildId) {
+  return guildSettings.get(guildId)?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Wall clock date and time of a moment in the given timezone
+function getZonedParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    zonedFormatters.get(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Milliseconds the timezone is ahead of UTC at the given moment
+function getTimezoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(new Date(timestamp), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return wallClock - Math.floor(timestamp / 60000) * 60000;
+}
+
+// Convert a wall clock time in a timezone to a Date
+function zonedTimeToDate({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(wallClock, timeZone);
+  const correctedOffset = getTimezoneOffset(wallClock - offset, timeZone);
+
+  // The second pass fixes times near a DST change
+  return new Date(wallClock - correctedOffset);
+}
+
+// Parse "YYYY-MM-DD HH:mm" (in the given timezone) or "in 30m", "in 2h", "in 1d"
+function parseScheduleTime(input, timeZone) {
+  const text = input.trim().toLowerCase();
+
+  const relative = text.match(/^in\s+(\d+)\s*(m|min|minutes?|h|hours?|d|days?)$/);
+  if (relative) {
+    const units = { m: 60000, h: 3600000, d: 86400000 };
+    return new Date(Date.now() + Number(relative[1]) * units[relative[2][0]]);
+  }
+
+  const absolute = text.match(/^(\d{4})-(\d{2})-(\d{2})[ t](\d{1,2}):(\d{2})$/);
+  if (absolute) {
+    const [, year, month, day, hour, minute] = absolute.map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+    return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+  }
+
+  return null;
+}
+
+// Parse a 5 field cron expression (minute hour day month weekday).
+// Supports *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 0-30/5).
+function parseCron(expression) {
+  const normalized = CRON_ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const fields = normalized.split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error('A recurrence needs 5 fields: minute hour day month weekday (e.g. `0 9 * * 1-5`)');
+  }
+
+  return fields.map((field, idx) => {
+    const { name, min, max } = CRON_FIELDS[idx];
+    const values = new Set();
+
+    for (const item of field.split(',')) {
+      const [range, stepText] = item.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let start;
+      let end;
+
+      if (range === '*') {
+        start = min;
+        end = max;
+      } else if (range.includes('-')) {
+        [start, end] = range.split('-').map(Number);
+      } else {
+        start = Number(range);
+        end = stepText === undefined ? start : max;
+      }
+
+      if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+        throw new Error(`Invalid ${name} in recurrence: \`${item}\``);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(name === 'weekday' && value === 7 ? 0 : value);
+      }
+    }
+
+    return { values, restricted: field !== '*' };
+  });
+}
+
+// Next time after `after` matching the cron expression in the timezone
+function getNextCronRun(expression, after, timeZone) {
+  const [minutes, hours, days, months, weekdays] = parseCron(expression);
+  let candidate = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = candidate + 4 * 366 * 86400000; // Covers Feb 29 only expressions
+
+  while (candidate <= limit) {
+    const parts = getZonedParts(new Date(candidate), timeZone);
+
+    // Like cron, a restricted day and weekday match if either one does
+    const dayMatches = days.restricted && weekdays.restricted
+      ? days.values.has(parts.day) || weekdays.values.has(parts.weekday)
+      : days.values.has(parts.day) && weekdays.values.has(parts.weekday);
+
+    if (!months.values.has(parts.month) || !dayMatches) {
+      candidate += ((23 - parts.hour) * 60 + (60 - parts.minute)) * 60000; // Next day
+    } else if (!hours.values.has(parts.hour)) {
+      candidate += (60 - parts.minute) * 60000; // Next hour
+    } else if (!minutes.values.has(parts.minute)) {
+      candidate += 60000;
+    } else {
+      return new Date(candidate);
+    }
+  }
+
+  throw new Error('That recurrence never matches a date.');
+}
+
+function describeSchedule(schedule) {
+  const target = schedule.type === 'dm-role'
+    ? `DM to <@&${schedule.payload.roleId}>`
+    : `Embed in <#${schedule.payload.channelId}>`;
+  const nextRun = Math.floor(new Date(schedule.runAt).getTime() / 1000);
+  const repeat = schedule.recurrence ? ` • repeats \`${schedule.recurrence}\`` : '';
+
+  return `\`${schedule.id}\` • ${target} • next <t:${nextRun}:f>${repeat}`;
+}
+
+async function runSchedule(schedule) {
+  const guild = client.guilds.cache.get(schedule.guildId);
+  if (!guild) {
+    throw new Error('the bot is no longer in that server');
+  }
+
+  if (schedule.type === 'dm-role') {
+    const { roleId, message, isAnonymous } = schedule.payload;
+    const role = guild.roles.cache.get(roleId);
+    if (!role) {
+      throw new Error('the role no longer exists');
+    }
+
+    await guild.members.fetch();
+    const { members: membersWithRole } = resolveAudience(guild, {
+      expression: { type: 'role', roleId: role.id, roleName: role.name }
+    });
+
+    if (membersWithRole.size === 0) {
+      addLog('info', `Scheduled DM ${schedule.id}: no members found with role ${role.name}`);
+      return;
+    }
+
+    const campaign = createDmCampaign({
+      guild,
+      role,
+      content: { message },
+      isAnonymous,
+      author: { id: schedule.createdBy, tag: schedule.createdByTag },
+      members: membersWithRole
+    });
+
+    // Don't hold up other schedules while the campaign sends
+    runDmCampaign(campaign).catch(error => {
+      addLog('error', `Scheduled DM campaign ${campaign.id} failed: ${error.message}`);
+    });
+  } else if (schedule.type === 'embed') {
+    const channel = guild.channels.cache.get(schedule.payload.channelId);
+    if (!channel || channel.type !== ChannelType.GuildText) {
+      throw new Error('the channel no longer exists or is not a text channel');
+    }
+
+    await channel.send({ embeds: [refreshEmbedTimestamp(schedule.payload.embed)] });
+  }
+}
+
+async function runDueSchedules() {
+  if (schedulerBusy) return;
+  schedulerBusy = true;
+
+  try {
+    const now = new Date();
+    const due = [...schedules.values()]
+      .filter(schedule => schedule.status === 'active' && new Date(schedule.runAt) <= now);
+
+    for (const schedule of due) {
+      try {
+        await runSchedule(schedule);
+        addLog('success', `Ran scheduled ${schedule.type} ${schedule.id}`);
+      } catch (error) {
+        addLog('error', `Scheduled ${schedule.type} ${schedule.id} failed: ${error.message}`);
+      }
+
+      schedule.lastRunAt = now.toISOString();
+
+      if (schedule.recurrence) {
+        try {
+          schedule.runAt = getNextCronRun(schedule.recurrence, now, schedule.timezone).toISOString();
+        } catch (error) {
+          schedule.status = 'completed';
+        }
+      } else {
+        schedule.status = 'completed';
+      }
+
+      if (schedule.status === 'completed') {
+        schedules.delete(schedule.id);
+      }
+      persistState();
+    }
+  } finally {
+    schedulerBusy = false;
+  }
+}
+
+function startScheduler() {
+  runDueSchedules();
+  setInterval(runDueSchedules, SCHEDULER_INTERVAL_MS);
+}
+
+// WELCOME
+// Welcome and goodbye messages are templates (see TEMPLATES) sent as plain
+// text or as an embed, optionally with a generated card image. welcomeConfig
+// holds the welcome settings at the top level and goodbye settings under
+// `goodbye`.
+const WELCOME_CARD_WIDTH = 1024;
+const WELCOME_CARD_HEIGHT = 360;
+const WELCOME_CARD_FONT = '"Helvetica Neue", Arial, "DejaVu Sans", "Liberation Sans", sans-serif';
+const WELCOME_DELIVERY_LABELS = {
+  channel: 'Channel',
+  dm: 'Direct message',
+  both: 'Channel and direct message'
+};
+
+function parseHexColor(input) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(input?.trim() || '');
+  return match ? parseInt(match[1], 16) : null;
+}
+
+async function loadAvatar(user) {
+  const response = await fetch(user.displayAvatarURL({ extension: 'png', size: 256 }));
+  if (!response.ok) {
+    throw new Error(`Avatar request failed with status ${response.status}`);
+  }
+  return loadImage(Buffer.from(await response.arrayBuffer()));
+}
+
+// Shrink the font until the text fits the given width
+function fitText(ctx, text, maxWidth, size, weight = 'bold') {
+  do {
+    ctx.font = `${weight} ${size}px ${WELCOME_CARD_FONT}`;
+    size -= 2;
+  } while (ctx.measureText(text).width > maxWidth && size > 16);
+}
+
+// Draw a card with the member's avatar, a heading, their name and a subtitle
+async function renderWelcomeCard(member, heading, subtitle, color = 0x5865F2) {
+  const canvas = createCanvas(WELCOME_CARD_WIDTH, WELCOME_CARD_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  const accent = `#${color.toString(16).padStart(6, '0')}`;
+
+  const background = ctx.createLinearGradient(0, 0, WELCOME_CARD_WIDTH, WELCOME_CARD_HEIGHT);
+  background.addColorStop(0, accent);
+  background.addColorStop(1, '#1e1f22');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, WELCOME_CARD_WIDTH, WELCOME_CARD_HEIGHT);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.beginPath();
+  ctx.roundRect(24, 24, WELCOME_CARD_WIDTH - 48, WELCOME_CARD_HEIGHT - 48, 24);
+  ctx.fill();
+
+  // Avatar in a circle, or the first letter of the name if it can't be loaded
+  const avatarX = 190;
+  const avatarY = WELCOME_CARD_HEIGHT / 2;
+  const radius = 110;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(avatarX, avatarY, radius, 0, Math.PI * 2);
+  ctx.closePath();
+  ctx.clip();
+  try {
+    ctx.drawImage(await loadAvatar(member.user), avatarX - radius, avatarY - radius, radius * 2, radius * 2);
+  } catch (error) {
+    ctx.fillStyle = accent;
+    ctx.fillRect(avatarX - radius, avatarY - radius, radius * 2, radius * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold 96px ${WELCOME_CARD_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(member.displayName.charAt(0).toUpperCase(), avatarX, avatarY);
+  }
+  ctx.restore();
+
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 8;
+  ctx.beginPath();
+  ctx.arc(avatarX, avatarY, radius, 0, Math.PI * 2);
+  ctx.stroke();
+
+  const textX = 350;
+  const maxWidth = WELCOME_CARD_WIDTH - textX - 60;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'alphabetic';
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  fitText(ctx, heading.toUpperCase(), maxWidth, 32);
+  ctx.fillText(heading.toUpperCase(), textX, 130);
+
+  ctx.fillStyle = '#ffffff';
+  fitText(ctx, member.displayName, maxWidth, 60);
+  ctx.fillText(member.displayName, textX, 205);
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  fitText(ctx, subtitle, maxWidth, 28, 'normal');
+  ctx.fillText(subtitle, textX, 260);
+
+  return canvas.encode('png');
+}
+
+// Build the message for a welcome (kind 'welcome') or goodbye (kind 'goodbye')
+async function buildGreetingMessage(member, settings, kind) {
+  const variables = getMemberTemplateVariables(member);
+  const text = renderTemplate(settings.message, variables);
+  const color = settings.color ?? 0x5865F2;
+  const payload = { allowedMentions: { users: [member.id] } };
+  let embed = null;
+
+  if (settings.embed) {
+    embed = new EmbedBuilder()
+      .setDescription(text)
+      .setColor(color)
+      .setThumbnail(member.user.displayAvatarURL({ size: 256 }))
+      .setTimestamp();
+    if (settings.title) embed.setTitle(renderTemplate(settings.title, variables));
+    payload.embeds = [embed];
+  } else {
+    payload.content = text;
+  }
+
+  if (settings.card) {
+    const subtitle = kind === 'welcome'
+      ? `You are our ${variables['memberCount.ordinal']} member!`
+      : `We are now ${variables.memberCount} members`;
+
+    try {
+      const card = await renderWelcomeCard(member, kind === 'welcome' ? `Welcome to ${member.guild.name}` : 'Goodbye', subtitle, color);
+      payload.files = [{ attachment: card, name: `${kind}.png` }];
+      if (embed) embed.setImage(`attachment://${kind}.png`).setThumbnail(null);
+    } catch (error) {
+      addLog('error', `Failed to render ${kind} card for ${member.user.tag}: ${error.message}`);
+    }
+  }
+
+  return payload;
+}
+
+// Welcome a member if the welcome system is set up
+async function greetMember(member) {
+  const config = welcomeConfig.get(member.guild.id);
+  if (!config?.message) return;
+
+  try {
+    await sendWelcome(member, config);
+    addLog('info', `Welcome message sent for ${member.user.tag} in ${member.guild.name}`);
+  } catch (error) {
+    addLog('error', `Failed to send welcome message for ${member.user.tag}: ${error.message}`);
+  }
+}
+
+// Send a welcome to the configured channel and/or the member's DMs.
+// Returns where it was delivered, for /welcome test.
+async function sendWelcome(member, config) {
+  const payload = await buildGreetingMessage(member, config, 'welcome');
+  const delivery = config.delivery || 'channel';
+  const delivered = [];
+
+  if (delivery !== 'dm') {
+    const channel = member.guild.channels.cache.get(config.channelId);
+    if (!channel || channel.type !== ChannelType.GuildText) {
+      throw new Error('The configured welcome channel no longer exists or is not a text channel.');
+    }
+    await channel.send(payload);
+    delivered.push(`<#${channel.id}>`);
+  }
+
+  if (delivery !== 'channel' && !member.user.bot) {
+    try {
+      await member.send(payload);
+      delivered.push('DMs');
+    } catch (error) {
+      addLog('error', `Could not DM welcome message to ${member.user.tag}: ${error.message}`);
+    }
+  }
+
+  return delivered;
+}
+
+async function sendGoodbye(member, goodbye) {
+  const channel = member.guild.channels.cache.get(goodbye.channelId);
+  if (!channel || channel.type !== ChannelType.GuildText) {
+    throw new Error('The configured goodbye channel no longer exists or is not a text channel.');
+  }
+
+  // The member already left, so don't ping them
+  const payload = await buildGreetingMessage(member, goodbye, 'goodbye');
+  payload.allowedMentions = { parse: [] };
+  await channel.send(payload);
+  return channel;
+}
+
+// AUTO-ROLES
+// autoRoleConfig holds the roles given on join, separately for humans and
+// bots, each with an optional delay, plus an optional rules gate. With the
+// gate on, humans get the gate role and their auto-roles only after clicking
+// "Accept the rules". Delayed grants are stored in pendingRoleGrants and
+// applied by a poll, so they survive restarts.
+const AUTO_ROLE_INTERVAL_MS = 30000; // Check for due role grants every 30 seconds
+const MAX_AUTO_ROLES = 10;
+let autoRolesBusy = false;
+
+function getAutoRoleConfig(guildId) {
+  return autoRoleConfig.get(guildId) || { humans: [], bots: [], gate: null };
+}
+
+// Returns why the bot can't hand out a role, or null if it can
+function getRoleAssignError(role) {
+  if (role.managed) return `${role.name} is managed by an integration and can't be assigned.`;
+  if (role.id === role.guild.id) return 'The @everyone role can\'t be assigned.';
+  if (!role.editable) return `${role.name} is above my highest role, so I can't assign it.`;
+  return null;
+}
+
+async function grantRole(member, roleId, reason) {
+  if (member.roles.cache.has(roleId)) return;
+  await member.roles.add(roleId, reason);
+}
+
+// Give roles now, or queue them if they have a delay
+async function grantAutoRoles(member, entries) {
+  for (const entry of entries) {
+    if (entry.delayMinutes > 0) {
+      const id = randomBytes(4).toString('hex');
+      pendingRoleGrants.set(id, {
+        id,
+        guildId: member.guild.id,
+        userId: member.id,
+        roleId: entry.roleId,
+        grantAt: new Date(Date.now() + entry.delayMinutes * 60000).toISOString()
+      });
+      continue;
+    }
+
+    try {
+      await grantRole(member, entry.roleId, 'Auto-role on join');
+    } catch (error) {
+      addLog('error', `Failed to give auto-role ${entry.roleId} to ${member.user.tag}: ${error.message}`);
+    }
+  }
+  await persistState();
+}
+
+async function applyJoinRoles(member, awaitingVerification = false) {
+  const config = getAutoRoleConfig(member.guild.id);
+
+  if (member.user.bot) {
+    await grantAutoRoles(member, config.bots);
+    return;
+  }
+
+  // Gated and unverified members get their roles when they accept the rules
+  // or pass verification
+  if (config.gate || awaitingVerification) return;
+  await grantAutoRoles(member, config.humans);
+}
+
+// Called once a member passes verification
+async function applyVerifiedRoles(member) {
+  const config = getAutoRoleConfig(member.guild.id);
+  if (config.gate) return;
+  await grantAutoRoles(member, config.humans);
+}
+
+// Handle a click on the "Accept the rules" button. Returns a reply message.
+async function acceptRules(member) {
+  const config = getAutoRoleConfig(member.guild.id);
+  if (!config.gate) return 'The rules gate is not active on this server.';
+  if (member.roles.cache.has(config.gate.roleId)) return 'You have already accepted the rules.';
+
+  await grantRole(member, config.gate.roleId, 'Accepted the rules');
+  await grantAutoRoles(member, config.humans);
+  addLog('info', `${member.user.tag} accepted the rules in ${member.guild.name}`);
+  return `✅ Thanks for accepting the rules! You now have the <@&${config.gate.roleId}> role.`;
+}
+
+async function runPendingRoleGrants() {
+  if (autoRolesBusy) return;
+  autoRolesBusy = true;
+
+  try {
+    const now = new Date();
+    const due = [...pendingRoleGrants.values()].filter(grant => new Date(grant.grantAt) <= now);
+
+    for (const grant of due) {
+      pendingRoleGrants.delete(grant.id);
+
+      const guild = client.guilds.cache.get(grant.guildId);
+      // Members who left in the meantime are skipped
+      const member = guild ? await guild.members.fetch(grant.userId).catch(() => null) : null;
+      if (!member) continue;
+
+      try {
+        await grantRole(member, grant.roleId, 'Delayed auto-role');
+      } catch (error) {
+        addLog('error', `Failed to give delayed auto-role ${grant.roleId} to ${member.user.tag}: ${error.message}`);
+      }
+    }
+
+    if (due.length > 0) persistState();
+  } finally {
+    autoRolesBusy = false;
+  }
+}
+
+function startAutoRoles() {
+  runPendingRoleGrants();
+  setInterval(runPendingRoleGrants, AUTO_ROLE_INTERVAL_MS);
+}
+
+// ROLE MENUS
+// A role menu is a stored list of roles published as buttons, a select menu
+// or reactions. Components carry the menu ID in their custom ID and reaction
+// menus are looked up by message ID, so nothing depends on in-memory state.
+// Modes: toggle (pick and unpick freely), unique (one role from the menu at a
+// time) and verify (roles can only be added).
+const ROLE_MENU_MODES = {
+  toggle: 'Toggle',
+  unique: 'Unique (one role)',
+  verify: 'Verify only (add only)'
+};
+const ROLE_MENU_STYLES = {
+  buttons: 'Buttons',
+  select: 'Select menu',
+  reactions: 'Reactions'
+};
+
+function getMaxMenuOptions(menu) {
+  // Messages can hold 20 different reactions and 25 buttons or menu options
+  return menu.style === 'reactions' ? 20 : 25;
+}
+
+// Custom emojis are matched by ID, unicode emojis by the character itself
+function getEmojiKey(emoji) {
+  if (!emoji) return null;
+  if (typeof emoji === 'string') return emoji.match(/^<a?:\w+:(\d+)>$/)?.[1] || emoji;
+  return emoji.id || emoji.name;
+}
+
+function findRoleMenu(guildId, menuId) {
+  const menu = roleMenus.get(menuId);
+  return menu && menu.guildId === guildId ? menu : null;
+}
+
+function buildRoleMenuMessage(menu) {
+  const lines = menu.options.map(option => {
+    const parts = [`${option.emoji ? `${option.emoji} ` : ''}<@&${option.roleId}>`];
+    if (option.description) parts.push(option.description);
+    if (option.requiredRoleId) parts.push(`*requires <@&${option.requiredRoleId}>*`);
+    return parts.join(' - ');
+  });
+
+  const footer = [ROLE_MENU_MODES[menu.mode]];
+  if (menu.maxRoles && menu.mode !== 'unique') footer.push(`max ${menu.maxRoles} roles`);
+
+  const embed = new EmbedBuilder()
+    .setTitle(menu.title)
+    .setDescription([menu.description, lines.join('\n') || '*No roles yet*'].filter(Boolean).join('\n\n'))
+    .setColor('#5865F2')
+    .setFooter({ text: footer.join(' • ') });
+
+  const components = [];
+  if (menu.options.length > 0 && menu.style === 'buttons') {
+    menu.options.forEach((option, index) => {
+      if (index % 5 === 0) components.push(new ActionRowBuilder());
+      const button = new ButtonBuilder()
+        .setCustomId(`rolemenu_${menu.id}_${option.roleId}`)
+        .setLabel(option.label)
+        .setStyle(ButtonStyle.Secondary);
+      if (option.emoji) button.setEmoji(option.emoji);
+      components[components.length - 1].addComponents(button);
+    });
+  } else if (menu.options.length > 0 && menu.style === 'select') {
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(`rolemenu_${menu.id}`)
+      .setPlaceholder(menu.mode === 'verify' ? 'Choose roles to add' : 'Choose roles to add or remove')
+      .setMinValues(1)
+      .setMaxValues(menu.mode === 'unique' ? 1 : Math.min(menu.maxRoles || menu.options.length, menu.options.length))
+      .addOptions(menu.options.map(option => {
+        const entry = { label: option.label, value: option.roleId };
+        if (option.description) entry.description = option.description.slice(0, 100);
+        if (option.emoji) entry.emoji = option.emoji;
+        return entry;
+      }));
+    components.push(new ActionRowBuilder().addComponents(select));
+  }
+
+  return { embeds: [embed], components };
+}
+
+// Send the menu, or update it in place if it was published before
+async function publishRoleMenu(menu, guild, channel = null) {
+  let message = null;
+
+  if (menu.messageId && (!channel || channel.id === menu.channelId)) {
+    const existingChannel = guild.channels.cache.get(menu.channelId);
+    message = existingChannel ? await existingChannel.messages.fetch(menu.messageId).catch(() => null) : null;
+  }
+
+  if (message) {
+    await message.edit(buildRoleMenuMessage(menu));
+  } else {
+    const target = channel || guild.channels.cache.get(menu.channelId);
+    if (!target) throw new Error('Choose a channel to publish the menu in.');
+    message = await target.send(buildRoleMenuMessage(menu));
+    menu.channelId = target.id;
+    menu.messageId = message.id;
+    await persistState();
+  }
+
+  if (menu.style === 'reactions') {
+    for (const option of menu.options) {
+      await message.react(option.emoji);
+    }
+  }
+
+  return message;
+}
+
+// Work out which of the menu's roles a member should end up with.
+// `action` is 'click' (button), 'select' (select menu values), or 'add' and
+// 'remove' (reactions).
+function getRoleMenuTarget(menu, current, action, roleIds) {
+  const [roleId] = roleIds;
+  const target = new Set(current);
+
+  // The select menu is shared, so it can't show which roles a member already
+  // has. Picking a role toggles it and roles that weren't picked are left alone.
+  if (action === 'select') {
+    if (menu.mode === 'verify') return new Set([...current, ...roleIds]);
+    if (menu.mode === 'unique') {
+      if (!roleId) return target;
+      return current.has(roleId) ? new Set() : new Set([roleId]);
+    }
+
+    for (const id of roleIds) {
+      if (current.has(id)) target.delete(id);
+      else target.add(id);
+    }
+    return target;
+  }
+
+  if (action === 'remove') {
+    if (menu.mode !== 'verify') target.delete(roleId);
+    return target;
+  }
+
+  const alreadyHas = current.has(roleId);
+  if (action === 'click' && alreadyHas && menu.mode !== 'verify') {
+    target.delete(roleId);
+    return target;
+  }
+  if (menu.mode === 'unique') return new Set([roleId]);
+
+  target.add(roleId);
+  return target;
+}
+
+// Apply a menu interaction to a member. Returns the roles added and removed,
+// plus messages explaining anything that was refused.
+async function applyRoleMenu(member, menu, action, roleIds) {
+  const menuRoleIds = new Set(menu.options.map(option => option.roleId));
+  const current = new Set(member.roles.cache.filter(role => menuRoleIds.has(role.id)).map(role => role.id));
+  const target = getRoleMenuTarget(menu, current, action, roleIds.filter(id => menuRoleIds.has(id)));
+  const errors = [];
+
+  let toAdd = [...target].filter(id => !current.has(id));
+  const toRemove = [...current].filter(id => !target.has(id));
+
+  toAdd = toAdd.filter(roleId => {
+    const option = menu.options.find(entry => entry.roleId === roleId);
+    if (option.requiredRoleId && !member.roles.cache.has(option.requiredRoleId)) {
+      errors.push(`You need <@&${option.requiredRoleId}> before you can get <@&${roleId}>.`);
+      return false;
+    }
+    return true;
+  });
+
+  const finalCount = current.size - toRemove.length + toAdd.length;
+  if (menu.maxRoles && menu.mode !== 'unique' && toAdd.length > 0 && finalCount > menu.maxRoles) {
+    errors.push(`You can have at most ${menu.maxRoles} role${menu.maxRoles === 1 ? '' : 's'} from this menu.`);
+    return { added: [], removed: [], errors };
+  }
+
+  if (toRemove.length > 0) await member.roles.remove(toRemove, `Role menu ${menu.id}`);
+  if (toAdd.length > 0) await member.roles.add(toAdd, `Role menu ${menu.id}`);
+
+  return { added: toAdd, removed: toRemove, errors };
+}
+
+function formatRoleMenuResult(result) {
+  const lines = [];
+  if (result.added.length) lines.push(`✅ Added ${result.added.map(id => `<@&${id}>`).join(', ')}`);
+  if (result.removed.length) lines.push(`➖ Removed ${result.removed.map(id => `<@&${id}>`).join(', ')}`);
+  lines.push(...result.errors.map(error => `❌ ${error}`));
+  return lines.join('\n') || 'No changes.';
+}
+
+async function handleRoleMenuReaction(reaction, user, action) {
+  if (user.bot) return;
+  if (reaction.partial) {
+    try {
+      await reaction.fetch();
+    } catch (error) {
+      return;
+    }
+  }
+
+  const guild = reaction.message.guild;
+  if (!guild) return;
+
+  const menu = roleMenus.find(entry => entry.messageId === reaction.message.id && entry.style === 'reactions');
+  if (!menu) return;
+
+  const emojiKey = getEmojiKey(reaction.emoji);
+  const option = menu.options.find(entry => getEmojiKey(entry.emoji) === emojiKey);
+  if (!option) return;
+
+  try {
+    const member = await guild.members.fetch(user.id);
+    const result = await applyRoleMenu(member, menu, action, [option.roleId]);
+
+    // Keep the reactions in line with the roles the member actually has
+    if (action === 'add' && result.errors.length > 0) {
+      await reaction.users.remove(user.id).catch(() => {});
+    }
+    for (const roleId of result.removed) {
+      const removed = menu.options.find(entry => entry.roleId === roleId);
+      if (removed && removed !== option) {
+        await reaction.message.reactions.resolve(getEmojiKey(removed.emoji))?.users.remove(user.id).catch(() => {});
+      }
+    }
+  } catch (error) {
+    addLog('error', `Role menu ${menu.id} failed for ${user.tag}: ${error.message}`);
+  }
+}
+
+// VERIFICATION
+// verificationConfig holds three independent guards for new members:
+// - the gate: new humans get an unverified role until they pass a challenge
+//   (a button, or a math or text captcha in a modal)
+// - a minimum account age: younger accounts are kicked on join
+// - raid detection: too many joins in a short window start a lockdown that
+//   pauses invites and alerts moderators
+// Pending captchas only live in memory; a member who restarts the challenge
+// simply gets a new one. Expired captchas and those of members who left are
+// dropped.
+const CAPTCHA_TTL_MS = 5 * 60 * 1000;
+const LOCKDOWN_CHECK_MS = 60000;
+const MAX_LOCKDOWN_MINUTES = 1440; // Discord pauses invites for at most 24 hours
+const VERIFICATION_CHALLENGES = {
+  button: 'Button',
+  math: 'Math captcha',
+  text: 'Text captcha'
+};
+const pendingCaptchas = new Collection();
+const recentJoins = new Collection();
+let lockdownCheckBusy = false;
+
+function getVerificationConfig(guildId) {
+  return verificationConfig.get(guildId) || {
+    enabled: false,
+    minAccountAgeDays: 0,
+    raid: null,
+    lockdown: null
+  };
+}
+
+function isVerificationEnabled(guildId) {
+  return Boolean(verificationConfig.get(guildId)?.enabled);
+}
+
+function isInLockdown(config) {
+  return Boolean(config.lockdown && new Date(config.lockdown.until) > new Date());
+}
+
+// Returns { question, answer } for the configured captcha type
+function createCaptcha(type) {
+  if (type === 'math') {
+    const a = 2 + Math.floor(Math.random() * 18);
+    const b = 2 + Math.floor(Math.random() * 9);
+    return Math.random() < 0.5
+      ? { question: `What is ${a} + ${b}?`, answer: String(a + b) }
+      : { question: `What is ${a} × ${b}?`, answer: String(a * b) };
+  }
+
+  // Leave out characters that are easy to mix up (0/O, 1/I/L)
+  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  const code = Array.from(randomBytes(6), byte => alphabet[byte % alphabet.length]).join('');
+  return { question: `Type this code: ${code}`, answer: code };
+}
+
+function buildCaptchaModal(question) {
+  const input = new TextInputBuilder()
+    .setCustomId('verify_answer')
+    .setLabel(question)
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true)
+    .setMaxLength(20);
+
+  return new ModalBuilder()
+    .setCustomId('verify_captcha')
+    .setTitle('Verification')
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+// Forget captchas that can no longer be answered
+function pruneExpiredCaptchas() {
+  const now = Date.now();
+  for (const [key, captcha] of pendingCaptchas) {
+    if (captcha.expiresAt < now) pendingCaptchas.delete(key);
+  }
+}
+
+// Start a captcha for a member and return the modal to show
+function startCaptcha(member, type) {
+  pruneExpiredCaptchas();
+  const captcha = createCaptcha(type);
+  pendingCaptchas.set(`${member.guild.id}:${member.id}`, {
+    answer: captcha.answer,
+    expiresAt: Date.now() + CAPTCHA_TTL_MS
+  });
+  return buildCaptchaModal(captcha.question);
+}
+
+// Check a captcha answer. Every attempt uses up the captcha.
+function checkCaptcha(member, answer) {
+  const key = `${member.guild.id}:${member.id}`;
+  const captcha = pendingCaptchas.get(key);
+  pendingCaptchas.delete(key);
+
+  if (!captcha || captcha.expiresAt < Date.now()) return false;
+  return answer.trim().toUpperCase() === captcha.answer;
+}
+
+// Lift the quarantine, then hand out roles and the welcome that were held back
+async function completeVerification(member, config) {
+  await member.roles.remove(config.unverifiedRoleId, 'Passed verification');
+  if (config.verifiedRoleId) {
+    await member.roles.add(config.verifiedRoleId, 'Passed verification');
+  }
+
+  addLog('info', `${member.user.tag} passed verification in ${member.guild.name}`);
+
+  await applyVerifiedRoles(member).catch(error =>
+    addLog('error', `Failed to apply auto-roles for ${member.user.tag}: ${error.message}`));
+  await greetMember(member);
+}
+
+async function sendModAlert(guild, config, embed) {
+  const channel = config.raid?.alertChannelId ? guild.channels.cache.get(config.raid.alertChannelId) : null;
+  if (!channel) return;
+
+  await channel.send({
+    content: config.raid.modRoleId ? `<@&${config.raid.modRoleId}>` : undefined,
+    embeds: [embed],
+    allowedMentions: { roles: config.raid.modRoleId ? [config.raid.modRoleId] : [] }
+  }).catch(error => addLog('error', `Failed to send moderator alert in ${guild.name}: ${error.message}`));
+}
+
+async function startLockdown(guild, config, minutes, reason) {
+  const until = new Date(Date.now() + Math.min(minutes, MAX_LOCKDOWN_MINUTES) * 60000);
+
+  config.lockdown = { since: new Date().toISOString(), until: until.toISOString(), reason };
+  verificationConfig.set(guild.id, config);
+  await persistState();
+
+  try {
+    await guild.setIncidentActions({ invitesDisabledUntil: until });
+  } catch (error) {
+    addLog('error', `Failed to pause invites in ${guild.name}: ${error.message}`);
+  }
+
+  addLog('info', `Lockdown started in ${guild.name}: ${reason}`);
+  await sendModAlert(guild, config, new EmbedBuilder()
+    .setTitle('🚨 Server Lockdown')
+    .setDescription(`Invites are paused until <t:${Math.floor(until.getTime() / 1000)}:t>.`)
+    .addFields({ name: 'Reason', value: reason })
+    .setColor('#FF0000')
+    .setTimestamp());
+}
+
+async function endLockdown(guild, config, reason) {
+  config.lockdown = null;
+  verificationConfig.set(guild.id, config);
+  await persistState();
+
+  try {
+    await guild.setIncidentActions({ invitesDisabledUntil: null });
+  } catch (error) {
+    addLog('error', `Failed to resume invites in ${guild.name}: ${error.message}`);
+  }
+
+  addLog('info', `Lockdown ended in ${guild.name}: ${reason}`);
+  await sendModAlert(guild, config, new EmbedBuilder()
+    .setTitle('✅ Lockdown Ended')
+    .setDescription(`Invites are open again (${reason}).`)
+    .setColor('#00FF00')
+    .setTimestamp());
+}
+
+// Count a join and start a lockdown if the burst threshold is reached
+async function trackJoinBurst(member, config) {
+  const raid = config.raid;
+  if (!raid?.joinThreshold) return;
+
+  const now = Date.now();
+  const joins = (recentJoins.get(member.guild.id) || [])
+    .filter(time => now - time < raid.windowSeconds * 1000);
+  joins.push(now);
+  recentJoins.set(member.guild.id, joins);
+
+  if (joins.length >= raid.joinThreshold && !isInLockdown(config)) {
+    await startLockdown(member.guild, config, raid.lockdownMinutes,
+      `${joins.length} members joined within ${raid.windowSeconds} seconds`);
+  }
+}
+
+// Run the join guards. Returns 'removed' if the member was kicked,
+// 'quarantined' if they got the unverified role, otherwise 'allowed'.
+async function screenNewMember(member) {
+  const config = verificationConfig.get(member.guild.id);
+  if (!config) return 'allowed';
+
+  await trackJoinBurst(member, config);
+  if (member.user.bot) return 'allowed';
+
+  const accountAgeMs = Date.now() - member.user.createdTimestamp;
+  if (config.minAccountAgeDays && accountAgeMs < config.minAccountAgeDays * 86400000) {
+    await member.send(`Your account is too new to join **${member.guild.name}**. Accounts must be at least ${config.minAccountAgeDays} day${config.minAccountAgeDays === 1 ? '' : 's'} old.`).catch(() => {});
+    await member.kick(`Account younger than ${config.minAccountAgeDays} days`);
+    addLog('info', `Kicked ${member.user.tag} from ${member.guild.name}: account is ${formatWait(accountAgeMs)} old`);
+    return 'removed';
+  }
+
+  if (!config.enabled) return 'allowed';
+
+  try {
+    await member.roles.add(config.unverifiedRoleId, 'Awaiting verification');
+    return 'quarantined';
+  } catch (error) {
+    // The member can't verify without the role, so let them in like any other
+    // join and tell moderators
+    addLog('error', `Failed to give the unverified role to ${member.user.tag} in ${member.guild.name}: ${error.message}`);
+    await sendModAlert(member.guild, config, new EmbedBuilder()
+      .setTitle('⚠️ Verification Skipped')
+      .setDescription(`${member} joined but could not be given <@&${config.unverifiedRoleId}>, so they were let in without verification.`)
+      .addFields({ name: 'Error', value: error.message.slice(0, 1024) })
+      .setColor('#FFA500')
+      .setTimestamp());
+    return 'allowed';
+  }
+}
+
+async function checkLockdowns() {
+  if (lockdownCheckBusy) return;
+  lockdownCheckBusy = true;
+
+  try {
+    for (const [guildId, config] of verificationConfig) {
+      if (!config.lockdown || isInLockdown(config)) continue;
+
+      const guild = client.guilds.cache.get(guildId);
+      if (!guild) continue;
+      await endLockdown(guild, config, 'lockdown time is over');
+    }
+  } finally {
+    lockdownCheckBusy = false;
+  }
+}
+
+function startLockdownChecks() {
+  checkLockdowns();
+  setInterval(checkLockdowns, LOCKDOWN_CHECK_MS);
+}
+
+// MODERATION CASES
+// Every moderation action is recorded as a numbered case, keyed
+// `guildId:number`. Numbers come from a per-guild counter in guildSettings so
+// a deleted case never has its number reused.
+const CASE_TYPES = {
+  warn: { label: 'Warning', emoji: '⚠️', color: 0xFFD700 },
+  timeout: { label: 'Timeout', emoji: '🔇', color: 0xFFA500 },
+  untimeout: { label: 'Timeout Removed', emoji: '🔊', color: 0x00FF00 },
+  kick: { label: 'Kick', emoji: '👢', color: 0xFF6600 },
+  ban: { label: 'Ban', emoji: '🔨', color: 0xFF0000 },
+  unban: { label: 'Unban', emoji: '🕊️', color: 0x00FF00 }
+};
+const HISTORY_CASE_LIMIT = 15;
+
+function createModCase(guild, { type, target, moderator, reason, durationMs = null }) {
+  const settings = guildSettings.get(guild.id) || {};
+  const number = (settings.caseCount || 0) + 1;
+  guildSettings.set(guild.id, { ...settings, caseCount: number });
+
+  const modCase = {
+    guildId: guild.id,
+    number,
+    type,
+    targetId: target.id,
+    targetTag: target.tag,
+    moderatorId: moderator.id,
+    moderatorTag: moderator.tag,
+    reason,
+    durationMs,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+  modCases.set(`${guild.id}:${number}`, modCase);
+  persistState();
+
+  const caseType = CASE_TYPES[type];
+  sendModLog(guild, 'moderation', {
+    title: `${caseType.emoji} ${caseType.label}`,
+    color: caseType.color,
+    actor: moderator,
+    target,
+    reason,
+    caseNumber: number,
+    fields: durationMs ? [{ name: 'Duration', value: formatWait(durationMs), inline: true }] : []
+  });
+
+  return modCase;
+}
+
+function getModCase(guildId, number) {
+  return modCases.get(`${guildId}:${number}`);
+}
+
+// Oldest first
+function getUserCases(guildId, userId) {
+  return [...modCases.values()]
+    .filter(modCase => modCase.guildId === guildId && modCase.targetId === userId)
+    .sort((a, b) => a.number - b.number);
+}
+
+function formatCaseLine(modCase) {
+  const caseType = CASE_TYPES[modCase.type];
+  const timestamp = Math.floor(new Date(modCase.createdAt).getTime() / 1000);
+  const duration = modCase.durationMs ? ` (${formatWait(modCase.durationMs)})` : '';
+  return `**#${modCase.number}** ${caseType.emoji} ${caseType.label}${duration} <t:${timestamp}:d> by <@${modCase.moderatorId}>: ${modCase.reason}`;
+}
+
+function buildCaseEmbed(modCase) {
+  const caseType = CASE_TYPES[modCase.type];
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${caseType.emoji} Case #${modCase.number}: ${caseType.label}`)
+    .addFields(
+      { name: 'User', value: `<@${modCase.targetId}> (${modCase.targetTag})`, inline: true },
+      { name: 'Moderator', value: `<@${modCase.moderatorId}> (${modCase.moderatorTag})`, inline: true },
+      { name: 'Reason', value: modCase.reason }
+    )
+    .setColor(caseType.color)
+    .setTimestamp(new Date(modCase.createdAt));
+
+  if (modCase.durationMs) {
+    embed.addFields({ name: 'Duration', value: formatWait(modCase.durationMs), inline: true });
+  }
+  if (modCase.updatedAt) {
+    embed.setFooter({ text: `Reason edited ${new Date(modCase.updatedAt).toUTCString()}` });
+  }
+
+  return embed;
+}
+
+// TEMP BANS
+// A ban with a duration is tracked in tempBans (keyed guildId:userId) and
+// lifted by a poll, so expiries carry on after a restart. Lifting a ban,
+// early or on time, records an unban case. A failed unban is retried with a
+// growing delay and given up after MAX_TEMP_BAN_ATTEMPTS tries.
+const TEMP_BAN_CHECK_MS = 60000;
+const MAX_BAN_MINUTES = 525600; // One year
+const MAX_TEMP_BAN_ATTEMPTS = 5;
+let tempBanCheckBusy = false;
+
+function getGuildTempBans(guildId) {
+  return [...tempBans.values()]
+    .filter(tempBan => tempBan.guildId === guildId)
+    .sort((a, b) => new Date(a.expiresAt) - new Date(b.expiresAt));
+}
+
+// Returns the unban case, or null if the user was already unbanned by hand
+async function liftTempBan(guild, tempBan, moderator, reason) {
+  try {
+    await guild.members.unban(tempBan.userId, reason);
+  } catch (error) {
+    if (error.code !== RESTJSONErrorCodes.UnknownBan) throw error;
+    tempBans.delete(`${guild.id}:${tempBan.userId}`);
+    await persistState();
+    return null;
+  }
+
+  tempBans.delete(`${guild.id}:${tempBan.userId}`);
+  const modCase = createModCase(guild, {
+    type: 'unban',
+    target: { id: tempBan.userId, tag: tempBan.userTag },
+    moderator,
+    reason
+  });
+  addLog('info', `${tempBan.userTag} was unbanned from ${guild.name} (case #${modCase.number}). Reason: ${reason}`);
+  return modCase;
+}
+
+async function checkTempBans() {
+  if (tempBanCheckBusy) return;
+  tempBanCheckBusy = true;
+
+  try {
+    const now = Date.now();
+    for (const tempBan of [...tempBans.values()]) {
+      if (new Date(tempBan.expiresAt).getTime() > now) continue;
+      if (tempBan.retryAt && new Date(tempBan.retryAt).getTime() > now) continue;
+
+      const guild = client.guilds.cache.get(tempBan.guildId);
+      if (!guild) continue;
+
+      try {
+        // Drops the entry when the user was already unbanned
+        await liftTempBan(guild, tempBan, client.user, `Temporary ban expired (case #${tempBan.caseNumber})`);
+      } catch (error) {
+        tempBan.attempts = (tempBan.attempts || 0) + 1;
+
+        if (tempBan.attempts >= MAX_TEMP_BAN_ATTEMPTS) {
+          tempBans.delete(`${guild.id}:${tempBan.userId}`);
+          addLog('error', `Gave up lifting the temporary ban of ${tempBan.userTag} in ${guild.name} after ${tempBan.attempts} tries: ${error.message}`);
+          sendModLog(guild, 'moderation', {
+            title: '⚠️ Temporary Ban Not Lifted',
+            color: 0xFFA500,
+            target: { id: tempBan.userId, tag: tempBan.userTag },
+            reason: `Unbanning failed ${tempBan.attempts} times (${error.message}). The user is still banned, unban them by hand.`,
+            caseNumber: tempBan.caseNumber
+          });
+        } else {
+          // Wait 1, 2, 4, 8... check intervals before the next try
+          const delay = TEMP_BAN_CHECK_MS * 2 ** (tempBan.attempts - 1);
+          tempBan.retryAt = new Date(now + delay).toISOString();
+          addLog('error', `Failed to lift the temporary ban of ${tempBan.userTag} in ${guild.name}, retrying in ${formatWait(delay)}: ${error.message}`);
+        }
+        persistState();
+      }
+    }
+  } finally {
+    tempBanCheckBusy = false;
+  }
+}
+
+function startTempBanChecks() {
+  checkTempBans();
+  setInterval(checkTempBans, TEMP_BAN_CHECK_MS);
+}
+
+// Run a timeout, kick or ban and record it as a case. Shared by /mute, /kick,
+// /ban and warning policies. A ban with a duration becomes a temp ban; a
+// permanent ban replaces any pending one.
+async function applyPunishment(guild, { type, target, moderator, reason, durationMs = null, deleteMessageDays = 0 }) {
+  if (type === 'ban') {
+    await guild.members.ban(target, { deleteMessageDays, reason });
+  } else {
+    const member = guild.members.cache.get(target.id) || await guild.members.fetch(target.id);
+
+    if (type === 'timeout') {
+      if (!member.moderatable) throw new Error('I cannot timeout this user. They might have higher permissions than me.');
+      await member.timeout(durationMs, reason);
+    } else {
+      if (!member.kickable) throw new Error('I cannot kick this user. They might have higher permissions than me.');
+      await member.kick(reason);
+    }
+  }
+
+  const modCase = createModCase(guild, { type, target, moderator, reason, durationMs });
+
+  if (type === 'ban') {
+    const tempBanKey = `${guild.id}:${target.id}`;
+    if (durationMs) {
+      tempBans.set(tempBanKey, {
+        guildId: guild.id,
+        userId: target.id,
+        userTag: target.tag,
+        moderatorId: moderator.id,
+        reason,
+        caseNumber: modCase.number,
+        expiresAt: new Date(Date.now() + durationMs).toISOString()
+      });
+    } else {
+      tempBans.delete(tempBanKey);
+    }
+    await persistState();
+  }
+
+  return modCase;
+}
+
+// WARNING POLICIES
+// warnPolicies holds per-guild rules like "3 warnings in 30 days → 1h
+// timeout". Rules are keyed by their warning count. After every warning the
+// strictest rule the member has reached is applied, so a fourth warning under
+// a "3 → timeout" rule times the member out again. The punishment is only
+// applied if whoever gave the warning could have done it by hand.
+const WARN_POLICY_ACTIONS = {
+  timeout: 'Timeout',
+  kick: 'Kick',
+  ban: 'Ban'
+};
+const WARN_POLICY_PERMISSIONS = {
+  timeout: PermissionFlagsBits.ModerateMembers,
+  kick: PermissionFlagsBits.KickMembers,
+  ban: PermissionFlagsBits.BanMembers
+};
+const MAX_TIMEOUT_MINUTES = 40320; // 28 days (Discord max)
+
+function getWarnPolicyRules(guildId) {
+  return Object.values(warnPolicies.get(guildId)?.rules || {})
+    .sort((a, b) => a.warnings - b.warnings);
+}
+
+function describeWarnPolicyRule(rule) {
+  const duration = rule.durationMinutes ? ` for ${formatWait(rule.durationMinutes * 60000)}` : '';
+  return `${rule.warnings} warning${rule.warnings === 1 ? '' : 's'} in ${rule.windowDays} day${rule.windowDays === 1 ? '' : 's'} → ${WARN_POLICY_ACTIONS[rule.action]}${duration}`;
+}
+
+function countRecentWarnings(guildId, userId, windowDays, now = Date.now()) {
+  const cutoff = now - windowDays * 86400000;
+  return getUserCases(guildId, userId)
+    .filter(modCase => modCase.type === 'warn' && new Date(modCase.createdAt).getTime() >= cutoff)
+    .length;
+}
+
+// The strictest rule reached with `extra` more warnings, or null
+function getWarnPolicyMatch(guildId, userId, extra = 0) {
+  const rules = getWarnPolicyRules(guildId).reverse();
+  for (const rule of rules) {
+    const count = countRecentWarnings(guildId, userId, rule.windowDays) + extra;
+    if (count >= rule.warnings) return { rule, count };
+  }
+  return null;
+}
+
+// Why the moderator can't apply a rule's punishment to the target, or null.
+// They need the matching permission and a higher top role (unless they own
+// the server).
+async function getWarnPolicyBlock(guild, target, moderator, rule) {
+  const moderatorMember = await guild.members.fetch(moderator.id).catch(() => null);
+  if (!moderatorMember?.permissions.has(WARN_POLICY_PERMISSIONS[rule.action])) {
+    return `${moderator.tag} is not allowed to ${WARN_POLICY_ACTIONS[rule.action].toLowerCase()} members`;
+  }
+
+  const targetMember = await guild.members.fetch(target.id).catch(() => null);
+  if (!targetMember || moderatorMember.id === guild.ownerId) return null;
+
+  if (targetMember.id === guild.ownerId || targetMember.roles.highest.comparePositionTo(moderatorMember.roles.highest) >= 0) {
+    return `${target.tag}'s top role is not below ${moderator.tag}'s`;
+  }
+  return null;
+}
+
+// Apply the policy for a member who was just warned. Returns
+// { rule, modCase } when a punishment was applied, { rule, error } when it
+// failed, { rule, skipped } when the moderator may not punish the member,
+// or null when no rule applies.
+async function applyWarnPolicy(guild, target, warnCase, moderator) {
+  const match = getWarnPolicyMatch(guild.id, target.id);
+  if (!match) return null;
+
+  const { rule, count } = match;
+  const skipped = await getWarnPolicyBlock(guild, target, moderator, rule);
+  if (skipped) {
+    addLog('info', `Warning policy for ${target.tag} in ${guild.name} skipped: ${skipped}`);
+    return { rule, skipped };
+  }
+
+  const reason = `Automatic: ${count} warnings in ${rule.windowDays} days (case #${warnCase.number})`;
+
+  try {
+    const modCase = await applyPunishment(guild, {
+      type: rule.action,
+      target,
+      moderator: client.user,
+      reason,
+      durationMs: rule.durationMinutes ? rule.durationMinutes * 60000 : null
+    });
+    addLog('info', `Warning policy applied to ${target.tag} in ${guild.name}: ${describeWarnPolicyRule(rule)} (case #${modCase.number})`);
+    return { rule, modCase };
+  } catch (error) {
+    addLog('error', `Failed to apply warning policy to ${target.tag} in ${guild.name}: ${error.message}`);
+    return { rule, error };
+  }
+}
+
+// Record a warning, tell the member and run the warning policy
+async function issueWarning(guild, target, moderator, reason) {
+  const modCase = createModCase(guild, { type: 'warn', target, moderator, reason });
+
+  // Closed DMs are not an error
+  const notified = await target.send(`⚠️ You were warned in **${guild.name}**: ${reason}`)
+    .then(() => true)
+    .catch(() => false);
+
+  const escalation = await applyWarnPolicy(guild, target, modCase, moderator);
+  return { modCase, notified, escalation };
+}
+
+function formatEscalation(escalation) {
+  const action = describeWarnPolicyRule(escalation.rule);
+  if (escalation.skipped) return `${action} skipped: ${escalation.skipped}`;
+  return escalation.modCase
+    ? `${action} (case #${escalation.modCase.number})`
+    : `${action} failed: ${escalation.error.message}`;
+}
+
+// AUTOMOD
+// Every guild message runs through the enabled AutoMod rules in order. The
+// first rule that matches applies its actions (delete, warn, timeout, log) and
+// the rest are skipped. Warnings go through issueWarning, so warning policies
+// apply to AutoMod warnings too. Members who can manage messages are never
+// checked, and each rule can exempt channels and roles on top of the
+// exemptions shared by all rules.
+const AUTOMOD_RULES = {
+  words: 'Banned words',
+  invites: 'Invite links',
+  links: 'Links',
+  mentions: 'Mass mentions',
+  caps: 'Excessive caps',
+  flood: 'Flood and repeated messages'
+};
+const AUTOMOD_ACTIONS = ['delete', 'warn', 'timeout', 'log'];
+const AUTOMOD_LISTS = {
+  words: 'Banned words',
+  patterns: 'Banned regex patterns',
+  inviteAllow: 'Allowed invite codes',
+  linkAllow: 'Allowed domains',
+  linkDeny: 'Blocked domains'
+};
+const AUTOMOD_THRESHOLDS = {
+  mentions: 5,
+  capsPercent: 70,
+  capsMinLength: 10,
+  floodMessages: 5,
+  floodSeconds: 5,
+  repeats: 3
+};
+const INVITE_PATTERN = /(?:discord(?:app)?\.com\/invite|discord\.gg)\/([\w-]+)/gi;
+const URL_PATTERN = /https?:\/\/([^\s/?#<>]+)/gi;
+const AUTOMOD_HISTORY_SWEEP_MS = 60000; // Forget idle members every minute
+const automodHistory = new Collection();
+const automodFilters = new Collection(); // Compiled words and patterns per guild
+
+function getAutomodConfig(guildId) {
+  const config = automodConfig.get(guildId) || {};
+  return {
+    logChannelId: null,
+    exemptChannelIds: [],
+    exemptRoleIds: [],
+    ...Object.fromEntries(Object.keys(AUTOMOD_LISTS).map(key => [key, []])),
+    ...config,
+    thresholds: { ...AUTOMOD_THRESHOLDS, ...config.thresholds },
+    rules: Object.fromEntries(Object.keys(AUTOMOD_RULES).map(key => [key, {
+      enabled: false,
+      actions: ['delete', 'log'],
+      timeoutMinutes: 10,
+      exemptChannelIds: [],
+      exemptRoleIds: [],
+      ...config.rules?.[key]
+    }]))
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile a guild's banned words and patterns. Done when the AutoMod config is
+// saved (or first used after a restart), not for every message.
+function compileAutomodFilters(guildId, config) {
+  const filters = {
+    // Whole words in any script, so "ass" doesn't match "class" or "assez"
+    words: config.words.map(word => ({
+      word,
+      regex: new RegExp(`(?<!\\p{L})${escapeRegex(word)}(?!\\p{L})`, 'iu')
+    })),
+    patterns: []
+  };
+
+  for (const pattern of config.patterns) {
+    try {
+      filters.patterns.push({ pattern, regex: compileSafeRegex(pattern, 'i') });
+    } catch (error) {
+      // Patterns saved before they were checked
+      addLog('error', `Skipping AutoMod pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  automodFilters.set(guildId, filters);
+  return filters;
+}
+
+// Threads share the exemptions of their parent channel
+function isAutomodExempt(message, exemptChannelIds, exemptRoleIds) {
+  const channelIds = [message.channelId, message.channel.parentId].filter(Boolean);
+  return channelIds.some(id => exemptChannelIds.includes(id)) ||
+    exemptRoleIds.some(id => message.member.roles.cache.has(id));
+}
+
+function matchesDomain(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Remember recent messages per member for flood and repeat detection
+function trackAutomodHistory(message, windowMs) {
+  const key = `${message.guild.id}:${message.author.id}`;
+  const cutoff = message.createdTimestamp - windowMs;
+  const history = (automodHistory.get(key) || []).filter(entry => entry.at >= cutoff);
+  history.push({ at: message.createdTimestamp, content: message.content.trim().toLowerCase() });
+  automodHistory.set(key, history);
+  return history;
+}
+
+// Members are otherwise only pruned when they post again, so drop everyone
+// whose last message has left their server's flood window
+function sweepAutomodHistory() {
+  const now = Date.now();
+  for (const [key, history] of automodHistory) {
+    const [guildId] = key.split(':');
+    const windowMs = getAutomodConfig(guildId).thresholds.floodSeconds * 1000;
+    if (history[history.length - 1].at < now - windowMs) {
+      automodHistory.delete(key);
+    }
+  }
+}
+
+function startAutomodHistorySweep() {
+  setInterval(sweepAutomodHistory, AUTOMOD_HISTORY_SWEEP_MS);
+}
+
+// Each check returns a short description of the violation, or null
+const automodChecks = {
+  words(message, config) {
+    const content = message.content;
+    const filters = automodFilters.get(message.guild.id) || compileAutomodFilters(message.guild.id, config);
+
+    const word = filters.words.find(entry => entry.regex.test(content));
+    if (word) return `Banned word: ${word.word}`;
+
+    const pattern = filters.patterns.find(entry => testSafeRegex(entry.regex, content));
+    return pattern ? `Matched pattern: ${pattern.pattern}` : null;
+  },
+
+  invites(message, config) {
+    const allowed = [...config.inviteAllow, message.guild.vanityURLCode].filter(Boolean);
+    for (const [, code] of message.content.matchAll(INVITE_PATTERN)) {
+      if (!allowed.includes(code)) return `Invite link: discord.gg/${code}`;
+    }
+    return null;
+  },
+
+  // With an allow list only those domains may be posted; otherwise only the
+  // blocked domains are removed. Discord invites are left to the invites rule.
+  links(message, config) {
+    const content = message.content.replace(INVITE_PATTERN, '');
+    for (const [, rawHost] of content.matchAll(URL_PATTERN)) {
+      const host = rawHost.toLowerCase().replace(/^www\./, '').replace(/:\d+$/, '');
+      if (config.linkAllow.length > 0 ? !matchesDomain(host, config.linkAllow) : matchesDomain(host, config.linkDeny)) {
+        return `Link: ${host}`;
+      }
+    }
+    return null;
+  },
+
+  mentions(message, config) {
+    const count = message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+    return count > config.thresholds.mentions ? `${count} mentions` : null;
+  },
+
+  caps(message, config) {
+    const letters = message.content.match(/\p{L}/gu) || [];
+    if (letters.length < config.thresholds.capsMinLength) return null;
+
+    const upper = letters.filter(letter => /\p{Lu}/u.test(letter)).length;
+    const percent = Math.round(upper / letters.length * 100);
+    return percent >= config.thresholds.capsPercent ? `${percent}% caps` : null;
+  },
+
+  flood(message, config, history) {
+    const { floodMessages, floodSeconds, repeats } = config.thresholds;
+    if (history.length >= floodMessages) {
+      return `${history.length} messages in ${floodSeconds}s`;
+    }
+
+    const content = message.content.trim().toLowerCase();
+    const copies = content ? history.filter(entry => entry.content === content).length : 0;
+    return copies >= repeats ? `Same message sent ${copies} times` : null;
+  }
+};
+
+async function sendAutomodLog(message, config, ruleKey, violation, results) {
+  const channel = message.guild.channels.cache.get(config.logChannelId);
+  if (!channel) return;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🛡️ AutoMod: ${AUTOMOD_RULES[ruleKey]}`)
+    .addFields(
+      { name: 'User', value: `<@${message.author.id}> (${message.author.tag})`, inline: true },
+      { name: 'Channel', value: `<#${message.channelId}>`, inline: true },
+      { name: 'Violation', value: violation },
+      { name: 'Message', value: message.content ? message.content.slice(0, 1024) : '*No text*' },
+      { name: 'Actions', value: results.join('\n') || 'Logged only' }
+    )
+    .setColor('#FF6600')
+    .setTimestamp();
+
+  await channel.send({ embeds: [embed] }).catch(error => {
+    addLog('error', `Failed to send AutoMod log in ${message.guild.name}: ${error.message}`);
+  });
+}
+
+async function applyAutomodActions(message, config, ruleKey, violation) {
+  const rule = config.rules[ruleKey];
+  const reason = `AutoMod (${AUTOMOD_RULES[ruleKey].toLowerCase()}): ${violation}`;
+  const results = [];
+
+  if (rule.actions.includes('delete')) {
+    await message.delete()
+      .then(() => results.push('Message deleted'))
+      .catch(error => results.push(`Delete failed: ${error.message}`));
+  }
+
+  if (rule.actions.includes('warn')) {
+    const { modCase, escalation } = await issueWarning(message.guild, message.author, client.user, reason);
+    results.push(`Warned (case #${modCase.number})`);
+    if (escalation) results.push(formatEscalation(escalation));
+  }
+
+  if (rule.actions.includes('timeout')) {
+    try {
+      const modCase = await applyPunishment(message.guild, {
+        type: 'timeout',
+        target: message.author,
+        moderator: client.user,
+        reason,
+        durationMs: rule.timeoutMinutes * 60000
+      });
+      results.push(`Timed out for ${formatWait(rule.timeoutMinutes * 60000)} (case #${modCase.number})`);
+    } catch (error) {
+      results.push(`Timeout failed: ${error.message}`);
+    }
+  }
+
+  if (rule.actions.includes('log')) {
+    await sendAutomodLog(message, config, ruleKey, violation, results);
+  }
+
+  addLog('info', `AutoMod ${ruleKey} rule hit by ${message.author.tag} in ${message.guild.name}: ${violation}`);
+}
+
+async function runAutomod(message) {
+  if (!message.guild || !message.member || message.author.bot || message.system) return;
+
+  const stored = automodConfig.get(message.guild.id);
+  if (!stored) return;
+  if (message.member.permissions.has(PermissionFlagsBits.ManageMessages)) return;
+
+  const config = getAutomodConfig(message.guild.id);
+  if (isAutomodExempt(message, config.exemptChannelIds, config.exemptRoleIds)) return;
+
+  const history = config.rules.flood.enabled
+    ? trackAutomodHistory(message, config.thresholds.floodSeconds * 1000)
+    : [];
+
+  for (const [ruleKey, rule] of Object.entries(config.rules)) {
+    if (!rule.enabled || isAutomodExempt(message, rule.exemptChannelIds, rule.exemptRoleIds)) continue;
+
+    const violation = automodChecks[ruleKey](message, config, history);
+    if (!violation) continue;
+
+    // Start counting again so the same burst isn't punished once per message
+    if (ruleKey === 'flood') {
+      automodHistory.delete(`${message.guild.id}:${message.author.id}`);
+    }
+
+    try {
+      await applyAutomodActions(message, config, ruleKey, violation);
+    } catch (error) {
+      addLog('error', `AutoMod failed on a message from ${message.author.tag}: ${error.message}`);
+    }
+    return;
+  }
+}
+
+// PURGE
+// /purge pages back through the channel history until it has found enough
+// matching messages. Discord only bulk deletes messages younger than 14 days,
+// so the scan stops at the first older message, and it gives up after
+// PURGE_SCAN_LIMIT messages so a narrow filter can't walk the whole channel.
+const PURGE_MAX_AMOUNT = 1000;
+const PURGE_SCAN_LIMIT = 5000;
+const BULK_DELETE_MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+function describePurgeFilters(filters) {
+  return [
+    filters.user && `from ${filters.user.tag}`,
+    filters.botsOnly && 'from bots',
+    filters.contains && `containing "${filters.contains}"`,
+    filters.regex && `matching /${filters.regex.source}/`,
+    filters.has && `with ${PURGE_CONTENT_TYPES[filters.has].toLowerCase()}`,
+    filters.before && `before ${filters.before}`,
+    filters.after && `after ${filters.after}`
+  ].filter(Boolean);
+}
+
+// Newest first. Returns the matches and why the scan stopped early, if it did.
+async function findPurgeMessages(channel, amount, filters) {
+  const matches = [];
+  const cutoff = Date.now() - BULK_DELETE_MAX_AGE_MS;
+  let before = filters.before || undefined;
+  let scanned = 0;
+  let stoppedBy = null;
+
+  while (matches.length < amount && !stoppedBy) {
+    if (scanned >= PURGE_SCAN_LIMIT) {
+      stoppedBy = `scanned the last ${PURGE_SCAN_LIMIT} messages`;
+      break;
+    }
+
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    if (batch.size === 0) break;
+    scanned += batch.size;
+
+    for (const message of batch.values()) {
+      if (filters.after && BigInt(message.id) <= BigInt(filters.after)) {
+        stoppedBy = 'reached the `after` message';
+        break;
+      }
+      if (message.createdTimestamp < cutoff) {
+        stoppedBy = 'reached messages older than 14 days';
+        break;
+      }
+      if (matchesPurgeFilters(message, filters)) {
+        matches.push(message);
+        if (matches.length >= amount) break;
+      }
+    }
+
+    if (batch.size < 100) break;
+    before = batch.lastKey();
+  }
+
+  return { messages: matches, scanned, stoppedBy };
+}
+
+// Bulk delete in chunks of 100 (Discord's limit per request). Stops at the
+// first chunk that fails; returns { deletedIds, error } so the chunks that
+// were already deleted are still reported.
+async function deletePurgeMessages(channel, messages) {
+  // Messages may have crossed the 14 day limit since the scan. Count the IDs
+  // that were sent: the Collection bulkDelete returns for a single uncached
+  // message is empty even though it was deleted.
+  const ids = messages
+    .filter(message => Date.now() - message.createdTimestamp < BULK_DELETE_MAX_AGE_MS)
+    .map(message => message.id);
+  const deletedIds = new Set();
+
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = ids.slice(i, i + 100);
+    try {
+      await channel.bulkDelete(batch);
+    } catch (error) {
+      return { deletedIds, error };
+    }
+    for (const id of batch) deletedIds.add(id);
+  }
+  return { deletedIds, error: null };
+}
+
+function renderPurgeLog(channel, moderator, filters, messages) {
+  const lines = [
+    `Purge in #${channel.name} - ${channel.guild.name}`,
+    `Purged by: ${moderator.tag}`,
+    `Purged at: ${new Date().toISOString()}`,
+    `Filters: ${describePurgeFilters(filters).join(', ') || 'none'}`,
+    `Messages: ${messages.length}`,
+    ''
+  ];
+
+  const oldestFirst = [...messages].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+  for (const message of oldestFirst) {
+    lines.push(...renderTranscriptMessageText(serializeTranscriptMessage(message)));
+  }
+
+  return lines.join('\n');
+}
+
+// TICKETS
+// Tickets are tracked by channel ID. Closing archives a ticket: the opener and
+// participants keep read access but can no longer write, and staff can reopen
+// it. Deleting the channel is a separate, optional step.
+// In thread mode a ticket is a private thread in the panel channel instead of
+// a channel. Threads have no permission overwrites, so access is thread
+// membership and closing locks the thread.
+const TICKET_PRIORITIES = {
+  low: '🟢 Low',
+  normal: '🔵 Normal',
+  high: '🟠 High',
+  urgent: '🔴 Urgent'
+};
+
+// Support role members and anyone who can manage channels count as staff.
+// For typed tickets the type's own support role counts as well.
+function isTicketStaff(member, config, ticket = null) {
+  if (!member) return false;
+  if (member.permissions.has(PermissionFlagsBits.ManageChannels)) return true;
+  if (!config) return false;
+  return member.roles.cache.has(config.supportRoleId) ||
+    member.roles.cache.has(getTicketSupportRoleId(config, ticket));
+}
+
+function buildTicketControls(ticket) {
+  if (ticket.status === 'closed') {
+    return new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('ticket_reopen')
+          .setLabel('Reopen')
+          .setStyle(ButtonStyle.Success)
+          .setEmoji('🔓'),
+        new ButtonBuilder()
+          .setCustomId('ticket_delete')
+          .setLabel('Delete')
+          .setStyle(ButtonStyle.Danger)
+          .setEmoji('🗑️')
+      );
+  }
+
+  return new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId('ticket_claim')
+        .setLabel('Claim')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('🙋'),
+      new ButtonBuilder()
+        .setCustomId(`close_ticket_${ticket.number}`)
+        .setLabel('Close Ticket')
+        .setStyle(ButtonStyle.Danger)
+    );
+}
+
+// Everyone whose write access follows the ticket's open/closed state
+function getTicketMembers(ticket) {
+  return [ticket.openerId, ...ticket.participants];
+}
+
+// Let members write in a ticket, or stop them (they keep read access)
+async function setTicketWriteAccess(channel, ticket, canSend) {
+  if (channel.isThread()) {
+    await channel.setLocked(!canSend).catch(() => {});
+    return;
+  }
+
+  for (const userId of getTicketMembers(ticket)) {
+    await channel.permissionOverwrites.edit(userId, { SendMessages: canSend }).catch(() => {});
+  }
+}
+
+async function grantTicketAccess(channel, ticket, userId) {
+  if (channel.isThread()) {
+    await channel.members.add(userId);
+    return;
+  }
+
+  await channel.permissionOverwrites.edit(userId, {
+    ViewChannel: true,
+    ReadMessageHistory: true,
+    SendMessages: ticket.status === 'open'
+  });
+}
+
+async function revokeTicketAccess(channel, userId) {
+  if (channel.isThread()) {
+    await channel.members.remove(userId);
+    return;
+  }
+
+  await channel.permissionOverwrites.delete(userId);
+}
+
+async function closeTicket(channel, ticket, closedBy) {
+  ticket.status = 'closed';
+  ticket.closedAt = new Date().toISOString();
+  ticket.closedBy = closedBy.id;
+  recordTicketResolved(ticket, closedBy);
+  await persistState();
+
+  await setTicketWriteAccess(channel, ticket, false);
+
+  addLog('info', `Ticket #${ticket.number} closed by ${closedBy.tag} in ${channel.guild.name}`);
+  logTicketEvent(channel.guild, ticket, 'Closed', closedBy, 0xFF0000);
+}
+
+async function reopenTicket(channel, ticket, reopenedBy) {
+  ticket.status = 'open';
+  ticket.closedAt = null;
+  ticket.closedBy = null;
+  // Start the inactivity clock over
+  ticket.lastActivityAt = new Date().toISOString();
+  ticket.inactivityWarnedAt = null;
+  recordTicketResolved(ticket, null);
+  await persistState();
+
+  await setTicketWriteAccess(channel, ticket, true);
+
+  addLog('info', `Ticket #${ticket.number} reopened by ${reopenedBy.tag} in ${channel.guild.name}`);
+  logTicketEvent(channel.guild, ticket, 'Reopened', reopenedBy, 0x00FF00);
+}
+
+// Forget the ticket and delete its channel after a short delay
+async function deleteTicket(channel, ticket, deletedBy) {
+  tickets.delete(channel.id);
+  ticketActivitySavedAt.delete(channel.id);
+  await persistState();
+  logTicketEvent(channel.guild, ticket, 'Deleted', deletedBy, 0x808080);
+
+  // Delay channel deletion by 5 seconds to allow users to see the message
+  setTimeout(async () => {
+    try {
+      await channel.delete();
+      addLog('info', `Ticket #${ticket.number} deleted by ${deletedBy.tag}`);
+    } catch (error) {
+      addLog('error', `Failed to delete ticket channel: ${error.message}`);
+    }
+  }, 5000);
+}
+
+// Claim a ticket for a staff member. Returns an error message or null.
+async function claimTicket(ticket, user) {
+  if (ticket.claimedBy === user.id) {
+    return 'You have already claimed this ticket.';
+  }
+  if (ticket.claimedBy) {
+    return `This ticket is already claimed by <@${ticket.claimedBy}>.`;
+  }
+
+  ticket.claimedBy = user.id;
+  recordTicketClaimed(ticket, user);
+  await persistState();
+  addLog('info', `Ticket #${ticket.number} claimed by ${user.tag}`);
+  logTicketEvent(client.guilds.cache.get(ticket.guildId), ticket, 'Claimed', user);
+  return null;
+}
+
+// TICKET TYPES
+// Admins can define ticket types (Billing, Bug Report, ...) in
+// ticketConfig.types, keyed by a slug of the name. A type can override the
+// support role and category from /ticket setup and ask up to five questions
+// in a modal before the ticket is created.
+const TICKET_FORM_MAX_QUESTIONS = 5;
+const TICKET_MAX_TYPES = 25;
+
+function getTicketTypeKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32);
+}
+
+function getTicketType(config, key) {
+  return (key && config?.types?.[key]) || null;
+}
+
+// Questions are separated by semicolons, e.g. `Order ID; What went wrong?`
+function parseTicketQuestions(input) {
+  if (!input) return [];
+
+  const questions = input.split(';')
+    .map(question => question.trim())
+    .filter(Boolean);
+
+  if (questions.length > TICKET_FORM_MAX_QUESTIONS) {
+    throw new Error(`A ticket form can have at most ${TICKET_FORM_MAX_QUESTIONS} questions.`);
+  }
+  const tooLong = questions.find(question => question.length > 45);
+  if (tooLong) {
+    throw new Error(`Question \`${tooLong}\` is longer than 45 characters.`);
+  }
+
+  return questions;
+}
+
+function getTicketSupportRoleId(config, ticket) {
+  return getTicketType(config, ticket?.type)?.supportRoleId || config.supportRoleId;
+}
+
+function buildTicketPanelComponents(config, style) {
+  const types = Object.values(config.types || {});
+
+  if (types.length === 0) {
+    return [new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('create_ticket')
+          .setLabel('Create Ticket')
+          .setStyle(ButtonStyle.Primary)
+          .setEmoji('🎫')
+      )];
+  }
+
+  if (style === 'select') {
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId('create_ticket_select')
+      .setPlaceholder('Choose a ticket type')
+      .addOptions(types.map(type => {
+        const option = { label: type.name, value: type.key };
+        if (type.description) option.description = type.description.slice(0, 100);
+        if (type.emoji) option.emoji = type.emoji;
+        return option;
+      }));
+    return [new ActionRowBuilder().addComponents(menu)];
+  }
+
+  // Up to five buttons per row
+  const rows = [];
+  types.forEach((type, index) => {
+    if (index % 5 === 0) rows.push(new ActionRowBuilder());
+    const button = new ButtonBuilder()
+      .setCustomId(`create_ticket_${type.key}`)
+      .setLabel(type.name)
+      .setStyle(ButtonStyle.Primary);
+    if (type.emoji) button.setEmoji(type.emoji);
+    rows[rows.length - 1].addComponents(button);
+  });
+  return rows;
+}
+
+function buildTicketFormModal(type) {
+  const modal = new ModalBuilder()
+    .setCustomId(`ticket_form_${type.key}`)
+    .setTitle(`${type.name} Ticket`.slice(0, 45));
+
+  type.questions.forEach((question, index) => {
+    const input = new TextInputBuilder()
+      .setCustomId(`ticket_q_${index}`)
+      .setLabel(question)
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(1024);
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+  });
+
+  return modal;
+}
+
+// A private channel in the ticket category, or a private thread in the panel
+// channel when the ticket system runs in thread mode
+async function createTicketChannel(guild, user, config, type, supportRoleId) {
+  const name = `${type ? type.key : 'ticket'}-${config.count}`;
+
+  if (config.mode === 'thread') {
+    const panelChannel = guild.channels.cache.get(config.channelId);
+    if (!panelChannel) {
+      throw new Error('The ticket panel channel no longer exists.');
+    }
+
+    const thread = await panelChannel.threads.create({
+      name,
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+      reason: `Ticket for ${user.tag}`
+    });
+    await thread.members.add(user.id);
+
+    await guild.members.fetch();
+    const supportRole = guild.roles.cache.get(supportRoleId);
+    for (const member of supportRole ? supportRole.members.values() : []) {
+      if (member.user.bot) continue;
+      await thread.members.add(member.id).catch(() => {});
+    }
+
+    return thread;
+  }
+
+  return guild.channels.create({
+    name,
+    type: ChannelType.GuildText,
+    parent: type?.categoryId || config.categoryId,
+    permissionOverwrites: [
+      {
+        id: guild.id,
+        deny: [PermissionFlagsBits.ViewChannel]
+      },
+      {
+        id: user.id,
+        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
+      },
+      {
+        id: supportRoleId,
+        allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
+      }
+    ]
+  });
+}
+
+// Create a ticket channel for the member behind an interaction. Answers from
+// the intake form are posted as the first embed in the channel.
+async function createTicket(interaction, config, type = null, answers = []) {
+  // Guard against double clicks while the channel is still being created
+  const pendingKey = `${interaction.guild.id}:${interaction.user.id}`;
+  if (pendingTicketCreations.has(pendingKey)) {
+    await interaction.reply({ content: 'Your ticket is already being created.', ephemeral: true });
+    return;
+  }
+
+  pendingTicketCreations.add(pendingKey);
+
+  const blocked = await getTicketCreationBlock(interaction.guild, config, interaction.user, type);
+  if (blocked) {
+    pendingTicketCreations.delete(pendingKey);
+    await interaction.reply({ content: blocked, ephemeral: true });
+    return;
+  }
+
+  // Increment ticket count
+  config.count++;
+  recordTicketCreation(config, interaction.user.id);
+  await persistState();
+
+  const supportRoleId = type?.supportRoleId || config.supportRoleId;
+
+  // Adding support staff to a thread can take a while on big servers
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const ticketChannel = await createTicketChannel(interaction.guild, interaction.user, config, type, supportRoleId);
+
+    const ticket = {
+      number: config.count,
+      guildId: interaction.guild.id,
+      channelId: ticketChannel.id,
+      type: type ? type.key : null,
+      openerId: interaction.user.id,
+      openerTag: interaction.user.tag,
+      status: 'open',
+      claimedBy: null,
+      priority: 'normal',
+      participants: [],
+      createdAt: new Date().toISOString(),
+      lastActivityAt: new Date().toISOString(),
+      inactivityWarnedAt: null,
+      closedAt: null,
+      closedBy: null
+    };
+    tickets.set(ticketChannel.id, ticket);
+    recordTicketOpened(ticket);
+    await persistState();
+    logTicketEvent(interaction.guild, ticket, type ? `Opened (${type.name})` : 'Opened', interaction.user, 0x00FF00);
+
+    // Send initial message in ticket channel
+    const embed = new EmbedBuilder()
+      .setTitle(type ? `Ticket #${config.count} · ${type.name}` : `Ticket #${config.count}`)
+      .setDescription(`Ticket created by ${interaction.user.tag}. Support team will be with you shortly.`)
+      .setColor('#5865F2')
+      .setTimestamp();
+
+    if (answers.length > 0) {
+      embed.addFields(answers.map(({ question, answer }) => ({ name: question, value: answer })));
+    }
+
+    await ticketChannel.send({
+      content: `<@${interaction.user.id}> <@&${supportRoleId}>`,
+      embeds: [embed],
+      components: [buildTicketControls(ticket)]
+    });
+
+    await interaction.editReply(`Your ticket has been created: <#${ticketChannel.id}>`);
+
+    addLog('info', `Ticket #${config.count}${type ? ` (${type.name})` : ''} created by ${interaction.user.tag} in ${interaction.guild.name}`);
+  } catch (error) {
+    await interaction.editReply(`Failed to create ticket: ${error.message}`);
+    addLog('error', `Failed to create ticket for ${interaction.user.tag}: ${error.message}`);
+  } finally {
+    pendingTicketCreations.delete(pendingKey);
+  }
+}
+
+// Entry point for the panel buttons and select menu: show the intake form if
+// the type has questions, otherwise create the ticket right away
+async function startTicketCreation(interaction, typeKey) {
+  if (!interaction.guild) return;
+
+  const config = ticketConfig.get(interaction.guild.id);
+  if (!config) {
+    await interaction.reply({
+      content: 'Ticket system is not properly configured.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  const type = getTicketType(config, typeKey);
+  if (typeKey && !type) {
+    await interaction.reply({
+      content: 'This ticket type no longer exists.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (type?.questions.length) {
+    // Check limits first so nobody fills in the form for nothing
+    const blocked = await getTicketCreationBlock(interaction.guild, config, interaction.user, type);
+    if (blocked) {
+      await interaction.reply({ content: blocked, ephemeral: true });
+      return;
+    }
+
+    await interaction.showModal(buildTicketFormModal(type));
+    return;
+  }
+
+  await createTicket(interaction, config, type);
+}
+
+// TICKET LIMITS AND INACTIVITY
+// Limits live on ticketConfig (maxOpenTickets, cooldownMinutes) and are checked
+// before the intake form is shown and again when the ticket is created.
+// Inactivity is tracked with timestamps on the ticket record and checked by a
+// poll, so warnings and auto-closes carry on after a restart.
+const TICKET_DEFAULT_MAX_OPEN = 0; // No limit unless a server sets one
+const TICKET_DEFAULT_GRACE_HOURS = 24;
+const TICKET_INACTIVITY_INTERVAL_MS = 60000; // Check for inactive tickets every minute
+const TICKET_ACTIVITY_SAVE_MS = 5 * 60000; // Save plain activity at most every 5 minutes per ticket
+const pendingTicketCreations = new Set();
+const ticketActivitySavedAt = new Map();
+let ticketInactivityBusy = false;
+
+async function getOpenTickets(guild, userId) {
+  const open = [];
+
+  for (const ticket of tickets.values()) {
+    if (ticket.guildId !== guild.id || ticket.openerId !== userId || ticket.status !== 'open') continue;
+
+    // Archived ticket threads drop out of the cache, so ask the API before
+    // treating a ticket as gone
+    if (!guild.channels.cache.has(ticket.channelId)) {
+      try {
+        await guild.channels.fetch(ticket.channelId);
+      } catch (error) {
+        if (error.code === RESTJSONErrorCodes.UnknownChannel) continue;
+      }
+    }
+
+    open.push(ticket);
+  }
+
+  return open;
+}
+
+// Returns why a member can't open a ticket right now, or null if they can
+async function getTicketCreationBlock(guild, config, user, type) {
+  const open = await getOpenTickets(guild, user.id);
+  const sameType = open.find(ticket => ticket.type === (type ? type.key : null));
+
+  if (sameType) {
+    return `You already have an open ${type ? `**${type.name}** ` : ''}ticket: <#${sameType.channelId}>`;
+  }
+
+  const maxOpen = config.maxOpenTickets ?? TICKET_DEFAULT_MAX_OPEN;
+  if (maxOpen && open.length >= maxOpen) {
+    return `You can only have ${maxOpen} open ticket${maxOpen === 1 ? '' : 's'} at a time. Please continue in ${open.map(ticket => `<#${ticket.channelId}>`).join(', ')}.`;
+  }
+
+  const lastCreated = config.lastTicketAt?.[user.id];
+  const cooldownMs = (config.cooldownMinutes || 0) * 60000;
+  if (cooldownMs && lastCreated) {
+    const wait = new Date(lastCreated).getTime() + cooldownMs - Date.now();
+    if (wait > 0) {
+      return `Please wait ${formatWait(wait)} before opening another ticket.`;
+    }
+  }
+
+  return null;
+}
+
+// Remember when a member last opened a ticket, dropping expired cooldowns
+function recordTicketCreation(config, userId) {
+  const cooldownMs = (config.cooldownMinutes || 0) * 60000;
+  const now = Date.now();
+
+  config.lastTicketAt = Object.fromEntries(Object.entries(config.lastTicketAt || {})
+    .filter(([, createdAt]) => new Date(createdAt).getTime() + cooldownMs > now));
+  if (cooldownMs) {
+    config.lastTicketAt[userId] = new Date(now).toISOString();
+  }
+}
+
+// Any message from a person counts as activity and cancels a pending warning
+function recordTicketActivity(message) {
+  if (message.author.bot) return;
+
+  const ticket = tickets.get(message.channelId);
+  if (!ticket || ticket.status !== 'open') return;
+
+  const wasWarned = Boolean(ticket.inactivityWarnedAt);
+  ticket.lastActivityAt = message.createdAt.toISOString();
+  ticket.inactivityWarnedAt = null;
+  const firstResponse = recordTicketResponse(ticket, message);
+
+  // Activity is only needed for hour-long inactivity timers, so plain
+  // messages are saved at most every few minutes
+  const now = Date.now();
+  if (wasWarned || firstResponse || now - (ticketActivitySavedAt.get(ticket.channelId) || 0) >= TICKET_ACTIVITY_SAVE_MS) {
+    ticketActivitySavedAt.set(ticket.channelId, now);
+    persistState();
+  }
+}
+
+async function checkInactiveTicket(ticket, config, now) {
+  const guild = client.guilds.cache.get(ticket.guildId);
+  if (!guild) return;
+
+  // Archived ticket threads drop out of the cache, so fall back to the API
+  let channel = guild.channels.cache.get(ticket.channelId);
+  if (!channel) {
+    try {
+      channel = await guild.channels.fetch(ticket.channelId);
+    } catch (error) {
+      if (error.code !== RESTJSONErrorCodes.UnknownChannel) {
+        // Try again on the next sweep
+        addLog('error', `Could not fetch the channel of ticket #${ticket.number} in ${guild.name}: ${error.message}`);
+        return;
+      }
+
+      // The channel was deleted by hand, so stop tracking the ticket
+      tickets.delete(ticket.channelId);
+      ticketActivitySavedAt.delete(ticket.channelId);
+      persistState();
+      return;
+    }
+  }
+
+  const graceHours = config.inactivityGraceHours ?? TICKET_DEFAULT_GRACE_HOURS;
+
+  if (!ticket.inactivityWarnedAt) {
+    const lastActivity = new Date(ticket.lastActivityAt || ticket.createdAt).getTime();
+    if (now - lastActivity < config.inactivityHours * 3600000) return;
+
+    ticket.inactivityWarnedAt = new Date(now).toISOString();
+    persistState();
+
+    await channel.send({
+      content: `<@${ticket.openerId}>`,
+      embeds: [new EmbedBuilder()
+        .setTitle('⏰ Inactive Ticket')
+        .setDescription(`This ticket has had no activity for ${config.inactivityHours} hour${config.inactivityHours === 1 ? '' : 's'}. It will be closed automatically in ${graceHours} hour${graceHours === 1 ? '' : 's'} unless someone replies.`)
+        .setColor('#FFA500')
+        .setTimestamp()]
+    });
+    addLog('info', `Ticket #${ticket.number} in ${guild.name} warned for inactivity`);
+    return;
+  }
+
+  if (now - new Date(ticket.inactivityWarnedAt).getTime() < graceHours * 3600000) return;
+
+  const { failures } = await exportTicketTranscript(channel, ticket, client.user);
+  await closeTicket(channel, ticket, client.user);
+  await channel.send({
+    content: failures.length ? describeTranscriptFailures(failures) : undefined,
+    embeds: [new EmbedBuilder()
+      .setTitle('Ticket Closed')
+      .setDescription('Ticket was closed automatically due to inactivity. The support team can reopen or delete it.')
+      .setColor('#FF0000')
+      .setTimestamp()],
+    components: [buildTicketControls(ticket)]
+  });
+}
+
+async function checkInactiveTickets() {
+  if (ticketInactivityBusy) return;
+  ticketInactivityBusy = true;
+
+  try {
+    const now = Date.now();
+
+    for (const ticket of [...tickets.values()]) {
+      const config = ticketConfig.get(ticket.guildId);
+      if (ticket.status !== 'open' || !config?.inactivityHours) continue;
+
+      try {
+        await checkInactiveTicket(ticket, config, now);
+      } catch (error) {
+        addLog('error', `Inactivity check failed for ticket #${ticket.number}: ${error.message}`);
+      }
+    }
+  } finally {
+    ticketInactivityBusy = false;
+  }
+}
+
+function startTicketInactivityChecks() {
+  checkInactiveTickets();
+  setInterval(checkInactiveTickets, TICKET_INACTIVITY_INTERVAL_MS);
+}
+
+// TICKET METRICS
+// Every ticket gets a metrics record (keyed guildId:number) that outlives the
+// ticket itself, so /ticket stats can report response and resolution times
+// after ticket channels are deleted.
+const TICKET_METRICS_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const TICKET_REPORT_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000; // Weekly summary
+const TICKET_REPORT_CHECK_MS = 15 * 60 * 1000;
+const TICKET_STATS_RANGES = {
+  day: { label: 'Last 24 Hours', ms: 24 * 60 * 60 * 1000 },
+  week: { label: 'Last 7 Days', ms: 7 * 24 * 60 * 60 * 1000 },
+  month: { label: 'Last 30 Days', ms: 30 * 24 * 60 * 60 * 1000 }
+};
+
+function getTicketMetric(ticket) {
+  return ticketMetrics.get(`${ticket.guildId}:${ticket.number}`);
+}
+
+function recordTicketOpened(ticket) {
+  const cutoff = Date.now() - TICKET_METRICS_RETENTION_MS;
+  for (const [key, metric] of ticketMetrics) {
+    if (new Date(metric.createdAt).getTime() < cutoff) ticketMetrics.delete(key);
+  }
+
+  ticketMetrics.set(`${ticket.guildId}:${ticket.number}`, {
+    guildId: ticket.guildId,
+    number: ticket.number,
+    type: ticket.type,
+    openerId: ticket.openerId,
+    createdAt: ticket.createdAt,
+    firstResponseAt: null,
+    firstResponderId: null,
+    claimedBy: null,
+    resolvedAt: null,
+    resolvedBy: null
+  });
+}
+
+// The first message from a staff member other than the opener
+// Returns true when this message was the first staff response
+function recordTicketResponse(ticket, message) {
+  const metric = getTicketMetric(ticket);
+  if (!metric || metric.firstResponseAt || message.author.id === ticket.openerId) return false;
+  if (!isTicketStaff(message.member, ticketConfig.get(ticket.guildId), ticket)) return false;
+
+  metric.firstResponseAt = message.createdAt.toISOString();
+  metric.firstResponderId = message.author.id;
+  return true;
+}
+
+function recordTicketClaimed(ticket, user) {
+  const metric = getTicketMetric(ticket);
+  if (metric) metric.claimedBy = user.id;
+}
+
+// Reopening clears the resolution so the ticket counts as open again
+function recordTicketResolved(ticket, user) {
+  const metric = getTicketMetric(ticket);
+  if (!metric) return;
+
+  metric.resolvedAt = user ? new Date().toISOString() : null;
+  metric.resolvedBy = user ? user.id : null;
+}
+
+function getMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function getAverage(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function computeTicketStats(guildId, rangeMs, now = Date.now()) {
+  const since = now - rangeMs;
+  const metrics = [...ticketMetrics.values()].filter(metric => metric.guildId === guildId);
+  const inRange = date => date && new Date(date).getTime() >= since;
+
+  const opened = metrics.filter(metric => inRange(metric.createdAt));
+  const resolved = metrics.filter(metric => inRange(metric.resolvedAt));
+  const responseTimes = metrics
+    .filter(metric => inRange(metric.firstResponseAt))
+    .map(metric => new Date(metric.firstResponseAt) - new Date(metric.createdAt));
+  const resolutionTimes = resolved
+    .map(metric => new Date(metric.resolvedAt) - new Date(metric.createdAt));
+
+  // A ticket is handled by whoever claimed it, or else the first staff member to reply
+  const staff = new Map();
+  const getStaff = id => {
+    if (!staff.has(id)) staff.set(id, { id, handled: 0, closed: 0 });
+    return staff.get(id);
+  };
+  for (const metric of opened) {
+    const handlerId = metric.claimedBy || metric.firstResponderId;
+    if (handlerId) getStaff(handlerId).handled++;
+  }
+  for (const metric of resolved) {
+    if (metric.resolvedBy && metric.resolvedBy !== metric.openerId && metric.resolvedBy !== client.user?.id) {
+      getStaff(metric.resolvedBy).closed++;
+    }
+  }
+
+  const open = [...tickets.values()].filter(ticket => ticket.guildId === guildId && ticket.status === 'open');
+  const oldestOpen = open.reduce((oldest, ticket) =>
+    !oldest || ticket.createdAt < oldest ? ticket.createdAt : oldest, null);
+
+  return {
+    opened: opened.length,
+    resolved: resolved.length,
+    firstResponse: { average: getAverage(responseTimes), median: getMedian(responseTimes), count: responseTimes.length },
+    resolution: { average: getAverage(resolutionTimes), median: getMedian(resolutionTimes) },
+    staff: [...staff.values()].sort((a, b) => (b.handled + b.closed) - (a.handled + a.closed)),
+    backlog: {
+      open: open.length,
+      unclaimed: open.filter(ticket => !ticket.claimedBy).length,
+      oldestOpenAt: oldestOpen
+    }
+  };
+}
+
+function buildTicketStatsEmbed(guild, rangeKey) {
+  const range = TICKET_STATS_RANGES[rangeKey];
+  const stats = computeTicketStats(guild.id, range.ms);
+  const formatTime = ms => (ms === null ? 'N/A' : formatWait(ms));
+
+  const staffLines = stats.staff.slice(0, 10)
+    .map(member => `<@${member.id}> - ${member.handled} handled, ${member.closed} closed`);
+
+  return new EmbedBuilder()
+    .setTitle(`📊 Ticket Stats - ${range.label}`)
+    .setColor('#5865F2')
+    .addFields(
+      { name: 'Opened', value: `${stats.opened}`, inline: true },
+      { name: 'Resolved', value: `${stats.resolved}`, inline: true },
+      { name: 'Responded To', value: `${stats.firstResponse.count}`, inline: true },
+      {
+        name: 'First Staff Response',
+        value: `Average: ${formatTime(stats.firstResponse.average)}\nMedian: ${formatTime(stats.firstResponse.median)}`,
+        inline: true
+      },
+      {
+        name: 'Time to Resolution',
+        value: `Average: ${formatTime(stats.resolution.average)}\nMedian: ${formatTime(stats.resolution.median)}`,
+        inline: true
+      },
+      {
+        name: 'Backlog',
+        value: [
+          `Open: ${stats.backlog.open}`,
+          `Unclaimed: ${stats.backlog.unclaimed}`,
+          stats.backlog.oldestOpenAt ? `Oldest: <t:${Math.floor(new Date(stats.backlog.oldestOpenAt).getTime() / 1000)}:R>` : null
+        ].filter(Boolean).join('\n'),
+        inline: true
+      },
+      { name: 'Tickets per Staff Member', value: staffLines.join('\n') || 'No staff activity yet' }
+    )
+    .setFooter({ text: guild.name })
+    .setTimestamp();
+}
+
+// Post the weekly summary to guilds that enabled it. The last post time is
+// stored on ticketConfig so the schedule holds across restarts.
+async function sendTicketReports() {
+  const now = Date.now();
+
+  for (const [guildId, config] of ticketConfig) {
+    if (!config.reportChannelId) continue;
+    if (config.lastReportAt && now - new Date(config.lastReportAt).getTime() < TICKET_REPORT_INTERVAL_MS) continue;
+
+    const guild = client.guilds.cache.get(guildId);
+    const channel = guild?.channels.cache.get(config.reportChannelId);
+    if (!channel) continue;
+
+    config.lastReportAt = new Date(now).toISOString();
+    persistState();
+
+    try {
+      await channel.send({
+        content: '🗓️ Weekly ticket summary',
+        embeds: [buildTicketStatsEmbed(guild, 'week')],
+        allowedMentions: { parse: [] }
+      });
+      addLog('info', `Weekly ticket summary posted in ${guild.name}`);
+    } catch (error) {
+      addLog('error', `Failed to post weekly ticket summary in ${guild.name}: ${error.message}`);
+    }
+  }
+}
+
+function startTicketReports() {
+  sendTicketReports();
+  setInterval(sendTicketReports, TICKET_REPORT_CHECK_MS);
+}
+
+// TICKET TRANSCRIPTS
+// A transcript is a plain object ({ ticket, messages }) that is rendered as a
+// self-contained HTML page, a plain-text log and the raw JSON.
+const TRANSCRIPT_MESSAGE_LIMIT = 5000;
+// Discord attachment URLs expire, so small images are copied into the HTML
+// page. Everything else stays a link that stops working after a while.
+const TRANSCRIPT_IMAGE_MAX_BYTES = 512 * 1024;
+const TRANSCRIPT_IMAGES_MAX_BYTES = 4 * 1024 * 1024;
+
+// Fetch the channel history oldest first, 100 messages per request
+async function fetchChannelHistory(channel, limit = TRANSCRIPT_MESSAGE_LIMIT) {
+  const messages = [];
+  let before;
+
+  while (messages.length < limit) {
+    const batch = await channel.messages.fetch({ limit: 100, before });
+    if (batch.size === 0) break;
+
+    messages.push(...batch.values());
+    before = batch.lastKey();
+    if (batch.size < 100) break;
+  }
+
+  return messages
+    .slice(0, limit)
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+}
+
+function serializeTranscriptMessage(message) {
+  return {
+    id: message.id,
+    author: {
+      id: message.author.id,
+      tag: message.author.tag,
+      bot: message.author.bot
+    },
+    content: message.content,
+    createdAt: message.createdAt.toISOString(),
+    editedAt: message.editedAt ? message.editedAt.toISOString() : null,
+    attachments: message.attachments.map(attachment => ({
+      name: attachment.name,
+      url: attachment.url,
+      size: attachment.size,
+      contentType: attachment.contentType
+    })),
+    embeds: message.embeds.map(embed => embed.toJSON())
+  };
+}
+
+// Untracked (legacy) ticket channels are exported with only the channel details
+async function buildTicketTranscript(channel, ticket, closedBy) {
+  const history = await fetchChannelHistory(channel);
+
+  return {
+    ticket: {
+      number: ticket ? ticket.number : null,
+      guild: { id: channel.guild.id, name: channel.guild.name },
+      channel: { id: channel.id, name: channel.name },
+      openerId: ticket ? ticket.openerId : null,
+      openerTag: ticket ? ticket.openerTag : null,
+      claimedBy: ticket ? ticket.claimedBy : null,
+      priority: ticket ? ticket.priority : null,
+      createdAt: ticket ? ticket.createdAt : channel.createdAt.toISOString(),
+      closedAt: ticket?.closedAt || new Date().toISOString(),
+      closedBy: ticket?.closedBy || closedBy.id
+    },
+    exportedAt: new Date().toISOString(),
+    messages: history.map(serializeTranscriptMessage)
+  };
+}
+
+// Download the transcript's small images as data URIs, keyed by attachment URL
+async function downloadTranscriptImages(transcript) {
+  const images = new Map();
+  let totalBytes = 0;
+
+  for (const message of transcript.messages) {
+    for (const attachment of message.attachments) {
+      if (!attachment.contentType?.startsWith('image/')) continue;
+      if (attachment.size > TRANSCRIPT_IMAGE_MAX_BYTES) continue;
+      if (totalBytes + attachment.size > TRANSCRIPT_IMAGES_MAX_BYTES) return images;
+
+      try {
+        const response = await fetch(attachment.url);
+        if (!response.ok) continue;
+
+        const data = Buffer.from(await response.arrayBuffer());
+        images.set(attachment.url, `data:${attachment.contentType};base64,${data.toString('base64')}`);
+        totalBytes += data.length;
+      } catch (error) {
+        // Leave it as a link
+      }
+    }
+  }
+
+  return images;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTranscriptSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+function getTranscriptTitle(transcript) {
+  const { ticket } = transcript;
+  return ticket.number ? `Ticket #${ticket.number}` : `#${ticket.channel.name}`;
+}
+
+function renderTranscriptText(transcript) {
+  const { ticket } = transcript;
+  const lines = [
+    `${getTranscriptTitle(transcript)} - ${ticket.guild.name}`,
+    `Opened by: ${ticket.openerTag || 'Unknown'}`,
+    `Opened at: ${ticket.createdAt}`,
+    `Closed at: ${ticket.closedAt}`,
+    `Messages: ${transcript.messages.length}`,
+    ''
+  ];
+
+  for (const message of transcript.messages) {
+    lines.push(...renderTranscriptMessageText(message));
+  }
+
+  return lines.join('\n');
+}
+
+// A serialized message as plain-text lines, shared with the /purge log
+function renderTranscriptMessageText(message) {
+  const edited = message.editedAt ? ' (edited)' : '';
+  const lines = [`[${message.createdAt}] ${message.author.tag}${edited}: ${message.content}`];
+
+  for (const embed of message.embeds) {
+    const parts = [embed.title, embed.description].filter(Boolean).join(' - ');
+    lines.push(`    [Embed] ${parts}`);
+    for (const field of embed.fields || []) {
+      lines.push(`    ${field.name}: ${field.value}`);
+    }
+  }
+
+  for (const attachment of message.attachments) {
+    lines.push(`    [Attachment] ${attachment.name} (${formatTranscriptSize(attachment.size)}) ${attachment.url}`);
+  }
+
+  return lines;
+}
+
+function renderTranscriptEmbedHtml(embed) {
+  const color = embed.color !== undefined ? `#${embed.color.toString(16).padStart(6, '0')}` : '#202225';
+  const parts = [];
+
+  if (embed.author?.name) parts.push(`<div class="embed-author">${escapeHtml(embed.author.name)}</div>`);
+  if (embed.title) {
+    const title = escapeHtml(embed.title);
+    parts.push(`<div class="embed-title">${embed.url ? `<a href="${escapeHtml(embed.url)}">${title}</a>` : title}</div>`);
+  }
+  if (embed.description) parts.push(`<div class="embed-description">${escapeHtml(embed.description)}</div>`);
+  for (const field of embed.fields || []) {
+    parts.push(`<div class="embed-field"><div class="embed-field-name">${escapeHtml(field.name)}</div><div>${escapeHtml(field.value)}</div></div>`);
+  }
+  if (embed.image?.url) parts.push(`<img class="embed-image" src="${escapeHtml(embed.image.url)}" alt="">`);
+  if (embed.footer?.text) parts.push(`<div class="embed-footer">${escapeHtml(embed.footer.text)}</div>`);
+
+  return `<div class="embed" style="border-color: ${color}">${parts.join('')}</div>`;
+}
+
+function renderTranscriptAttachmentHtml(attachment, images) {
+  const url = escapeHtml(attachment.url);
+  const name = escapeHtml(attachment.name);
+  const image = images.get(attachment.url);
+
+  if (image) {
+    return `<img class="attachment-image" src="${image}" alt="${name}">`;
+  }
+  return `<div class="attachment">📎 <a href="${url}">${name}</a> (${formatTranscriptSize(attachment.size)}, link only)</div>`;
+}
+
+// A single HTML file with inline styles, so it opens anywhere without extra assets
+function renderTranscriptHtml(transcript, images = new Map()) {
+  const { ticket } = transcript;
+  const title = `${getTranscriptTitle(transcript)} - ${ticket.guild.name}`;
+
+  const messages = transcript.messages.map(message => {
+    const time = new Date(message.createdAt).toUTCString();
+    const edited = message.editedAt ? ' <span class="edited">(edited)</span>' : '';
+    const bot = message.author.bot ? ' <span class="bot">BOT</span>' : '';
+
+    return `<div class="message">
+  <div class="meta"><span class="author">${escapeHtml(message.author.tag)}</span>${bot} <span class="time">${time}</span>${edited}</div>
+  ${message.content ? `<div class="content">${escapeHtml(message.content)}</div>` : ''}
+  ${message.embeds.map(renderTranscriptEmbedHtml).join('\n  ')}
+  ${message.attachments.map(attachment => renderTranscriptAttachmentHtml(attachment, images)).join('\n  ')}
+</div>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { background: #36393f; color: #dcddde; font-family: "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; padding: 24px; }
+  a { color: #00aff4; }
+  header { border-bottom: 1px solid #4f545c; margin-bottom: 16px; padding-bottom: 12px; }
+  header h1 { color: #fff; font-size: 20px; margin: 0 0 8px; }
+  header div { color: #b9bbbe; font-size: 13px; }
+  .message { padding: 8px 0; }
+  .author { color: #fff; font-weight: 600; }
+  .bot { background: #5865f2; border-radius: 3px; color: #fff; font-size: 10px; padding: 1px 4px; }
+  .time, .edited { color: #72767d; font-size: 12px; }
+  .content { white-space: pre-wrap; word-wrap: break-word; margin-top: 2px; }
+  .embed { background: #2f3136; border-left: 4px solid; border-radius: 4px; margin-top: 6px; max-width: 520px; padding: 8px 12px; }
+  .embed-author, .embed-footer { color: #b9bbbe; font-size: 12px; }
+  .embed-title { color: #fff; font-weight: 600; }
+  .embed-description { white-space: pre-wrap; }
+  .embed-field { margin-top: 6px; white-space: pre-wrap; }
+  .embed-field-name { color: #fff; font-weight: 600; }
+  .embed-image, .attachment-image { border-radius: 4px; display: block; margin-top: 6px; max-width: 400px; }
+  .attachment { margin-top: 6px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(title)}</h1>
+  <div>Channel: #${escapeHtml(ticket.channel.name)}</div>
+  <div>Opened by: ${escapeHtml(ticket.openerTag || 'Unknown')}</div>
+  <div>Opened: ${new Date(ticket.createdAt).toUTCString()}</div>
+  <div>Closed: ${new Date(ticket.closedAt).toUTCString()}</div>
+  <div>Messages: ${transcript.messages.length}</div>
+  <div>Images up to ${formatTranscriptSize(TRANSCRIPT_IMAGE_MAX_BYTES)} are saved in this page. Other attachments are links to Discord and stop working after a while.</div>
+</header>
+${messages}
+</body>
+</html>
+`;
+}
+
+function buildTranscriptFiles(transcript, formats, images) {
+  const baseName = transcript.ticket.number
+    ? `ticket-${transcript.ticket.number}-transcript`
+    : `${transcript.ticket.channel.name}-transcript`;
+  const renderers = {
+    html: () => renderTranscriptHtml(transcript, images),
+    txt: () => renderTranscriptText(transcript),
+    json: () => JSON.stringify(transcript, null, 2)
+  };
+
+  return formats.map(format => ({
+    attachment: Buffer.from(renderers[format](), 'utf8'),
+    name: `${baseName}.${format}`
+  }));
+}
+
+// Export a ticket's transcript to the transcript log channel and, if enabled,
+// DM it to the opener. Run it before closing so the closer can be told what
+// failed; failures are returned (and logged) but never block closing.
+async function exportTicketTranscript(channel, ticket, closedBy) {
+  const config = ticketConfig.get(channel.guild.id);
+  const logChannel = config?.transcriptChannelId
+    ? channel.guild.channels.cache.get(config.transcriptChannelId)
+    : null;
+  const dmOpener = Boolean(config?.dmTranscripts && ticket);
+  const failures = [];
+
+  if (config?.transcriptChannelId && !logChannel) {
+    failures.push('the transcript channel no longer exists');
+  }
+  if (!logChannel && !dmOpener) return { transcript: null, failures };
+
+  let transcript;
+  try {
+    transcript = await buildTicketTranscript(channel, ticket, closedBy);
+  } catch (error) {
+    addLog('error', `Failed to build transcript for #${channel.name}: ${error.message}`);
+    failures.push(`the transcript could not be built (${error.message})`);
+    return { transcript: null, failures };
+  }
+
+  const images = await downloadTranscriptImages(transcript);
+
+  const title = getTranscriptTitle(transcript);
+
+  if (logChannel) {
+    const embed = new EmbedBuilder()
+      .setTitle(`📄 ${title} Transcript`)
+      .addFields(
+        { name: 'Opened By', value: ticket ? `<@${ticket.openerId}>` : 'Unknown', inline: true },
+        { name: 'Closed By', value: `<@${closedBy.id}>`, inline: true },
+        { name: 'Messages', value: `${transcript.messages.length}`, inline: true },
+        { name: 'Opened', value: `<t:${Math.floor(new Date(transcript.ticket.createdAt).getTime() / 1000)}:f>`, inline: true }
+      )
+      .setColor('#5865F2')
+      .setTimestamp();
+
+    try {
+      await logChannel.send({
+        embeds: [embed],
+        files: buildTranscriptFiles(transcript, ['html', 'txt', 'json'], images),
+        allowedMentions: { parse: [] }
+      });
+    } catch (error) {
+      addLog('error', `Failed to post transcript for ${title}: ${error.message}`);
+      failures.push(`the transcript could not be posted in <#${logChannel.id}> (${error.message})`);
+    }
+  }
+
+  if (dmOpener) {
+    try {
+      const opener = await client.users.fetch(ticket.openerId);
+      await opener.send({
+        content: `📄 Here is the transcript of your ticket **${title}** in **${channel.guild.name}**.`,
+        files: buildTranscriptFiles(transcript, ['html', 'txt'], images)
+      });
+    } catch (error) {
+      addLog('error', `Could not DM transcript of ${title} to ${ticket.openerTag}: ${error.message}`);
+      failures.push(`the transcript could not be sent to ${ticket.openerTag} (${error.message})`);
+    }
+  }
+
+  addLog('info', `Transcript of ${title} exported (${transcript.messages.length} messages)`);
+  return { transcript, failures };
+}
+
+function describeTranscriptFailures(failures) {
+  return `⚠️ Transcript export problems: ${failures.join('; ')}.`;
+}
+
+// MUSIC PLAYER
+// Audio sources, the queue and formatDuration live in music.js so they can be
+// tested without a Discord connection.
+const MUSIC_DIR = resolvePath(process.env.MUSIC_DIR || join(__dirname, 'music'));
+const MUSIC_IDLE_TIMEOUT_MS = 60000; // Leave voice after 1 minute with nothing to do
+const musicPlayers = new Collection();
+
+// Sources are checked in order, the first one that can handle a query wins
+const audioSources = [
+  new HttpAudioSource(),
+  new LocalFileSource(MUSIC_DIR)
+];
+
+async function resolveTrack(query, requestedBy) {
+  const audioSource = audioSources.find(source => source.canHandle(query));
+  if (!audioSource) {
+    throw new Error('No audio source can play that query.');
+  }
+
+  const track = await audioSource.resolve(query);
+  return { ...track, audioSource, requestedBy };
+}
+
+// One player per guild: owns the voice connection, the audio player and the queue
+class GuildMusicPlayer {
+  constructor(guild, textChannel) {
+    this.guild = guild;
+    this.textChannel = textChannel;
+    this.queue = new MusicQueue();
+    this.volume = 100;
+    this.connection = null;
+    this.idleTimer = null;
+    this.skipping = false;
+    this.destroyed = false;
+
+    this.audioPlayer = createAudioPlayer({
+      behaviors: { noSubscriber: NoSubscriberBehavior.Pause }
+    });
+
+    // A track finished (or was skipped/stopped), play whatever comes next
+    this.audioPlayer.on(AudioPlayerStatus.Idle, () => {
+      const skipping = this.skipping;
+      this.skipping = false;
+      this.playNext({ skipping });
+    });
+
+    this.audioPlayer.on('error', error => {
+      addLog('error', `Music playback error in ${this.guild.name}: ${error.message}`);
+    });
+  }
+
+  get voiceChannelId() {
+    return this.connection?.joinConfig.channelId || null;
+  }
+
+  get isPaused() {
+    return this.audioPlayer.state.status === AudioPlayerStatus.Paused ||
+      this.audioPlayer.state.status === AudioPlayerStatus.AutoPaused;
+  }
+
+  async connect(voiceChannel) {
+    if (this.connection) {
+      // Already connected, move over if the caller is in another channel
+      if (this.voiceChannelId !== voiceChannel.id) {
+        this.connection.rejoin({ ...this.connection.joinConfig, channelId: voiceChannel.id });
+      }
+    } else {
+      this.openConnection(voiceChannel);
+    }
+
+    try {
+      await entersState(this.connection, VoiceConnectionStatus.Ready, 20000);
+    } catch (error) {
+      this.destroy();
+      throw new Error('Could not connect to the voice channel in time.');
+    }
+  }
+
+  openConnection(voiceChannel) {
+    this.connection = joinVoiceChannel({
+      channelId: voiceChannel.id,
+      guildId: this.guild.id,
+      adapterCreator: this.guild.voiceAdapterCreator
+    });
+    this.connection.subscribe(this.audioPlayer);
+
+    this.connection.on(VoiceConnectionStatus.Disconnected, async () => {
+      try {
+        // Discord is moving us to another channel/region, wait for it to reconnect
+        await Promise.race([
+          entersState(this.connection, VoiceConnectionStatus.Signalling, 5000),
+          entersState(this.connection, VoiceConnectionStatus.Connecting, 5000)
+        ]);
+      } catch (error) {
+        // Really disconnected (kicked from the channel, channel deleted, etc.)
+        this.destroy();
+      }
+    });
+  }
+
+  // Add a track to the queue and start playing if nothing is playing yet.
+  // Returns the queue position, or 0 if the track started right away.
+  async enqueue(track) {
+    const position = this.queue.add(track);
+
+    if (!this.queue.current) {
+      await this.playNext();
+      return 0;
+    }
+
+    return position;
+  }
+
+  async playNext({ skipping = false } = {}) {
+    if (this.destroyed) return null;
+    this.clearIdleTimer();
+
+    const track = this.queue.next({ skipping });
+    if (!track) {
+      this.startIdleTimer('The queue has finished');
+      return null;
+    }
+
+    try {
+      const stream = await track.audioSource.createStream(track);
+      const resource = createAudioResource(stream, { inlineVolume: true, metadata: track });
+      resource.volume.setVolume(this.volume / 100);
+      this.audioPlayer.play(resource);
+
+      addLog('info', `Now playing "${track.title}" in ${this.guild.name}`);
+      await this.textChannel?.send({ embeds: [this.buildNowPlayingEmbed()] }).catch(() => {});
+      return track;
+    } catch (error) {
+      addLog('error', `Failed to play "${track.title}" in ${this.guild.name}: ${error.message}`);
+      await this.textChannel?.send(`⚠️ Could not play **${track.title}**: ${error.message}`).catch(() => {});
+
+      // Drop the broken track so looping can't retry it forever
+      this.queue.current = null;
+      return this.playNext();
+    }
+  }
+
+  skip() {
+    if (!this.queue.current) return false;
+
+    this.skipping = true;
+    this.audioPlayer.stop(true); // Triggers Idle, which plays the next track
+    return true;
+  }
+
+  pause() {
+    return this.audioPlayer.pause();
+  }
+
+  resume() {
+    return this.audioPlayer.unpause();
+  }
+
+  setVolume(volume) {
+    this.volume = volume;
+    this.audioPlayer.state.resource?.volume?.setVolume(volume / 100);
+  }
+
+  startIdleTimer(reason) {
+    if (this.idleTimer) return;
+
+    this.idleTimer = setTimeout(async () => {
+      this.idleTimer = null;
+      await this.textChannel?.send(`👋 ${reason}, leaving the voice channel.`).catch(() => {});
+      this.destroy();
+    }, MUSIC_IDLE_TIMEOUT_MS);
+  }
+
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  // Called on voice state changes to leave once everyone else has left
+  checkChannelEmpty() {
+    const channel = this.guild.channels.cache.get(this.voiceChannelId);
+    const listeners = channel ? channel.members.filter(member => !member.user.bot).size : 0;
+
+    if (listeners === 0) {
+      this.startIdleTimer('Everyone left');
+    } else if (this.queue.current) {
+      this.clearIdleTimer();
+    }
+  }
+
+  buildNowPlayingEmbed() {
+    const track = this.queue.current;
+    const elapsed = this.audioPlayer.state.resource?.playbackDuration || 0;
+
+    const embed = new EmbedBuilder()
+      .setTitle(this.isPaused ? '⏸️ Paused' : '🎵 Now Playing')
+      .setDescription(track ? `**${track.title}**` : 'Nothing is playing.')
+      .setColor('#9370DB');
+
+    if (track) {
+      if (track.source === 'Direct link') embed.setURL(track.location);
+      embed.addFields(
+        { name: 'Requested By', value: `<@${track.requestedBy}>`, inline: true },
+        { name: 'Elapsed', value: formatDuration(elapsed), inline: true },
+        { name: 'Source', value: track.source, inline: true },
+        { name: 'Volume', value: `${this.volume}%`, inline: true },
+        { name: 'Loop', value: this.queue.loopMode, inline: true },
+        { name: 'Up Next', value: `${this.queue.tracks.length} track${this.queue.tracks.length !== 1 ? 's' : ''}`, inline: true }
+      );
+    }
+
+    return embed;
+  }
+
+  buildQueueMessage(page) {
+    const pageCount = this.queue.pageCount;
+    page = Math.min(Math.max(page, 1), pageCount);
+
+    const offset = (page - 1) * QUEUE_PAGE_SIZE;
+    const lines = this.queue.getPage(page)
+      .map((track, idx) => `**${offset + idx + 1}.** ${track.title} - <@${track.requestedBy}>`);
+
+    const embed = new EmbedBuilder()
+      .setTitle('🎶 Music Queue')
+      .setColor('#9370DB')
+      .addFields(
+        { name: 'Now Playing', value: this.queue.current ? this.queue.current.title : 'Nothing' },
+        { name: 'Up Next', value: lines.join('\n') || 'The queue is empty.' }
+      )
+      .setFooter({ text: `Page ${page}/${pageCount} • ${this.queue.tracks.length} queued • Loop: ${this.queue.loopMode}` });
+
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`music_queue_${page - 1}`)
+          .setLabel('Previous')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(page <= 1),
+        new ButtonBuilder()
+          .setCustomId(`music_queue_${page + 1}`)
+          .setLabel('Next')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(page >= pageCount)
+      );
+
+    return { embeds: [embed], components: pageCount > 1 ? [row] : [] };
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    this.clearIdleTimer();
+    this.queue.clear();
+    this.audioPlayer.stop(true);
+
+    if (this.connection && this.connection.state.status !== VoiceConnectionStatus.Destroyed) {
+      this.connection.destroy();
+    }
+
+    musicPlayers.delete(this.guild.id);
+    addLog('info', `Music player stopped in ${this.guild.name}`);
+  }
+}
+
+// Define commands
+const commands = [
+  // Original commands with improvements
+  {
+    data: new SlashCommandBuilder()
+      .setName('dm-role')
+      .setDescription('Send a DM to all users with a specific role')
+      .addRoleOption(option => 
+        option.setName('role')
+          .setDescription('The role to send DM to')
+          .setRequired(false))
+      .addStringOption(option => 
+        option.setName('message')
+          .setDescription('The message to send ({user}, {displayName}, {server} and {role} are filled in)')
+          .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('anonymous')
+          .setDescription('Send message anonymously (without sender info)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('embed')
+          .setDescription('Name of an embed saved with /embed save')
+          .setRequired(false))
+      .addAttachmentOption(option =>
+        option.setName('attachment')
+          .setDescription('File to attach to every DM (up to 8 MB)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('buttons')
+          .setDescription('Link buttons as "Label | https://url", separated by ;')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('audience')
+          .setDescription('Role expression, e.g. @Staff AND (@Events OR NOT @Muted)')
+          .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('include_bots')
+          .setDescription('Also DM bots (default: no)')
+          .setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('min_member_days')
+          .setDescription('Only members who joined the server at least this many days ago')
+          .setMinValue(0)
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('joined_after')
+          .setDescription('Only members who joined on or after this date (YYYY-MM-DD)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('joined_before')
+          .setDescription('Only members who joined before this date (YYYY-MM-DD)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('exclude')
+          .setDescription('Users to leave out (mentions or IDs)')
+          .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('dry_run')
+          .setDescription('Only report who would receive the DM, without sending')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+    async execute(interaction) {
+      await interaction.deferReply({ ephemeral: true });
+      
+      const roleOption = interaction.options.getRole('role');
+      const audienceInput = interaction.options.getString('audience');
+      const message = interaction.options.getString('message');
+      const isAnonymous = interaction.options.getBoolean('anonymous') || false;
+      const embedName = interaction.options.getString('embed');
+      const attachment = interaction.options.getAttachment('attachment');
+      const guild = interaction.guild;
+      
+      let content;
+      try {
+        content = {
+          message,
+          embed: embedName ? savedEmbeds.get(guild.id)?.[embedName.toLowerCase()] || null : null,
+          attachments: attachment ? [getCampaignAttachment(attachment)] : [],
+          buttons: parseLinkButtons(interaction.options.getString('buttons'))
+        };
+      } catch (error) {
+        await interaction.editReply(`❌ ${error.message}`);
+        return;
+      }
+      
+      if (embedName && !content.embed) {
+        await interaction.editReply(`❌ No saved embed named \`${embedName}\`. Create one with \`/embed create\` and \`/embed save\`.`);
+        return;
+      }
+      
+      if (!roleOption && !audienceInput) {
+        await interaction.editReply('❌ Choose a `role`, an `audience` expression, or both.');
+        return;
+      }
+      
+      // Get guild members matching the audience
+      await guild.members.fetch();
+      
+      let audience;
+      let expression = roleOption ? { type: 'role', roleId: roleOption.id, roleName: roleOption.name } : null;
+      try {
+        if (audienceInput) {
+          const parsed = parseAudienceExpression(audienceInput, guild);
+          expression = expression ? { type: 'and', left: expression, right: parsed } : parsed;
+        }
+        
+        const timezone = getGuildTimezone(guild.id);
+        const joinedAfter = interaction.options.getString('joined_after');
+        const joinedBefore = interaction.options.getString('joined_before');
+        
+        audience = resolveAudience(guild, {
+          expression,
+          includeBots: interaction.options.getBoolean('include_bots') || false,
+          minMemberDays: interaction.options.getInteger('min_member_days'),
+          joinedAfter: joinedAfter ? parseAudienceDate(joinedAfter, timezone) : null,
+          joinedBefore: joinedBefore ? parseAudienceDate(joinedBefore, timezone) : null,
+          excludeIds: interaction.options.getString('exclude')?.match(/\d{17,20}/g) || []
+        });
+      } catch (error) {
+        await interaction.editReply(`❌ ${error.message}`);
+        return;
+      }
+      
+      // A single role keeps its ID, expressions are described by name
+      const role = expression.type === 'role'
+        ? { id: expression.roleId, name: expression.roleName }
+        : { id: null, name: describeAudienceExpression(expression) };
+      const membersWithRole = audience.members;
+      
+      // Opted-out members are skipped and reported separately
+      const optedOutCount = membersWithRole.filter(member => isOptedOutOfDms(guild.id, member.id)).size;
+      const deliverableCount = membersWithRole.size - optedOutCount;
+      const optOutNote = optedOutCount > 0 ? ` (${optedOutCount} more opted out of broadcasts and will be skipped)` : '';
+      
+      if (interaction.options.getBoolean('dry_run')) {
+        const sample = membersWithRole.random(Math.min(10, membersWithRole.size))
+          .map(member => `<@${member.id}> (${member.user.tag})`);
+        
+        await interaction.editReply({
+          embeds: [{
+            title: '🧪 Audience Dry Run',
+            description: `**${deliverableCount}** member${deliverableCount !== 1 ? 's' : ''} would receive this DM${optOutNote}. Nothing was sent.`,
+            fields: [
+              { name: 'Filters', value: audience.description.slice(0, 1024) },
+              { name: `Sample (${sample.length})`, value: sample.join('\n') || 'Nobody matches.' }
+            ],
+            color: 0x0099FF
+          }]
+        });
+        return;
+      }
+      
+      if (!message && !content.embed && content.attachments.length === 0) {
+        await interaction.editReply('❌ Provide a message, a saved embed or an attachment to send.');
+        return;
+      }
+      
+      if (membersWithRole.size === 0) {
+        await interaction.editReply(`No members found with the role ${role.name}`);
+        addLog('info', `No members found with role ${role.name}`);
+        return;
+      }
+      
+      if (deliverableCount === 0) {
+        await interaction.editReply(`All ${membersWithRole.size} members with the role ${role.name} have opted out of server broadcasts.`);
+        return;
+      }
+      
+      // Be upfront about how long the quotas will make this take
+      const limiters = getDmLimiters(guild.id, interaction.user.id);
+      const availableNow = Math.min(...limiters.map(({ limiter }) => limiter.remaining));
+      const eta = formatWait(estimateDmTime(limiters, deliverableCount));
+      const quotaNotice = deliverableCount > availableNow
+        ? `\n⏱️ Your DM quotas allow ${availableNow} more DMs right now, the rest will be sent as quota frees up (ETA ~${eta}). See \`/dm-limits\`.`
+        : `\n⏱️ ETA: ~${eta}`;
+      
+      // Send the sender a preview, rendered as if they were a recipient
+      let previewNote;
+      try {
+        await interaction.user.send(buildCampaignMessage({
+          ...content,
+          isAnonymous,
+          authorTag: interaction.user.tag,
+          roleName: role.name
+        }, interaction.member, { files: await loadCampaignFiles(content), preview: true }));
+        previewNote = '📬 A preview of the message was sent to your DMs.';
+      } catch (error) {
+        previewNote = `⚠️ Could not DM you a preview: ${error.message}`;
+      }
+      
+      // Check if we're attempting to DM too many users at once
+      const warning = deliverableCount > 50
+        ? ' This might trigger Discord\'s anti-spam system.'
+        : '';
+      
+      const confirmRow = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId('confirm_mass_dm')
+            .setLabel('Confirm')
+            .setStyle(ButtonStyle.Danger),
+          new ButtonBuilder()
+            .setCustomId('cancel_mass_dm')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+        );
+      
+      const response = await interaction.editReply({
+        content: `${previewNote}\n⚠️ You're about to send DMs to **${deliverableCount}** members with role ${role.name}${optOutNote}.${warning} Are you sure?\nFilters: ${audience.description}${quotaNotice}`,
+        components: [confirmRow],
+        ephemeral: true
+      });
+      
+      try {
+        const confirmation = await response.awaitMessageComponent({ time: 60000 });
+        
+        if (confirmation.customId === 'cancel_mass_dm') {
+          await confirmation.update({
+            content: 'Mass DM operation canceled.',
+            components: []
+          });
+          return;
+        }
+        
+        await confirmation.update({
+          content: `Starting to send DMs to ${deliverableCount} members with role ${role.name}...${quotaNotice}`,
+          components: []
+        });
+      } catch (error) {
+        await interaction.editReply({
+          content: 'Confirmation timed out. Mass DM operation canceled.',
+          components: []
+        });
+        return;
+      }
+      
+      try {
+        content.attachments = await Promise.all(content.attachments.map(saveCampaignAttachment));
+      } catch (error) {
+        await interaction.editReply(`❌ ${error.message}`);
+        return;
+      }
+      
+      // Save the broadcast as a campaign so it can be resumed after a restart
+      const campaign = createDmCampaign({
+        guild,
+        role,
+        content,
+        isAnonymous,
+        author: interaction.user,
+        members: membersWithRole
+      });
+      
+      // Send DMs with rate limiting to prevent anti-spam flagging
+      await runDmCampaign(campaign, {
+        // Update progress every batch
+        onProgress: async (current) => {
+          await interaction.editReply(
+            formatCampaignProgress(current, `Processing DMs to members with role ${role.name}...`)
+          );
+        }
+      });
+      
+      const finalStatus = campaign.status === 'canceled'
+        ? `DM operation to role ${role.name} was canceled.` 
+        : `Completed sending DMs to members with role ${role.name}.`;
+        
+      await interaction.editReply(formatCampaignProgress(campaign, finalStatus));
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('dm-campaign')
+      .setDescription('View and resume role DM campaigns')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List recent DM campaigns in this server'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Show delivery details of a campaign')
+          .addStringOption(option =>
+            option.setName('id')
+              .setDescription('Campaign ID')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('resume')
+          .setDescription('Continue sending to members who have not been messaged yet')
+          .addStringOption(option =>
+            option.setName('id')
+              .setDescription('Campaign ID')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('retry-failed')
+          .setDescription('Try again for members the campaign failed to reach')
+          .addStringOption(option =>
+            option.setName('id')
+              .setDescription('Campaign ID')
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const subcommand = interaction.options.getSubcommand();
+      
+      if (subcommand === 'list') {
+        const campaigns = getGuildCampaigns(interaction.guild.id).slice(0, 10);
+        
+        if (campaigns.length === 0) {
+          await interaction.reply({
+            content: 'No DM campaigns have been sent in this server yet.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        const lines = campaigns.map(campaign => {
+          const counts = getCampaignCounts(campaign);
+          const created = Math.floor(new Date(campaign.createdAt).getTime() / 1000);
+          return `\`${campaign.id}\` • **${campaign.roleName}** • ${campaign.status} • ` +
+            `✅ ${counts.sent} ❌ ${counts.failed} ⏳ ${counts.pending} • <t:${created}:R>`;
+        });
+        
+        await interaction.reply({
+          embeds: [{
+            title: '📨 DM Campaigns',
+            description: lines.join('\n'),
+            color: 0x0099FF,
+            footer: { text: 'Use /dm-campaign status <id> for details' }
+          }],
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const id = interaction.options.getString('id').trim();
+      const campaign = dmCampaigns.get(id);
+      
+      if (!campaign || campaign.guildId !== interaction.guild.id) {
+        await interaction.reply({
+          content: `No campaign with ID \`${id}\` was found in this server.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const counts = getCampaignCounts(campaign);
+      
+      switch (subcommand) {
+        case 'status': {
+          const failures = Object.entries(campaign.recipients)
+            .filter(([, recipient]) => recipient.status === 'failed');
+          const failureLines = failures
+            .slice(0, 10)
+            .map(([userId, recipient]) => `<@${userId}>: ${recipient.error}`);
+          if (failures.length > 10) {
+            failureLines.push(`...and ${failures.length - 10} more`);
+          }
+          
+          await interaction.reply({
+            embeds: [{
+              title: `📨 Campaign ${campaign.id}`,
+              fields: [
+                { name: 'Role', value: campaign.roleName, inline: true },
+                { name: 'Status', value: campaign.status === 'canceled' && campaign.canceledBy ? `canceled by ${campaign.canceledBy}` : campaign.status, inline: true },
+                { name: 'Started By', value: `<@${campaign.authorId}>`, inline: true },
+                { name: 'Sent', value: counts.sent.toString(), inline: true },
+                { name: 'Failed', value: counts.failed.toString(), inline: true },
+                { name: 'Pending', value: counts.pending.toString(), inline: true },
+                { name: 'Opted Out', value: counts.unsubscribed.toString(), inline: true },
+                { name: 'Message', value: campaign.message.slice(0, 1024) || '*(embed or attachment only)*', inline: false },
+                { name: 'Failures', value: failureLines.join('\n').slice(0, 1024) || 'None', inline: false }
+              ],
+              color: 0x0099FF,
+              timestamp: campaign.createdAt
+            }],
+            ephemeral: true
+          });
+          break;
+        }
+        
+        case 'resume':
+        case 'retry-failed': {
+          if (getDmOperation(campaign.guildId, campaign.id)) {
+            await interaction.reply({
+              content: `Campaign \`${campaign.id}\` is already being sent.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          if (subcommand === 'retry-failed') {
+            for (const recipient of Object.values(campaign.recipients)) {
+              if (recipient.status === 'failed') {
+                recipient.status = 'pending';
+                recipient.error = null;
+              }
+            }
+          }
+          
+          const pending = getCampaignCounts(campaign).pending;
+          if (pending === 0) {
+            await interaction.reply({
+              content: subcommand === 'retry-failed'
+                ? `Campaign \`${campaign.id}\` has no failed deliveries to retry.`
+                : `Campaign \`${campaign.id}\` has no pending recipients left.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          await interaction.deferReply({ ephemeral: true });
+          
+          addLog('info', `${interaction.user.tag} ${subcommand === 'resume' ? 'resumed' : 'retried failed DMs of'} campaign ${campaign.id}`);
+          
+          await runDmCampaign(campaign, {
+            owner: interaction.user,
+            mode: subcommand === 'resume' ? 'resume' : 'retry',
+            onProgress: async (current) => {
+              await interaction.editReply(
+                formatCampaignProgress(current, `Processing DMs to members with role ${campaign.roleName}...`)
+              );
+            }
+          });
+          
+          await interaction.editReply(formatCampaignProgress(campaign, campaign.status === 'canceled'
+            ? `DM campaign \`${campaign.id}\` was canceled.`
+            : `Finished DM campaign \`${campaign.id}\`.`));
+          break;
+        }
+      }
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('cancel-dm')
+      .setDescription('Cancel an ongoing DM operation in this server')
+      .addStringOption(option =>
+        option.setName('id')
+          .setDescription('Operation ID to cancel (leave empty to pick from a list)')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const guildOperations = activeDmOperations.get(interaction.guild.id);
+      
+      if (!guildOperations || guildOperations.size === 0) {
+        await interaction.reply({
+          content: 'There are no DM operations running in this server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      let operationId = interaction.options.getString('id')?.trim();
+      let replyTarget = interaction;
+      
+      if (!operationId) {
+        // Let the moderator pick which operation to cancel
+        const menu = new StringSelectMenuBuilder()
+          .setCustomId('cancel_dm_select')
+          .setPlaceholder('Select a DM operation to cancel')
+          .addOptions(guildOperations.first(25).map(operation => {
+            const counts = getCampaignCounts(operation.campaign);
+            return {
+              label: `${operation.campaign.roleName} by ${operation.ownerTag}`.slice(0, 100),
+              description: `ID ${operation.id} • ${counts.sent}/${counts.total} sent`,
+              value: operation.id
+            };
+          }));
+        
+        const response = await interaction.reply({
+          content: `There ${guildOperations.size === 1 ? 'is 1 DM operation' : `are ${guildOperations.size} DM operations`} running in this server.`,
+          components: [new ActionRowBuilder().addComponents(menu)],
+          ephemeral: true,
+          fetchReply: true
+        });
+        
+        try {
+          replyTarget = await response.awaitMessageComponent({ time: 30000 });
+          operationId = replyTarget.values[0];
+        } catch (error) {
+          await interaction.editReply({
+            content: 'No operation selected. Nothing was canceled.',
+            components: []
+          });
+          return;
+        }
+      }
+      
+      const operation = getDmOperation(interaction.guild.id, operationId);
+      const respond = options => replyTarget === interaction
+        ? interaction.reply({ ...options, ephemeral: true })
+        : replyTarget.update({ ...options, components: [] });
+      
+      if (!operation) {
+        await respond({ content: `No running DM operation with ID \`${operationId}\` (it may have just finished).` });
+        return;
+      }
+      
+      // Only the operation's owner or an administrator may cancel it
+      const isOwner = operation.ownerId === interaction.user.id;
+      const isAdmin = interaction.memberPermissions.has(PermissionFlagsBits.Administrator);
+      
+      if (!isOwner && !isAdmin) {
+        await respond({ content: `Only <@${operation.ownerId}> or an administrator can cancel this operation.` });
+        return;
+      }
+      
+      operation.canceled = true;
+      operation.canceledBy = interaction.user.tag;
+      
+      await respond({
+        content: `Canceling DM operation \`${operation.id}\` to role ${operation.campaign.roleName}. Currently processing messages will still be sent. Resume it later with \`/dm-campaign resume\`.`
+      });
+      addLog('info', `${interaction.user.tag} canceled DM operation ${operation.id} in ${interaction.guild.name}`);
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('dm-limits')
+      .setDescription('Show how much DM budget is left')
+      .addUserOption(option =>
+        option.setName('user')
+          .setDescription('Show the quota of another user (defaults to you)')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const targetUser = interaction.options.getUser('user') || interaction.user;
+      const limiters = getDmLimiters(interaction.guild.id, targetUser.id);
+      const labels = {
+        global: 'Bot-wide',
+        server: 'This server',
+        user: targetUser.id === interaction.user.id ? 'You' : targetUser.tag
+      };
+      
+      const fields = limiters.map(({ name, limiter }) => {
+        const resetIn = limiter.getTimeUntilReset();
+        return {
+          name: `${labels[name]} (${limiter.maxRequests} per ${formatWait(limiter.timeWindow)})`,
+          value: `**${limiter.remaining}** left` +
+            (resetIn > 0 ? `\nFully resets in ${formatWait(resetIn)}` : ''),
+          inline: true
+        };
+      });
+      
+      const availableNow = Math.min(...limiters.map(({ limiter }) => limiter.remaining));
+      
+      await interaction.reply({
+        embeds: [{
+          title: '📬 DM Limits',
+          description: `${targetUser.id === interaction.user.id ? 'You' : targetUser.tag} can send **${availableNow}** DMs right now. ` +
+            'A DM needs room in all three quotas, and each slot frees up one window after it was used.',
+          fields,
+          color: 0x0099FF,
+          timestamp: new Date()
+        }],
+        ephemeral: true
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('dm-quotas')
+      .setDescription("Change this server's hourly DM quotas")
+      .addIntegerOption(option =>
+        option.setName('server_per_hour')
+          .setDescription(`DMs per hour for the whole server (default: ${DM_QUOTAS.guild.maxRequests})`)
+          .setMinValue(1)
+          .setMaxValue(MAX_DM_QUOTA_PER_HOUR)
+          .setRequired(false))
+      .addIntegerOption(option =>
+        option.setName('user_per_hour')
+          .setDescription(`DMs per hour for each member running /dm-role (default: ${DM_QUOTAS.user.maxRequests})`)
+          .setMinValue(1)
+          .setMaxValue(MAX_DM_QUOTA_PER_HOUR)
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const settings = guildSettings.get(interaction.guild.id) || {};
+      const dmQuotas = { ...settings.dmQuotas };
+      const guildPerHour = interaction.options.getInteger('server_per_hour');
+      const userPerHour = interaction.options.getInteger('user_per_hour');
+      
+      if (guildPerHour) dmQuotas.guildPerHour = guildPerHour;
+      if (userPerHour) dmQuotas.userPerHour = userPerHour;
+      
+      if (guildPerHour || userPerHour) {
+        guildSettings.set(interaction.guild.id, { ...settings, dmQuotas });
+        await persistState();
+        addLog('info', `DM quotas changed by ${interaction.user.tag} in server ${interaction.guild.name}`);
+        logConfigChange(interaction, 'DM quotas changed');
+      }
+      
+      const quotas = getGuildDmQuotas(interaction.guild.id);
+      await interaction.reply({
+        content: `📬 This server can send **${quotas.guild.maxRequests}** DMs per hour, and each member running \`/dm-role\` **${quotas.user.maxRequests}** per hour. The bot-wide limit of ${DM_QUOTAS.global.maxRequests} per minute always applies.`,
+        ephemeral: true
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('dm-preferences')
+      .setDescription('Choose whether you receive broadcast DMs from this server')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Check whether you receive broadcast DMs from this server'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('opt-out')
+          .setDescription('Stop receiving broadcast DMs from this server'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('opt-in')
+          .setDescription('Receive broadcast DMs from this server again')),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const subcommand = interaction.options.getSubcommand();
+      const optedOut = isOptedOutOfDms(interaction.guild.id, interaction.user.id);
+      
+      switch (subcommand) {
+        case 'status': {
+          await interaction.reply({
+            content: optedOut
+              ? `🔕 You have opted out of broadcast DMs from **${interaction.guild.name}**. Use \`/dm-preferences opt-in\` to receive them again.`
+              : `🔔 You receive broadcast DMs from **${interaction.guild.name}**. Use \`/dm-preferences opt-out\` to stop them.`,
+            ephemeral: true
+          });
+          break;
+        }
+        
+        case 'opt-out': {
+          await setDmOptOut(interaction.guild.id, interaction.user.id, true);
+          await interaction.reply({
+            content: `🔕 You will no longer receive broadcast DMs from **${interaction.guild.name}**.`,
+            ephemeral: true
+          });
+          if (!optedOut) {
+            addLog('info', `${interaction.user.tag} opted out of broadcasts in ${interaction.guild.name}`);
+          }
+          break;
+        }
+        
+        case 'opt-in': {
+          await setDmOptOut(interaction.guild.id, interaction.user.id, false);
+          await interaction.reply({
+            content: `🔔 You will receive broadcast DMs from **${interaction.guild.name}** again.`,
+            ephemeral: true
+          });
+          if (optedOut) {
+            addLog('info', `${interaction.user.tag} opted back in to broadcasts in ${interaction.guild.name}`);
+          }
+          break;
+        }
+      }
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('status')
+      .setDescription('Check the bot status'),
+    async execute(interaction) {
+      try {
+        const uptime = getUptime(client.readyAt);
+        
+        // Safe handling of guild name to fix the error
+        const guildName = interaction.guild ? interaction.guild.name : 'Direct Message';
+        
+        await interaction.reply({
+          embeds: [{
+            title: '🤖 Bot Status',
+            fields: [
+              { name: 'Status', value: '🟢 Online', inline: true },
+              { name: 'Uptime', value: uptime, inline: true },
+              { name: 'Server', value: guildName, inline: true },
+              { name: 'Latency', value: `${client.ws.ping}ms`, inline: true }
+            ],
+            color: 0x00FF00,
+            timestamp: new Date()
+          }],
+          ephemeral: true
+        });
+      } catch (error) {
+        addLog('error', `Error in status command: ${error.message}`);
+        await interaction.reply({
+          content: 'An error occurred while checking bot status.',
+          ephemeral: true
+        });
+      }
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('logs')
+      .setDescription('Check the bot logs')
+      .addStringOption(option => 
+        option.setName('filter')
+          .setDescription('Filter logs by type')
+          .setRequired(false)
+          .addChoices(
+            { name: 'All', value: 'all' },
+            { name: 'Success', value: 'success' },
+            { name: 'Error', value: 'error' },
+            { name: 'Info', value: 'info' }
+          ))
+      .addIntegerOption(option =>
+        option.setName('count')
+          .setDescription('Number of logs to retrieve (default: 10, max: 25)')
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(25))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+    async execute(interaction) {
+      const filter = interaction.options.getString('filter') || 'all';
+      const count = interaction.options.getInteger('count') || 10;
+      
+      let filteredLogs = logs;
+      if (filter !== 'all') {
+        filteredLogs = logs.filter(log => log.type === filter);
+      }
+      
+      // Get the specified number of logs
+      const lastLogs = filteredLogs.slice(-count).reverse();
+      
+      if (lastLogs.length === 0) {
+        await interaction.reply({
+          content: `No logs found with filter: ${filter}`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const logMessages = lastLogs.map(log => 
+        `[${new Date(log.timestamp).toLocaleTimeString()}] [${log.type.toUpperCase()}] ${log.message}`
+      );
+      
+      await interaction.reply({
+        embeds: [{
+          title: '📝 Bot Logs',
+          description: logMessages.join('\n'),
+          color: 0x0099FF,
+          timestamp: new Date(),
+          footer: {
+            text: `Showing ${lastLogs.length} of ${filteredLogs.length} logs`
+          }
+        }],
+        ephemeral: true
+      });
+    }
+  },
+
+  // MUSIC SYSTEM
+  {
+    data: new SlashCommandBuilder()
+      .setName('music')
+      .setDescription('Play music in your voice channel')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('play')
+          .setDescription('Play a song or add it to the queue')
+          .addStringOption(option =>
+            option.setName('query')
+              .setDescription('Direct audio URL or a file name from the music folder')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('skip')
+          .setDescription('Skip to the next song'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('stop')
+          .setDescription('Stop playing music, clear the queue and leave'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('queue')
+          .setDescription('Show the current queue')
+          .addIntegerOption(option =>
+            option.setName('page')
+              .setDescription('Queue page to show')
+              .setMinValue(1)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('nowplaying')
+          .setDescription('Show the song that is currently playing'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('pause')
+          .setDescription('Pause the current song'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('resume')
+          .setDescription('Resume the paused song'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('volume')
+          .setDescription('Set the playback volume')
+          .addIntegerOption(option =>
+            option.setName('level')
+              .setDescription('Volume in percent (0-200)')
+              .setMinValue(0)
+              .setMaxValue(200)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('loop')
+          .setDescription('Set the loop mode')
+          .addStringOption(option =>
+            option.setName('mode')
+              .setDescription('What to repeat')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Off', value: 'off' },
+                { name: 'Current Song', value: 'track' },
+                { name: 'Whole Queue', value: 'queue' }
+              )))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('shuffle')
+          .setDescription('Shuffle the queue')),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const subcommand = interaction.options.getSubcommand();
+      const voiceChannel = interaction.member.voice.channel;
+      let player = musicPlayers.get(interaction.guild.id);
+      
+      if (subcommand === 'play') {
+        if (!voiceChannel) {
+          await interaction.reply({
+            content: 'You need to join a voice channel first.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        if (player?.queue.current && player.voiceChannelId !== voiceChannel.id) {
+          await interaction.reply({
+            content: `I'm already playing music in <#${player.voiceChannelId}>.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        if (!voiceChannel.joinable || !voiceChannel.speakable) {
+          await interaction.reply({
+            content: `I don't have permission to join and speak in <#${voiceChannel.id}>.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        await interaction.deferReply();
+        
+        let track;
+        try {
+          track = await resolveTrack(interaction.options.getString('query'), interaction.user.id);
+        } catch (error) {
+          await interaction.editReply(`❌ ${error.message}`);
+          return;
+        }
+        
+        if (!player) {
+          player = new GuildMusicPlayer(interaction.guild, interaction.channel);
+          musicPlayers.set(interaction.guild.id, player);
+        }
+        
+        try {
+          await player.connect(voiceChannel);
+        } catch (error) {
+          addLog('error', `Failed to join voice channel in ${interaction.guild.name}: ${error.message}`);
+          await interaction.editReply(`❌ ${error.message}`);
+          return;
+        }
+        
+        const position = await player.enqueue(track);
+        
+        await interaction.editReply(position === 0
+          ? `▶️ Starting **${track.title}**`
+          : `➕ Added **${track.title}** to the queue (position ${position})`);
+        
+        addLog('info', `${interaction.user.tag} queued "${track.title}" in ${interaction.guild.name}`);
+        return;
+      }
+      
+      // Everything below needs an active player
+      if (!player || !player.queue.current) {
+        await interaction.reply({
+          content: 'Nothing is playing right now.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Only let people listening in the same channel control playback
+      const controlSubcommands = ['skip', 'stop', 'pause', 'resume', 'volume', 'loop', 'shuffle'];
+      if (controlSubcommands.includes(subcommand) && voiceChannel?.id !== player.voiceChannelId) {
+        await interaction.reply({
+          content: `You need to be in <#${player.voiceChannelId}> to control the music.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      switch (subcommand) {
+        case 'skip': {
+          const skipped = player.queue.current;
+          player.skip();
+          await interaction.reply(`⏭️ Skipped **${skipped.title}**`);
+          addLog('info', `${interaction.user.tag} skipped "${skipped.title}" in ${interaction.guild.name}`);
+          break;
+        }
+        
+        case 'stop': {
+          player.destroy();
+          await interaction.reply('⏹️ Stopped the music and cleared the queue.');
+          break;
+        }
+        
+        case 'queue': {
+          const page = interaction.options.getInteger('page') || 1;
+          await interaction.reply(player.buildQueueMessage(page));
+          break;
+        }
+        
+        case 'nowplaying': {
+          await interaction.reply({ embeds: [player.buildNowPlayingEmbed()] });
+          break;
+        }
+        
+        case 'pause': {
+          await interaction.reply(player.pause()
+            ? '⏸️ Paused the music.'
+            : { content: 'The music is already paused.', ephemeral: true });
+          break;
+        }
+        
+        case 'resume': {
+          await interaction.reply(player.resume()
+            ? '▶️ Resumed the music.'
+            : { content: 'The music is not paused.', ephemeral: true });
+          break;
+        }
+        
+        case 'volume': {
+          const level = interaction.options.getInteger('level');
+          player.setVolume(level);
+          await interaction.reply(`🔊 Volume set to **${level}%**`);
+          break;
+        }
+        
+        case 'loop': {
+          const mode = interaction.options.getString('mode');
+          player.queue.loopMode = mode;
+          const labels = { off: 'Looping is off', track: '🔂 Looping the current song', queue: '🔁 Looping the whole queue' };
+          await interaction.reply(labels[mode]);
+          break;
+        }
+        
+        case 'shuffle': {
+          if (player.queue.tracks.length < 2) {
+            await interaction.reply({
+              content: 'There need to be at least 2 songs in the queue to shuffle.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          player.queue.shuffle();
+          await interaction.reply(`🔀 Shuffled ${player.queue.tracks.length} songs.`);
+          break;
+        }
+      }
+    }
+  },
+
+  // UTILITY COMMANDS
+  {
+    data: new SlashCommandBuilder()
+      .setName('ping')
+      .setDescription('Check the bot\'s ping'),
+    async execute(interaction) {
+      const sent = await interaction.reply({ 
+        content: 'Pinging...', 
+        fetchReply: true,
+        ephemeral: true
+      });
+      const pingLatency = sent.createdTimestamp - interaction.createdTimestamp;
+      
+      await interaction.editReply({
+        content: '',
+        embeds: [{
+          title: '🏓 Pong!',
+          fields: [
+            { name: 'Bot Latency', value: `${pingLatency}ms`, inline: true },
+            { name: 'API Latency', value: `${client.ws.ping}ms`, inline: true }
+          ],
+          color: 0x00FFFF
+        }]
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('userinfo')
+      .setDescription('Display information about yourself or another user')
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('The user to get information about')
+          .setRequired(false)),
+    async execute(interaction) {
+      const targetUser = interaction.options.getUser('user') || interaction.user;
+      const member = interaction.guild?.members.cache.get(targetUser.id);
+      
+      const joinedAt = member ? new Date(member.joinedTimestamp).toLocaleDateString() : 'N/A';
+      const createdAt = new Date(targetUser.createdTimestamp).toLocaleDateString();
+      const roles = member ? 
+        member.roles.cache
+          .sort((a, b) => b.position - a.position)
+          .map(role => role.name !== '@everyone' ? `<@&${role.id}>` : '')
+          .filter(Boolean)
+          .join(', ') || 'None' 
+        : 'N/A';
+      
+      const embed = new EmbedBuilder()
+        .setTitle(`User Information - ${targetUser.username}`)
+        .setThumbnail(targetUser.displayAvatarURL({ dynamic: true, size: 256 }))
+        .setColor(member?.displayHexColor || '#00FFFF')
+        .addFields(
+          { name: 'Username', value: targetUser.tag, inline: true },
+          { name: 'User ID', value: targetUser.id, inline: true },
+          { name: 'Account Created', value: createdAt, inline: true },
+          { name: 'Joined Server', value: joinedAt, inline: true },
+          { name: 'Roles', value: roles, inline: false }
+        )
+        .setTimestamp();
+      
+      await interaction.reply({ 
+        embeds: [embed],
+        ephemeral: true
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('serverinfo')
+      .setDescription('Display information about the server'),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const { guild } = interaction;
+      await guild.members.fetch();
+      
+      const totalMembers = guild.memberCount;
+      const onlineMembers = guild.members.cache.filter(m => m.presence?.status === 'online').size;
+      const textChannels = guild.channels.cache.filter(c => c.type === ChannelType.GuildText).size;
+      const voiceChannels = guild.channels.cache.filter(c => c.type === ChannelType.GuildVoice).size;
+      const categories = guild.channels.cache.filter(c => c.type === ChannelType.GuildCategory).size;
+      const roleCount = guild.roles.cache.size;
+      
+      const embed = new EmbedBuilder()
+        .setTitle(`Server Information - ${guild.name}`)
+        .setThumbnail(guild.iconURL({ dynamic: true, size: 256 }))
+        .setColor('#00FFFF')
+        .addFields(
+          { name: 'Server ID', value: guild.id, inline: true },
+          { name: 'Owner', value: `<@${guild.ownerId}>`, inline: true },
+          { name: 'Created On', value: new Date(guild.createdTimestamp).toLocaleDateString(), inline: true },
+          { name: 'Members', value: `${totalMembers} total`, inline: true },
+          { name: 'Channels', value: `${textChannels} text | ${voiceChannels} voice | ${categories} categories`, inline: true },
+          { name: 'Roles', value: roleCount.toString(), inline: true },
+          { name: 'Server Boost Level', value: `Level ${guild.premiumTier}`, inline: true },
+          { name: 'Boost Count', value: `${guild.premiumSubscriptionCount || 0} boosts`, inline: true }
+        )
+        .setTimestamp();
+      
+      await interaction.reply({ 
+        embeds: [embed],
+        ephemeral: false
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('poll')
+      .setDescription('Create a poll')
+      .addStringOption(option => 
+        option.setName('question')
+          .setDescription('The poll question')
+          .setRequired(true))
+      .addStringOption(option => 
+        option.setName('options')
+          .setDescription('Poll options separated by commas (max 10)')
+          .setRequired(true)),
+    async execute(interaction) {
+      const question = interaction.options.getString('question');
+      let options = interaction.options.getString('options').split(',').map(opt => opt.trim());
+      
+      // Limit to 10 options
+      if (options.length > 10) {
+        options = options.slice(0, 10);
+        await interaction.reply({
+          content: 'You provided more than 10 options. Only the first 10 will be used.',
+          ephemeral: true
+        });
+      }
+      
+      // Add number emojis for options
+      const numberEmojis = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+      const optionsText = options.map((opt, idx) => `${numberEmojis[idx]} ${opt}`).join('\n\n');
+      
+      const embed = new EmbedBuilder()
+        .setTitle('📊 ' + question)
+        .setDescription(optionsText)
+        .setColor('#FFA500')
+        .setFooter({ text: `Poll created by ${interaction.user.username}` })
+        .setTimestamp();
+      
+      const sent = await interaction.reply({ 
+        embeds: [embed],
+        fetchReply: true
+      });
+      
+      // Add reactions for voting
+      for (let i = 0; i < options.length; i++) {
+        await sent.react(numberEmojis[i]);
+      }
+    }
+  },
+
+  // ADMIN COMMANDS
+  {
+    data: new SlashCommandBuilder()
+      .setName('kick')
+      .setDescription('Kick a user from the server')
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('The user to kick')
+          .setRequired(true))
+      .addStringOption(option => 
+        option.setName('reason')
+          .setDescription('Reason for kicking')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers),
+    async execute(interaction) {
+      const targetUser = interaction.options.getUser('user');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const member = interaction.guild.members.cache.get(targetUser.id);
+      
+      if (!member) {
+        await interaction.reply({
+          content: 'This user is not in the server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Check if the bot can kick the member
+      if (!member.kickable) {
+        await interaction.reply({
+          content: 'I cannot kick this user. They might have higher permissions than me.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      try {
+        const modCase = await applyPunishment(interaction.guild, {
+          type: 'kick',
+          target: targetUser,
+          moderator: interaction.user,
+          reason
+        });
+        
+        const embed = new EmbedBuilder()
+          .setTitle('User Kicked')
+          .setDescription(`**${targetUser.tag}** has been kicked from the server.`)
+          .addFields({ name: 'Reason', value: reason })
+          .setColor('#FF0000')
+          .setFooter({ text: `Case #${modCase.number}` })
+          .setTimestamp();
+        
+        await interaction.reply({ embeds: [embed] });
+        addLog('info', `${targetUser.tag} was kicked by ${interaction.user.tag} (case #${modCase.number}). Reason: ${reason}`);
+      } catch (error) {
+        addLog('error', `Failed to kick ${targetUser.tag}: ${error.message}`);
+        await interaction.reply({
+          content: `Failed to kick the user: ${error.message}`,
+          ephemeral: true
+        });
+      }
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('ban')
+      .setDescription('Ban a user from the server')
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('The user to ban')
+          .setRequired(true))
+      .addStringOption(option => 
+        option.setName('reason')
+          .setDescription('Reason for banning')
+          .setRequired(false))
+      .addIntegerOption(option => 
+        option.setName('days')
+          .setDescription('Number of days of messages to delete (0-7)')
+          .setMinValue(0)
+          .setMaxValue(7)
+          .setRequired(false))
+      .addIntegerOption(option => 
+        option.setName('duration')
+          .setDescription('Ban duration in minutes (permanent if not set)')
+          .setMinValue(1)
+          .setMaxValue(MAX_BAN_MINUTES)
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
+    async execute(interaction) {
+      const targetUser = interaction.options.getUser('user');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      const days = interaction.options.getInteger('days') || 0;
+      const duration = interaction.options.getInteger('duration');
+      
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      try {
+        const banDuration = duration ? duration * 60 * 1000 : null;
+        const modCase = await applyPunishment(interaction.guild, {
+          type: 'ban',
+          target: targetUser,
+          moderator: interaction.user,
+          reason,
+          durationMs: banDuration,
+          deleteMessageDays: days
+        });
+        
+        const embed = new EmbedBuilder()
+          .setTitle('User Banned')
+          .setDescription(`**${targetUser.tag}** has been banned from the server.`)
+          .addFields(
+            { name: 'Reason', value: reason },
+            { name: 'Duration', value: banDuration ? formatWait(banDuration) : 'Permanent' },
+            { name: 'Message History Deleted', value: `${days} days` }
+          )
+          .setColor('#FF0000')
+          .setFooter({ text: `Case #${modCase.number}` })
+          .setTimestamp();
+        
+        await interaction.reply({ embeds: [embed] });
+        addLog('info', `${targetUser.tag} was banned by ${interaction.user.tag}${banDuration ? ` for ${formatWait(banDuration)}` : ''} (case #${modCase.number}). Reason: ${reason}`);
+      } catch (error) {
+        addLog('error', `Failed to ban ${targetUser.tag}: ${error.message}`);
+        await interaction.reply({
+          content: `Failed to ban the user: ${error.message}`,
+          ephemeral: true
+        });
+      }
     }
   },
   {
     data: new SlashCommandBuilder()
-      .setName('status')
-      .setDescription('Check the bot status'),
+      .setName('tempbans')
+      .setDescription('Manage temporary bans')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('Show temporary bans waiting to be lifted'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('lift')
+          .setDescription('Lift a temporary ban early')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('The banned user')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('Reason for lifting the ban')
+              .setRequired(false)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const subcommand = interaction.options.getSubcommand();
+      
+      if (subcommand === 'list') {
+        const pending = getGuildTempBans(interaction.guild.id);
+        
+        if (pending.length === 0) {
+          await interaction.reply({
+            content: 'There are no temporary bans.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        const lines = pending.map(tempBan => {
+          const expiresAt = Math.floor(new Date(tempBan.expiresAt).getTime() / 1000);
+          return `**${tempBan.userTag}** (<@${tempBan.userId}>) lifted <t:${expiresAt}:R> · case #${tempBan.caseNumber}: ${tempBan.reason}`;
+        });
+        
+        const embed = new EmbedBuilder()
+          .setTitle(`⏳ Temporary Bans (${pending.length})`)
+          .setDescription(lines.join('\n').slice(0, 4096))
+          .setColor('#FF0000')
+          .setFooter({ text: 'Use /tempbans lift to lift a ban early' });
+        
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+      }
+      
+      const targetUser = interaction.options.getUser('user');
+      const reason = interaction.options.getString('reason') || 'Temporary ban lifted early';
+      const tempBan = tempBans.get(`${interaction.guild.id}:${targetUser.id}`);
+      
+      if (!tempBan) {
+        await interaction.reply({
+          content: `**${targetUser.tag}** does not have a temporary ban.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      try {
+        const modCase = await liftTempBan(interaction.guild, tempBan, interaction.user, reason);
+        
+        await interaction.reply({
+          content: modCase
+            ? `🕊️ Lifted the ban of **${targetUser.tag}** (case #${modCase.number}).`
+            : `**${targetUser.tag}** was already unbanned. Removed the pending temporary ban.`,
+          ephemeral: true
+        });
+      } catch (error) {
+        addLog('error', `Failed to lift the ban of ${targetUser.tag}: ${error.message}`);
+        await interaction.reply({
+          content: `Failed to lift the ban: ${error.message}`,
+          ephemeral: true
+        });
+      }
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('purge')
+      .setDescription('Delete multiple messages from a channel')
+      .addIntegerOption(option => 
+        option.setName('amount')
+          .setDescription(`Number of messages to delete (1-${PURGE_MAX_AMOUNT})`)
+          .setMinValue(1)
+          .setMaxValue(PURGE_MAX_AMOUNT)
+          .setRequired(true))
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('Delete messages only from this user')
+          .setRequired(false))
+      .addBooleanOption(option =>
+        option.setName('bots')
+          .setDescription('Delete messages only from bots')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('contains')
+          .setDescription('Delete messages containing this text')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('regex')
+          .setDescription('Delete messages matching this regular expression (case-insensitive)')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('has')
+          .setDescription('Delete messages that have attachments, links or embeds')
+          .setRequired(false)
+          .addChoices(...Object.entries(PURGE_CONTENT_TYPES).map(([value, name]) => ({ name, value }))))
+      .addStringOption(option =>
+        option.setName('before')
+          .setDescription('Only delete messages sent before this message ID')
+          .setRequired(false))
+      .addStringOption(option =>
+        option.setName('after')
+          .setDescription('Only delete messages sent after this message ID')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+    async execute(interaction) {
+      const amount = interaction.options.getInteger('amount');
+      const regexInput = interaction.options.getString('regex');
+      const filters = {
+        user: interaction.options.getUser('user'),
+        botsOnly: interaction.options.getBoolean('bots') || false,
+        contains: interaction.options.getString('contains'),
+        regex: null,
+        has: interaction.options.getString('has'),
+        before: interaction.options.getString('before'),
+        after: interaction.options.getString('after')
+      };
+      
+      for (const id of [filters.before, filters.after].filter(Boolean)) {
+        if (!/^\d{17,20}$/.test(id)) {
+          await interaction.reply({
+            content: `\`${id}\` is not a message ID. Right-click a message and choose Copy Message ID.`,
+            ephemeral: true
+          });
+          return;
+        }
+      }
+      
+      if (regexInput) {
+        try {
+          filters.regex = compileSafeRegex(regexInput, 'i');
+        } catch (error) {
+          await interaction.reply({
+            content: `❌ Invalid regex: ${error.message}`,
+            ephemeral: true
+          });
+          return;
+        }
+      }
+      
+      await interaction.deferReply({ ephemeral: true });
+      
+      let found;
+      try {
+        found = await findPurgeMessages(interaction.channel, amount, filters);
+      } catch (error) {
+        addLog('error', `Error in purge command: ${error.message}`);
+        await interaction.editReply(`Failed to read the channel history: ${error.message}`);
+        return;
+      }
+      
+      const { messages, scanned, stoppedBy } = found;
+      const filterText = describePurgeFilters(filters).join(', ');
+      
+      if (messages.length === 0) {
+        await interaction.editReply(`No matching messages found${filterText ? ` ${filterText}` : ''} (scanned ${scanned}${stoppedBy ? `, ${stoppedBy}` : ''}).`);
+        return;
+      }
+      
+      const shortfall = messages.length < amount
+        ? `\nOnly ${messages.length} of ${amount} found: ${stoppedBy || 'reached the start of the channel'}.`
+        : '';
+      
+      const confirmRow = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId('confirm_purge')
+            .setLabel(`Delete ${messages.length}`)
+            .setStyle(ButtonStyle.Danger),
+          new ButtonBuilder()
+            .setCustomId('cancel_purge')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+        );
+      
+      const response = await interaction.editReply({
+        content: `🧹 Found **${messages.length}** message${messages.length !== 1 ? 's' : ''} to delete in <#${interaction.channel.id}>${filterText ? ` ${filterText}` : ''} (scanned ${scanned}).${shortfall}\nDelete them?`,
+        components: [confirmRow]
+      });
+      
+      try {
+        const confirmation = await response.awaitMessageComponent({ time: 60000 });
+        
+        if (confirmation.customId === 'cancel_purge') {
+          await confirmation.update({
+            content: 'Purge canceled.',
+            components: []
+          });
+          return;
+        }
+        
+        await confirmation.update({
+          content: `Deleting ${messages.length} message${messages.length !== 1 ? 's' : ''}...`,
+          components: []
+        });
+      } catch (error) {
+        await interaction.editReply({
+          content: 'Confirmation timed out. Purge canceled.',
+          components: []
+        });
+        return;
+      }
+      
+      const { deletedIds, error } = await deletePurgeMessages(interaction.channel, messages);
+      const deleted = messages.filter(message => deletedIds.has(message.id));
+      const deletedCount = deleted.length;
+      
+      // Whatever was deleted before a failure is still logged and reported
+      const logFile = {
+        attachment: Buffer.from(renderPurgeLog(interaction.channel, interaction.user, filters, deleted), 'utf8'),
+        name: `purge-${interaction.channel.name}-${Date.now()}.txt`
+      };
+      
+      if (deletedCount > 0) {
+        addLog('info', `${interaction.user.tag} purged ${deletedCount} messages${filterText ? ` ${filterText}` : ''} in #${interaction.channel.name}`);
+        sendModLog(interaction.guild, 'purges', {
+          title: '🧹 Messages Purged',
+          color: 0xFFA500,
+          actor: interaction.user,
+          target: filters.user || `<#${interaction.channel.id}>`,
+          fields: [
+            { name: 'Channel', value: `<#${interaction.channel.id}>`, inline: true },
+            { name: 'Deleted', value: `${deletedCount}`, inline: true },
+            { name: 'Filters', value: filterText || 'None' },
+            ...(error ? [{ name: 'Stopped', value: error.message.slice(0, 1024) }] : [])
+          ],
+          files: [logFile]
+        });
+      }
+      
+      let content = `Successfully deleted ${deletedCount} message${deletedCount !== 1 ? 's' : ''}${filterText ? ` ${filterText}` : ''}.`;
+      if (error) {
+        addLog('error', `Error in purge command: ${error.message}`);
+        content = `${deletedCount > 0 ? `Deleted ${deletedCount} of ${messages.length} messages, then f` : 'F'}ailed to delete messages: ${error.message}. Note that messages older than 14 days cannot be bulk deleted.`;
+      }
+      
+      await interaction.editReply({
+        content,
+        files: deletedCount > 0 ? [logFile] : []
+      });
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('mute')
+      .setDescription('Timeout a user')
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('The user to timeout')
+          .setRequired(true))
+      .addIntegerOption(option => 
+        option.setName('duration')
+          .setDescription('Timeout duration in minutes')
+          .setMinValue(1)
+          .setMaxValue(MAX_TIMEOUT_MINUTES)
+          .setRequired(true))
+      .addStringOption(option => 
+        option.setName('reason')
+          .setDescription('Reason for timeout')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+    async execute(interaction) {
+      const targetUser = interaction.options.getUser('user');
+      const duration = interaction.options.getInteger('duration');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const member = interaction.guild.members.cache.get(targetUser.id);
+      
+      if (!member) {
+        await interaction.reply({
+          content: 'This user is not in the server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Check if the bot can timeout the member
+      if (!member.moderatable) {
+        await interaction.reply({
+          content: 'I cannot timeout this user. They might have higher permissions than me.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      try {
+        // Convert minutes to milliseconds
+        const timeoutDuration = duration * 60 * 1000;
+        
+        const modCase = await applyPunishment(interaction.guild, {
+          type: 'timeout',
+          target: targetUser,
+          moderator: interaction.user,
+          reason,
+          durationMs: timeoutDuration
+        });
+        
+        const embed = new EmbedBuilder()
+          .setTitle('User Timed Out')
+          .setDescription(`**${targetUser.tag}** has been timed out.`)
+          .addFields(
+            { name: 'Duration', value: `${duration} minute${duration !== 1 ? 's' : ''}` },
+            { name: 'Reason', value: reason }
+          )
+          .setColor('#FFA500')
+          .setFooter({ text: `Case #${modCase.number}` })
+          .setTimestamp();
+        
+        await interaction.reply({ embeds: [embed] });
+        addLog('info', `${targetUser.tag} was timed out by ${interaction.user.tag} for ${duration} minutes (case #${modCase.number}). Reason: ${reason}`);
+      } catch (error) {
+        addLog('error', `Failed to timeout ${targetUser.tag}: ${error.message}`);
+        await interaction.reply({
+          content: `Failed to timeout the user: ${error.message}`,
+          ephemeral: true
+        });
+      }
+    }
+  },
+  {
+    data: new SlashCommandBuilder()
+      .setName('unmute')
+      .setDescription('Remove timeout from a user')
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('The user to remove timeout from')
+          .setRequired(true))
+      .addStringOption(option => 
+        option.setName('reason')
+          .setDescription('Reason for removing timeout')
+          .setRequired(false))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
     async execute(interaction) {
-      try {
-        const uptime = getUptime(client.readyAt);
-        
-        // Safe handling of guild name to fix the error
-        const guildName = interaction.guild ? interaction.guild.name : 'Direct Message';
-        
+      const targetUser = interaction.options.getUser('user');
+      const reason = interaction.options.getString('reason') || 'No reason provided';
+      
+      if (!interaction.guild) {
         await interaction.reply({
-          embeds: [{
-            title: '🤖 Bot Status',
-            fields: [
-              { name: 'Status', value: '🟢 Online', inline: true },
-              { name: 'Uptime', value: uptime, inline: true },
-              { name: 'Server', value: guildName, inline: true },
-              { name: 'Latency', value: `${client.ws.ping}ms`, inline: true }
-            ],
-            color: 0x00FF00,
-            timestamp: new Date()
-          }],
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const member = interaction.guild.members.cache.get(targetUser.id);
+      
+      if (!member) {
+        await interaction.reply({
+          content: 'This user is not in the server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Check if user is timed out
+      if (!member.communicationDisabledUntil) {
+        await interaction.reply({
+          content: 'This user is not timed out.',
           ephemeral: true
         });
+        return;
+      }
+      
+      try {
+        await member.timeout(null, reason);
+        const modCase = createModCase(interaction.guild, {
+          type: 'untimeout',
+          target: targetUser,
+          moderator: interaction.user,
+          reason
+        });
+        
+        const embed = new EmbedBuilder()
+          .setTitle('Timeout Removed')
+          .setDescription(`Timeout has been removed from **${targetUser.tag}**.`)
+          .addFields({ name: 'Reason', value: reason })
+          .setColor('#00FF00')
+          .setFooter({ text: `Case #${modCase.number}` })
+          .setTimestamp();
+        
+        await interaction.reply({ embeds: [embed] });
+        addLog('info', `Timeout removed from ${targetUser.tag} by ${interaction.user.tag} (case #${modCase.number}). Reason: ${reason}`);
       } catch (error) {
-        addLog('error', `Error in status command: ${error.message}`);
+        addLog('error', `Failed to remove timeout from ${targetUser.tag}: ${error.message}`);
         await interaction.reply({
-          content: 'An error occurred while checking bot status.',
+          content: `Failed to remove timeout: ${error.message}`,
           ephemeral: true
         });
       }
@@ -327,185 +6193,466 @@ const commands = [
   },
   {
     data: new SlashCommandBuilder()
-      .setName('logs')
-      .setDescription('Check the bot logs')
+      .setName('warn')
+      .setDescription('Warn a user and record it in their moderation history')
+      .addUserOption(option => 
+        option.setName('user')
+          .setDescription('The user to warn')
+          .setRequired(true))
       .addStringOption(option => 
-        option.setName('filter')
-          .setDescription('Filter logs by type')
-          .setRequired(false)
-          .addChoices(
-            { name: 'All', value: 'all' },
-            { name: 'Success', value: 'success' },
-            { name: 'Error', value: 'error' },
-            { name: 'Info', value: 'info' }
-          ))
-      .addIntegerOption(option =>
-        option.setName('count')
-          .setDescription('Number of logs to retrieve (default: 10, max: 25)')
-          .setRequired(false)
-          .setMinValue(1)
-          .setMaxValue(25))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+        option.setName('reason')
+          .setDescription('Reason for the warning')
+          .setMaxLength(1000)
+          .setRequired(true))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
     async execute(interaction) {
-      const filter = interaction.options.getString('filter') || 'all';
-      const count = interaction.options.getInteger('count') || 10;
+      const targetUser = interaction.options.getUser('user');
+      const reason = interaction.options.getString('reason');
       
-      let filteredLogs = logs;
-      if (filter !== 'all') {
-        filteredLogs = logs.filter(log => log.type === filter);
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
       }
       
-      // Get the specified number of logs
-      const lastLogs = filteredLogs.slice(-count).reverse();
-      
-      if (lastLogs.length === 0) {
+      if (targetUser.bot) {
         await interaction.reply({
-          content: `No logs found with filter: ${filter}`,
+          content: 'Bots cannot be warned.',
           ephemeral: true
         });
         return;
       }
       
-      const logMessages = lastLogs.map(log => 
-        `[${new Date(log.timestamp).toLocaleTimeString()}] [${log.type.toUpperCase()}] ${log.message}`
-      );
+      await interaction.deferReply();
       
-      await interaction.reply({
-        embeds: [{
-          title: '📝 Bot Logs',
-          description: logMessages.join('\n'),
-          color: 0x0099FF,
-          timestamp: new Date(),
-          footer: {
-            text: `Showing ${lastLogs.length} of ${filteredLogs.length} logs`
-          }
-        }],
-        ephemeral: true
-      });
+      const { modCase, notified, escalation } = await issueWarning(interaction.guild, targetUser, interaction.user, reason);
+      
+      const embed = new EmbedBuilder()
+        .setTitle('User Warned')
+        .setDescription(`**${targetUser.tag}** has been warned.`)
+        .addFields(
+          { name: 'Reason', value: reason },
+          { name: 'Warnings', value: `${getUserCases(interaction.guild.id, targetUser.id).filter(c => c.type === 'warn').length}`, inline: true },
+          { name: 'Notified', value: notified ? 'Yes' : 'No (DMs closed)', inline: true }
+        )
+        .setColor('#FFD700')
+        .setFooter({ text: `Case #${modCase.number}` })
+        .setTimestamp();
+      
+      if (escalation) {
+        embed.addFields({ name: 'Automatic Action', value: formatEscalation(escalation) });
+      }
+      
+      await interaction.editReply({ embeds: [embed] });
+      addLog('info', `${targetUser.tag} was warned by ${interaction.user.tag} (case #${modCase.number}). Reason: ${reason}`);
     }
   },
-
-  // MUSIC SYSTEM
   {
     data: new SlashCommandBuilder()
-      .setName('music')
-      .setDescription('Music system commands placeholder')
+      .setName('warn-policy')
+      .setDescription('Punish members automatically when they reach a number of warnings')
       .addSubcommand(subcommand =>
         subcommand
-          .setName('play')
-          .setDescription('Play a song')
+          .setName('add')
+          .setDescription('Add or replace a rule')
+          .addIntegerOption(option =>
+            option.setName('warnings')
+              .setDescription('Number of warnings that triggers the action')
+              .setMinValue(1)
+              .setMaxValue(50)
+              .setRequired(true))
           .addStringOption(option =>
-            option.setName('query')
-              .setDescription('Song name or URL')
-              .setRequired(true)))
+            option.setName('action')
+              .setDescription('What happens to the member')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Timeout', value: 'timeout' },
+                { name: 'Kick', value: 'kick' },
+                { name: 'Ban', value: 'ban' }
+              ))
+          .addIntegerOption(option =>
+            option.setName('duration')
+              .setDescription('Timeout or ban length in minutes (required for timeouts, bans are permanent if not set)')
+              .setMinValue(1)
+              .setMaxValue(MAX_BAN_MINUTES)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('days')
+              .setDescription('Only count warnings from the last N days (default: 30)')
+              .setMinValue(1)
+              .setMaxValue(365)
+              .setRequired(false)))
       .addSubcommand(subcommand =>
         subcommand
-          .setName('skip')
-          .setDescription('Skip to the next song'))
+          .setName('remove')
+          .setDescription('Remove a rule')
+          .addIntegerOption(option =>
+            option.setName('warnings')
+              .setDescription('Warning count of the rule to remove')
+              .setMinValue(1)
+              .setRequired(true)))
       .addSubcommand(subcommand =>
         subcommand
-          .setName('stop')
-          .setDescription('Stop playing music'))
+          .setName('list')
+          .setDescription('Show the rules'))
       .addSubcommand(subcommand =>
         subcommand
-          .setName('queue')
-          .setDescription('Show the current queue')),
+          .setName('preview')
+          .setDescription("Show what a member's next warning would trigger")
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('The member to check')
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
     async execute(interaction) {
-      const subcommand = interaction.options.getSubcommand();
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
       
-      // This is a placeholder for the music system
-      // Implementation would require additional packages like discord-player or @discordjs/voice
+      const subcommand = interaction.options.getSubcommand();
+      const policy = warnPolicies.get(interaction.guild.id) || { rules: {} };
       
-      await interaction.reply({
-        embeds: [{
-          title: '🎵 Music System',
-          description: 'This is a placeholder for the music system.\n\n' +
-            'Full implementation requires additional packages:\n' +
-            '- @discordjs/voice\n' +
-            '- discord-player or similar\n' +
-            '- ffmpeg and other audio libraries\n\n' +
-            'Would you like detailed implementation instructions?',
-          color: 0x9370DB,
-          footer: {
-            text: `Requested music command: ${subcommand}`
+      switch (subcommand) {
+        case 'add': {
+          const warnings = interaction.options.getInteger('warnings');
+          const action = interaction.options.getString('action');
+          const duration = interaction.options.getInteger('duration');
+          
+          if (action === 'timeout' && !duration) {
+            await interaction.reply({
+              content: 'Timeouts need a `duration`.',
+              ephemeral: true
+            });
+            return;
           }
-        }],
-        ephemeral: true
-      });
+          
+          if (action === 'timeout' && duration > MAX_TIMEOUT_MINUTES) {
+            await interaction.reply({
+              content: `Timeouts can last at most ${formatWait(MAX_TIMEOUT_MINUTES * 60000)}.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const rule = {
+            warnings,
+            action,
+            durationMinutes: action === 'kick' ? null : duration,
+            windowDays: interaction.options.getInteger('days') || 30
+          };
+          policy.rules[warnings] = rule;
+          warnPolicies.set(interaction.guild.id, policy);
+          await persistState();
+          
+          await interaction.reply({
+            content: `✅ Rule saved: ${describeWarnPolicyRule(rule)}`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Warning policy rule "${describeWarnPolicyRule(rule)}" set by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Warning policy rule "${describeWarnPolicyRule(rule)}" set`);
+          break;
+        }
+        
+        case 'remove': {
+          const warnings = interaction.options.getInteger('warnings');
+          
+          if (!policy.rules[warnings]) {
+            await interaction.reply({
+              content: `There is no rule for ${warnings} warning${warnings === 1 ? '' : 's'}.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          delete policy.rules[warnings];
+          warnPolicies.set(interaction.guild.id, policy);
+          await persistState();
+          
+          await interaction.reply({
+            content: `🗑️ Removed the rule for ${warnings} warning${warnings === 1 ? '' : 's'}.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Warning policy rule for ${warnings} warnings removed by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Warning policy rule for ${warnings} warnings removed`);
+          break;
+        }
+        
+        case 'list': {
+          const rules = getWarnPolicyRules(interaction.guild.id);
+          
+          await interaction.reply({
+            embeds: [{
+              title: '⚖️ Warning Policy',
+              description: rules.length > 0
+                ? rules.map(describeWarnPolicyRule).join('\n')
+                : 'No rules yet. Add one with `/warn-policy add`.',
+              color: 0x5865F2
+            }],
+            ephemeral: true
+          });
+          break;
+        }
+        
+        case 'preview': {
+          const targetUser = interaction.options.getUser('user');
+          const rules = getWarnPolicyRules(interaction.guild.id);
+          
+          if (rules.length === 0) {
+            await interaction.reply({
+              content: 'No rules yet. Add one with `/warn-policy add`.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const counts = rules.map(rule => {
+            const count = countRecentWarnings(interaction.guild.id, targetUser.id, rule.windowDays);
+            return `${describeWarnPolicyRule(rule)}: **${count}** so far`;
+          });
+          const next = getWarnPolicyMatch(interaction.guild.id, targetUser.id, 1);
+          
+          await interaction.reply({
+            embeds: [{
+              title: `⚖️ Warning Policy Preview: ${targetUser.tag}`,
+              fields: [
+                { name: 'Warnings Counted', value: counts.join('\n') },
+                {
+                  name: 'Next Warning',
+                  value: next ? `${WARN_POLICY_ACTIONS[next.rule.action]}${next.rule.durationMinutes ? ` for ${formatWait(next.rule.durationMinutes * 60000)}` : ''} (${describeWarnPolicyRule(next.rule)})` : 'No automatic action'
+                }
+              ],
+              color: 0x5865F2
+            }],
+            ephemeral: true
+          });
+          break;
+        }
+      }
     }
   },
-
-  // UTILITY COMMANDS
   {
     data: new SlashCommandBuilder()
-      .setName('ping')
-      .setDescription('Check the bot\'s ping'),
+      .setName('case')
+      .setDescription('View and manage moderation cases')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('view')
+          .setDescription('Show a moderation case')
+          .addIntegerOption(option =>
+            option.setName('number')
+              .setDescription('Case number')
+              .setMinValue(1)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('edit-reason')
+          .setDescription('Change the reason of a moderation case')
+          .addIntegerOption(option =>
+            option.setName('number')
+              .setDescription('Case number')
+              .setMinValue(1)
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('reason')
+              .setDescription('New reason')
+              .setMaxLength(1000)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('delete')
+          .setDescription('Delete a moderation case')
+          .addIntegerOption(option =>
+            option.setName('number')
+              .setDescription('Case number')
+              .setMinValue(1)
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
     async execute(interaction) {
-      const sent = await interaction.reply({ 
-        content: 'Pinging...', 
-        fetchReply: true,
-        ephemeral: true
-      });
-      const pingLatency = sent.createdTimestamp - interaction.createdTimestamp;
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const subcommand = interaction.options.getSubcommand();
+      const number = interaction.options.getInteger('number');
+      const modCase = getModCase(interaction.guild.id, number);
       
-      await interaction.editReply({
-        content: '',
-        embeds: [{
-          title: '🏓 Pong!',
-          fields: [
-            { name: 'Bot Latency', value: `${pingLatency}ms`, inline: true },
-            { name: 'API Latency', value: `${client.ws.ping}ms`, inline: true }
-          ],
-          color: 0x00FFFF
-        }]
-      });
+      if (!modCase) {
+        await interaction.reply({
+          content: `Case #${number} does not exist.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      switch (subcommand) {
+        case 'view': {
+          await interaction.reply({ embeds: [buildCaseEmbed(modCase)], ephemeral: true });
+          break;
+        }
+        
+        case 'edit-reason': {
+          modCase.reason = interaction.options.getString('reason');
+          modCase.updatedAt = new Date().toISOString();
+          await persistState();
+          
+          await interaction.reply({
+            content: `✏️ Updated the reason of case #${number}.`,
+            embeds: [buildCaseEmbed(modCase)],
+            ephemeral: true
+          });
+          
+          addLog('info', `${interaction.user.tag} edited the reason of case #${number} in server ${interaction.guild.name}`);
+          sendModLog(interaction.guild, 'moderation', {
+            title: '✏️ Case Reason Edited',
+            actor: interaction.user,
+            target: { id: modCase.targetId, tag: modCase.targetTag },
+            reason: modCase.reason,
+            caseNumber: number
+          });
+          break;
+        }
+        
+        case 'delete': {
+          if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+            await interaction.reply({
+              content: 'You need the Manage Server permission to delete cases.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          modCases.delete(`${interaction.guild.id}:${number}`);
+          await persistState();
+          
+          await interaction.reply({
+            content: `🗑️ Deleted case #${number} (${CASE_TYPES[modCase.type].label.toLowerCase()} of ${modCase.targetTag}).`,
+            ephemeral: true
+          });
+          
+          addLog('info', `${interaction.user.tag} deleted case #${number} in server ${interaction.guild.name}`);
+          sendModLog(interaction.guild, 'moderation', {
+            title: '🗑️ Case Deleted',
+            color: 0x808080,
+            actor: interaction.user,
+            target: { id: modCase.targetId, tag: modCase.targetTag },
+            reason: `${CASE_TYPES[modCase.type].label}: ${modCase.reason}`,
+            caseNumber: number
+          });
+          break;
+        }
+      }
     }
   },
   {
     data: new SlashCommandBuilder()
-      .setName('userinfo')
-      .setDescription('Display information about yourself or another user')
+      .setName('history')
+      .setDescription("Show a member's moderation history")
       .addUserOption(option => 
         option.setName('user')
-          .setDescription('The user to get information about')
-          .setRequired(false)),
+          .setDescription('The user to look up')
+          .setRequired(true))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
     async execute(interaction) {
-      const targetUser = interaction.options.getUser('user') || interaction.user;
-      const member = interaction.guild?.members.cache.get(targetUser.id);
+      const targetUser = interaction.options.getUser('user');
       
-      const joinedAt = member ? new Date(member.joinedTimestamp).toLocaleDateString() : 'N/A';
-      const createdAt = new Date(targetUser.createdTimestamp).toLocaleDateString();
-      const roles = member ? 
-        member.roles.cache
-          .sort((a, b) => b.position - a.position)
-          .map(role => role.name !== '@everyone' ? `<@&${role.id}>` : '')
-          .filter(Boolean)
-          .join(', ') || 'None' 
-        : 'N/A';
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const cases = getUserCases(interaction.guild.id, targetUser.id);
+      
+      if (cases.length === 0) {
+        await interaction.reply({
+          content: `**${targetUser.tag}** has a clean record.`,
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const counts = Object.entries(CASE_TYPES)
+        .map(([type, caseType]) => [caseType, cases.filter(c => c.type === type).length])
+        .filter(([, count]) => count > 0)
+        .map(([caseType, count]) => `${caseType.emoji} ${caseType.label}: ${count}`);
+      
+      // Newest first. Whole lines are added while they fit in the embed
+      // description, leaving room for the note about older cases.
+      const describeOlder = count => `…and ${count} older case${count === 1 ? '' : 's'}. Use \`/case view\` to see them.`;
+      const lines = [];
+      let length = 0;
+      for (const modCase of cases.slice(-HISTORY_CASE_LIMIT).reverse()) {
+        const line = formatCaseLine(modCase);
+        const olderCount = cases.length - lines.length - 1;
+        const reserved = olderCount > 0 ? describeOlder(olderCount).length + 1 : 0;
+        if (length + line.length + 1 + reserved > 4096) break;
+        
+        lines.push(line);
+        length += line.length + 1;
+      }
+      if (cases.length > lines.length) lines.push(describeOlder(cases.length - lines.length));
+      const description = lines.join('\n');
       
       const embed = new EmbedBuilder()
-        .setTitle(`User Information - ${targetUser.username}`)
-        .setThumbnail(targetUser.displayAvatarURL({ dynamic: true, size: 256 }))
-        .setColor(member?.displayHexColor || '#00FFFF')
-        .addFields(
-          { name: 'Username', value: targetUser.tag, inline: true },
-          { name: 'User ID', value: targetUser.id, inline: true },
-          { name: 'Account Created', value: createdAt, inline: true },
-          { name: 'Joined Server', value: joinedAt, inline: true },
-          { name: 'Roles', value: roles, inline: false }
-        )
+        .setTitle(`📋 Moderation History: ${targetUser.tag}`)
+        .setThumbnail(targetUser.displayAvatarURL())
+        .setDescription(description)
+        .addFields({ name: `Total: ${cases.length}`, value: counts.join('\n') })
+        .setColor('#5865F2')
         .setTimestamp();
       
-      await interaction.reply({ 
-        embeds: [embed],
-        ephemeral: true
-      });
+      await interaction.reply({ embeds: [embed], ephemeral: true });
     }
   },
   {
     data: new SlashCommandBuilder()
-      .setName('serverinfo')
-      .setDescription('Display information about the server'),
+      .setName('modlog')
+      .setDescription('Configure the moderation log channel')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('set')
+          .setDescription('Set the channel that receives mod log entries')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Mod log channel')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('disable')
+          .setDescription('Stop posting mod log entries'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('events')
+          .setDescription('Turn a category of log entries on or off')
+          .addStringOption(option =>
+            option.setName('category')
+              .setDescription('The category to change')
+              .setRequired(true)
+              .addChoices(...Object.entries(MOD_LOG_CATEGORIES).map(([value, { label }]) => ({ name: label, value }))))
+          .addBooleanOption(option =>
+            option.setName('enabled')
+              .setDescription('Whether entries of this category are posted')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Show the mod log channel and categories'))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
     async execute(interaction) {
       if (!interaction.guild) {
         await interaction.reply({
@@ -515,104 +6662,496 @@ const commands = [
         return;
       }
       
-      const { guild } = interaction;
-      await guild.members.fetch();
-      
-      const totalMembers = guild.memberCount;
-      const onlineMembers = guild.members.cache.filter(m => m.presence?.status === 'online').size;
-      const textChannels = guild.channels.cache.filter(c => c.type === ChannelType.GuildText).size;
-      const voiceChannels = guild.channels.cache.filter(c => c.type === ChannelType.GuildVoice).size;
-      const categories = guild.channels.cache.filter(c => c.type === ChannelType.GuildCategory).size;
-      const roleCount = guild.roles.cache.size;
-      
-      const embed = new EmbedBuilder()
-        .setTitle(`Server Information - ${guild.name}`)
-        .setThumbnail(guild.iconURL({ dynamic: true, size: 256 }))
-        .setColor('#00FFFF')
-        .addFields(
-          { name: 'Server ID', value: guild.id, inline: true },
-          { name: 'Owner', value: `<@${guild.ownerId}>`, inline: true },
-          { name: 'Created On', value: new Date(guild.createdTimestamp).toLocaleDateString(), inline: true },
-          { name: 'Members', value: `${totalMembers} total`, inline: true },
-          { name: 'Channels', value: `${textChannels} text | ${voiceChannels} voice | ${categories} categories`, inline: true },
-          { name: 'Roles', value: roleCount.toString(), inline: true },
-          { name: 'Server Boost Level', value: `Level ${guild.premiumTier}`, inline: true },
-          { name: 'Boost Count', value: `${guild.premiumSubscriptionCount || 0} boosts`, inline: true }
-        )
-        .setTimestamp();
+      const subcommand = interaction.options.getSubcommand();
+      const config = modLogConfig.get(interaction.guild.id) || { channelId: null, categories: {} };
       
-      await interaction.reply({ 
-        embeds: [embed],
-        ephemeral: false
-      });
+      switch (subcommand) {
+        case 'set': {
+          const channel = interaction.options.getChannel('channel');
+          config.channelId = channel.id;
+          modLogConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: `📜 Mod log entries will be posted in <#${channel.id}>. Use \`/modlog events\` to choose what gets logged.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Mod log channel set to #${channel.name} by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Mod log channel set to <#${channel.id}>`);
+          break;
+        }
+        
+        case 'disable': {
+          config.channelId = null;
+          modLogConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: '📜 Mod log disabled.',
+            ephemeral: true
+          });
+          
+          addLog('info', `Mod log disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          break;
+        }
+        
+        case 'events': {
+          const category = interaction.options.getString('category');
+          const enabled = interaction.options.getBoolean('enabled');
+          config.categories = { ...config.categories, [category]: enabled };
+          modLogConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: `📜 ${MOD_LOG_CATEGORIES[category].label} will ${enabled ? 'now' : 'no longer'} be logged.${config.channelId ? '' : ' Set a channel with `/modlog set` to start logging.'}`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Mod log ${MOD_LOG_CATEGORIES[category].label.toLowerCase()} ${enabled ? 'enabled' : 'disabled'} by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Mod log ${MOD_LOG_CATEGORIES[category].label.toLowerCase()} ${enabled ? 'enabled' : 'disabled'}`);
+          break;
+        }
+        
+        case 'status': {
+          const categories = Object.entries(MOD_LOG_CATEGORIES)
+            .map(([key, { label }]) => `${isModLogCategoryEnabled(config, key) ? '🟢' : '⚪'} ${label}`);
+          
+          await interaction.reply({
+            embeds: [{
+              title: '📜 Mod Log',
+              fields: [
+                { name: 'Channel', value: config.channelId ? `<#${config.channelId}>` : 'Not set' },
+                { name: 'Categories', value: categories.join('\n') }
+              ],
+              color: 0x5865F2
+            }],
+            ephemeral: true
+          });
+          break;
+        }
+      }
     }
   },
+
+  // AUTOMOD
   {
     data: new SlashCommandBuilder()
-      .setName('poll')
-      .setDescription('Create a poll')
-      .addStringOption(option => 
-        option.setName('question')
-          .setDescription('The poll question')
-          .setRequired(true))
-      .addStringOption(option => 
-        option.setName('options')
-          .setDescription('Poll options separated by commas (max 10)')
-          .setRequired(true)),
+      .setName('automod')
+      .setDescription('Configure automatic moderation of messages')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Show the AutoMod rules and settings'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('rule')
+          .setDescription('Turn a rule on or off and choose its actions')
+          .addStringOption(option =>
+            option.setName('rule')
+              .setDescription('The rule to configure')
+              .setRequired(true)
+              .addChoices(...Object.entries(AUTOMOD_RULES).map(([value, name]) => ({ name, value }))))
+          .addBooleanOption(option =>
+            option.setName('enabled')
+              .setDescription('Whether the rule is active')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('actions')
+              .setDescription('Comma-separated: delete, warn, timeout, log (default: delete, log)')
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('timeout_minutes')
+              .setDescription('Timeout length for the timeout action (default: 10)')
+              .setMinValue(1)
+              .setMaxValue(MAX_TIMEOUT_MINUTES)
+              .setRequired(false)))
+      .addSubcommandGroup(group =>
+        group
+          .setName('filter')
+          .setDescription('Manage banned words and allow/deny lists')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('add')
+              .setDescription('Add an entry to a list')
+              .addStringOption(option =>
+                option.setName('list')
+                  .setDescription('The list to change')
+                  .setRequired(true)
+                  .addChoices(...Object.entries(AUTOMOD_LISTS).map(([value, name]) => ({ name, value }))))
+              .addStringOption(option =>
+                option.setName('entry')
+                  .setDescription('Word, regex, invite code or domain')
+                  .setMaxLength(200)
+                  .setRequired(true)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('remove')
+              .setDescription('Remove an entry from a list')
+              .addStringOption(option =>
+                option.setName('list')
+                  .setDescription('The list to change')
+                  .setRequired(true)
+                  .addChoices(...Object.entries(AUTOMOD_LISTS).map(([value, name]) => ({ name, value }))))
+              .addStringOption(option =>
+                option.setName('entry')
+                  .setDescription('The entry to remove')
+                  .setRequired(true))))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('thresholds')
+          .setDescription('Tune the mention, caps and flood limits')
+          .addIntegerOption(option =>
+            option.setName('mentions')
+              .setDescription('Most mentions allowed in one message (default: 5)')
+              .setMinValue(1)
+              .setMaxValue(50)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('caps_percent')
+              .setDescription('Share of capital letters that counts as shouting (default: 70)')
+              .setMinValue(50)
+              .setMaxValue(100)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('caps_min_length')
+              .setDescription('Ignore messages with fewer letters than this (default: 10)')
+              .setMinValue(1)
+              .setMaxValue(200)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('flood_messages')
+              .setDescription('Messages within the flood window that count as flooding (default: 5)')
+              .setMinValue(2)
+              .setMaxValue(50)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('flood_seconds')
+              .setDescription('Flood window in seconds (default: 5)')
+              .setMinValue(1)
+              .setMaxValue(300)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('repeats')
+              .setDescription('Identical messages within the flood window that count as spam (default: 3)')
+              .setMinValue(2)
+              .setMaxValue(20)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('exempt')
+          .setDescription('Exempt a channel or role from a rule or from all rules')
+          .addStringOption(option =>
+            option.setName('rule')
+              .setDescription('The rule to change')
+              .setRequired(true)
+              .addChoices(
+                { name: 'All rules', value: 'all' },
+                ...Object.entries(AUTOMOD_RULES).map(([value, name]) => ({ name, value }))
+              ))
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to exempt')
+              .setRequired(false))
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('Role to exempt')
+              .setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('remove')
+              .setDescription('Remove the exemption instead of adding it')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('log-channel')
+          .setDescription('Set the channel for the log action')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel for AutoMod logs')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
     async execute(interaction) {
-      const question = interaction.options.getString('question');
-      let options = interaction.options.getString('options').split(',').map(opt => opt.trim());
-      
-      // Limit to 10 options
-      if (options.length > 10) {
-        options = options.slice(0, 10);
+      if (!interaction.guild) {
         await interaction.reply({
-          content: 'You provided more than 10 options. Only the first 10 will be used.',
+          content: 'This command can only be used in a server.',
           ephemeral: true
         });
+        return;
       }
       
-      // Add number emojis for options
-      const numberEmojis = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
-      const optionsText = options.map((opt, idx) => `${numberEmojis[idx]} ${opt}`).join('\n\n');
-      
-      const embed = new EmbedBuilder()
-        .setTitle('📊 ' + question)
-        .setDescription(optionsText)
-        .setColor('#FFA500')
-        .setFooter({ text: `Poll created by ${interaction.user.username}` })
-        .setTimestamp();
+      const subcommand = interaction.options.getSubcommand();
+      const config = getAutomodConfig(interaction.guild.id);
       
-      const sent = await interaction.reply({ 
-        embeds: [embed],
-        fetchReply: true
-      });
+      const saveConfig = async (message) => {
+        automodConfig.set(interaction.guild.id, config);
+        compileAutomodFilters(interaction.guild.id, config);
+        await persistState();
+        await interaction.reply({ content: message, ephemeral: true });
+        addLog('info', `AutoMod ${subcommand} changed by ${interaction.user.tag} in server ${interaction.guild.name}`);
+        logConfigChange(interaction, `AutoMod ${subcommand} changed`);
+      };
       
-      // Add reactions for voting
-      for (let i = 0; i < options.length; i++) {
-        await sent.react(numberEmojis[i]);
+      switch (subcommand) {
+        case 'status': {
+          const formatExemptions = (channelIds, roleIds) => [
+            ...channelIds.map(id => `<#${id}>`),
+            ...roleIds.map(id => `<@&${id}>`)
+          ].join(', ');
+          
+          const ruleLines = Object.entries(config.rules).map(([key, rule]) => {
+            const actions = rule.actions.map(action => action === 'timeout' ? `timeout ${formatWait(rule.timeoutMinutes * 60000)}` : action);
+            const exemptions = formatExemptions(rule.exemptChannelIds, rule.exemptRoleIds);
+            return `${rule.enabled ? '🟢' : '⚪'} **${AUTOMOD_RULES[key]}**: ${actions.join(', ')}${exemptions ? `\n  Exempt: ${exemptions}` : ''}`;
+          });
+          
+          const listLines = Object.entries(AUTOMOD_LISTS).map(([key, name]) => {
+            const entries = config[key].map(entry => `\`${entry}\``).join(', ');
+            return `**${name}:** ${entries || 'none'}`;
+          });
+          
+          const { thresholds } = config;
+          const embed = new EmbedBuilder()
+            .setTitle('🛡️ AutoMod')
+            .setColor('#5865F2')
+            .addFields(
+              { name: 'Rules', value: ruleLines.join('\n') },
+              { name: 'Lists', value: listLines.join('\n').slice(0, 1024) },
+              {
+                name: 'Thresholds',
+                value: `Mentions: more than ${thresholds.mentions}\nCaps: ${thresholds.capsPercent}% of at least ${thresholds.capsMinLength} letters\nFlood: ${thresholds.floodMessages} messages or ${thresholds.repeats} repeats in ${thresholds.floodSeconds}s`
+              },
+              { name: 'Exempt from All Rules', value: formatExemptions(config.exemptChannelIds, config.exemptRoleIds) || 'None', inline: true },
+              { name: 'Log Channel', value: config.logChannelId ? `<#${config.logChannelId}>` : 'Not set', inline: true }
+            );
+          
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+          break;
+        }
+        
+        case 'rule': {
+          const ruleKey = interaction.options.getString('rule');
+          const rule = config.rules[ruleKey];
+          const actionsInput = interaction.options.getString('actions');
+          
+          if (actionsInput) {
+            const actions = [...new Set(actionsInput.toLowerCase().split(/[\s,]+/).filter(Boolean))];
+            const unknown = actions.filter(action => !AUTOMOD_ACTIONS.includes(action));
+            
+            if (actions.length === 0 || unknown.length > 0) {
+              await interaction.reply({
+                content: `❌ Unknown action${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ') || 'none given'}. Use ${AUTOMOD_ACTIONS.join(', ')}.`,
+                ephemeral: true
+              });
+              return;
+            }
+            rule.actions = actions;
+          }
+          
+          rule.enabled = interaction.options.getBoolean('enabled');
+          rule.timeoutMinutes = interaction.options.getInteger('timeout_minutes') || rule.timeoutMinutes;
+          
+          if (rule.actions.includes('log') && !config.logChannelId) {
+            await saveConfig(`✅ ${AUTOMOD_RULES[ruleKey]} ${rule.enabled ? 'enabled' : 'disabled'}. Set a channel with \`/automod log-channel\` so the log action has somewhere to post.`);
+          } else {
+            await saveConfig(`✅ ${AUTOMOD_RULES[ruleKey]} ${rule.enabled ? 'enabled' : 'disabled'} (${rule.actions.join(', ')}).`);
+          }
+          break;
+        }
+        
+        case 'add':
+        case 'remove': {
+          const list = interaction.options.getString('list');
+          let entry = interaction.options.getString('entry').trim();
+          
+          if (list === 'words') {
+            entry = entry.toLowerCase();
+          } else if (list === 'inviteAllow') {
+            entry = entry.replace(/^.*\//, '');
+          } else if (list === 'linkAllow' || list === 'linkDeny') {
+            entry = entry.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[/?#].*$/, '');
+          }
+          
+          if (subcommand === 'remove') {
+            if (!config[list].includes(entry)) {
+              await interaction.reply({
+                content: `\`${entry}\` is not in ${AUTOMOD_LISTS[list].toLowerCase()}.`,
+                ephemeral: true
+              });
+              return;
+            }
+            config[list] = config[list].filter(item => item !== entry);
+            await saveConfig(`🗑️ Removed \`${entry}\` from ${AUTOMOD_LISTS[list].toLowerCase()}.`);
+            break;
+          }
+          
+          if (list === 'patterns') {
+            try {
+              compileSafeRegex(entry, 'i');
+            } catch (error) {
+              await interaction.reply({
+                content: `❌ Invalid regex: ${error.message}`,
+                ephemeral: true
+              });
+              return;
+            }
+          }
+          
+          if (!entry || config[list].includes(entry)) {
+            await interaction.reply({
+              content: entry ? `\`${entry}\` is already in ${AUTOMOD_LISTS[list].toLowerCase()}.` : 'The entry is empty.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          config[list].push(entry);
+          await saveConfig(`✅ Added \`${entry}\` to ${AUTOMOD_LISTS[list].toLowerCase()}.`);
+          break;
+        }
+        
+        case 'thresholds': {
+          const options = {
+            mentions: 'mentions',
+            capsPercent: 'caps_percent',
+            capsMinLength: 'caps_min_length',
+            floodMessages: 'flood_messages',
+            floodSeconds: 'flood_seconds',
+            repeats: 'repeats'
+          };
+          
+          for (const [key, optionName] of Object.entries(options)) {
+            const value = interaction.options.getInteger(optionName);
+            if (value !== null) config.thresholds[key] = value;
+          }
+          
+          const { thresholds } = config;
+          await saveConfig(`✅ Mentions: more than ${thresholds.mentions} · Caps: ${thresholds.capsPercent}% of at least ${thresholds.capsMinLength} letters · Flood: ${thresholds.floodMessages} messages or ${thresholds.repeats} repeats in ${thresholds.floodSeconds}s`);
+          break;
+        }
+        
+        case 'exempt': {
+          const ruleKey = interaction.options.getString('rule');
+          const channel = interaction.options.getChannel('channel');
+          const role = interaction.options.getRole('role');
+          const remove = interaction.options.getBoolean('remove') || false;
+          
+          if (!channel && !role) {
+            await interaction.reply({
+              content: 'Choose a channel, a role or both.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const target = ruleKey === 'all' ? config : config.rules[ruleKey];
+          const update = (ids, id) => remove ? ids.filter(item => item !== id) : [...new Set([...ids, id])];
+          if (channel) target.exemptChannelIds = update(target.exemptChannelIds, channel.id);
+          if (role) target.exemptRoleIds = update(target.exemptRoleIds, role.id);
+          
+          const mentions = [channel && `<#${channel.id}>`, role && `<@&${role.id}>`].filter(Boolean).join(' and ');
+          const ruleName = ruleKey === 'all' ? 'all rules' : AUTOMOD_RULES[ruleKey].toLowerCase();
+          await saveConfig(remove
+            ? `✅ ${mentions} ${channel && role ? 'are' : 'is'} no longer exempt from ${ruleName}.`
+            : `✅ ${mentions} ${channel && role ? 'are' : 'is'} now exempt from ${ruleName}.`);
+          break;
+        }
+        
+        case 'log-channel': {
+          const channel = interaction.options.getChannel('channel');
+          config.logChannelId = channel.id;
+          await saveConfig(`✅ AutoMod logs will be posted in <#${channel.id}>.`);
+          break;
+        }
       }
     }
   },
 
-  // ADMIN COMMANDS
+  // WELCOME SYSTEM
   {
     data: new SlashCommandBuilder()
-      .setName('kick')
-      .setDescription('Kick a user from the server')
-      .addUserOption(option => 
-        option.setName('user')
-          .setDescription('The user to kick')
-          .setRequired(true))
-      .addStringOption(option => 
-        option.setName('reason')
-          .setDescription('Reason for kicking')
-          .setRequired(false))
-      .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers),
+      .setName('welcome')
+      .setDescription('Configure the welcome system')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('setup')
+          .setDescription('Set up welcome messages')
+          .addStringOption(option =>
+            option.setName('message')
+              .setDescription('Welcome message, e.g. Welcome {user} to {server}! You are our {memberCount.ordinal} member')
+              .setMaxLength(2000)
+              .setRequired(true))
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to send welcome messages (not needed for DM-only delivery)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('delivery')
+              .setDescription('Where to send the welcome (default: channel)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Channel', value: 'channel' },
+                { name: 'Direct message', value: 'dm' },
+                { name: 'Both', value: 'both' }
+              ))
+          .addBooleanOption(option =>
+            option.setName('embed')
+              .setDescription('Send the message as an embed')
+              .setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('card')
+              .setDescription('Attach a generated welcome card image')
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('title')
+              .setDescription('Embed title (placeholders allowed)')
+              .setMaxLength(256)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('color')
+              .setDescription('Embed and card color as a hex code, e.g. #5865F2')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('goodbye')
+          .setDescription('Set up goodbye messages for members who leave')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to send goodbye messages (leave empty to turn goodbyes off)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('message')
+              .setDescription('Goodbye message, e.g. {user.name} has left {server}')
+              .setMaxLength(2000)
+              .setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('embed')
+              .setDescription('Send the message as an embed')
+              .setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('card')
+              .setDescription('Attach a generated goodbye card image')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('disable')
+          .setDescription('Disable welcome messages'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('test')
+          .setDescription('Test the welcome or goodbye message')
+          .addStringOption(option =>
+            option.setName('type')
+              .setDescription('Which message to test (default: welcome)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Welcome', value: 'welcome' },
+                { name: 'Goodbye', value: 'goodbye' }
+              )))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
     async execute(interaction) {
-      const targetUser = interaction.options.getUser('user');
-      const reason = interaction.options.getString('reason') || 'No reason provided';
-      
       if (!interaction.guild) {
         await interaction.reply({
           content: 'This command can only be used in a server.',
@@ -621,70 +7160,236 @@ const commands = [
         return;
       }
       
-      const member = interaction.guild.members.cache.get(targetUser.id);
-      
-      if (!member) {
-        await interaction.reply({
-          content: 'This user is not in the server.',
-          ephemeral: true
-        });
-        return;
-      }
-      
-      // Check if the bot can kick the member
-      if (!member.kickable) {
-        await interaction.reply({
-          content: 'I cannot kick this user. They might have higher permissions than me.',
-          ephemeral: true
-        });
-        return;
-      }
+      const subcommand = interaction.options.getSubcommand();
       
-      try {
-        await member.kick(reason);
+      switch (subcommand) {
+        case 'setup': {
+          const channel = interaction.options.getChannel('channel');
+          const message = interaction.options.getString('message');
+          const delivery = interaction.options.getString('delivery') || 'channel';
+          const colorInput = interaction.options.getString('color');
+          const color = parseHexColor(colorInput);
+          
+          if (delivery !== 'dm' && !channel) {
+            await interaction.reply({
+              content: 'Choose a channel for welcome messages, or use `delivery: Direct message`.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          if (colorInput && color === null) {
+            await interaction.reply({
+              content: '❌ Invalid color. Use a hex code like `#5865F2`.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          // Save welcome configuration, keeping any goodbye settings
+          welcomeConfig.set(interaction.guild.id, {
+            goodbye: welcomeConfig.get(interaction.guild.id)?.goodbye,
+            channelId: channel ? channel.id : null,
+            message: message,
+            delivery,
+            embed: interaction.options.getBoolean('embed') ?? false,
+            card: interaction.options.getBoolean('card') ?? false,
+            title: interaction.options.getString('title'),
+            color
+          });
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '✅ Welcome System Configured',
+              description: 'Welcome messages have been set up successfully.',
+              fields: [
+                { name: 'Channel', value: channel ? `<#${channel.id}>` : 'None', inline: true },
+                { name: 'Delivery', value: WELCOME_DELIVERY_LABELS[delivery], inline: true },
+                { name: 'Style', value: `${interaction.options.getBoolean('embed') ? 'Embed' : 'Text'}${interaction.options.getBoolean('card') ? ' with card' : ''}`, inline: true },
+                { name: 'Message', value: message.slice(0, 1024), inline: false },
+                { name: 'Placeholders', value: '`{user}` `{user.name}` `{user.tag}` `{server}` `{memberCount}` `{memberCount.ordinal}`', inline: false }
+              ],
+              color: 0x00FF00
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Welcome system configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Welcome system configured');
+          break;
+        }
         
-        const embed = new EmbedBuilder()
-          .setTitle('User Kicked')
-          .setDescription(`**${targetUser.tag}** has been kicked from the server.`)
-          .addFields({ name: 'Reason', value: reason })
-          .setColor('#FF0000')
-          .setTimestamp();
+        case 'goodbye': {
+          const channel = interaction.options.getChannel('channel');
+          const config = welcomeConfig.get(interaction.guild.id) || {};
+          
+          if (!channel) {
+            delete config.goodbye;
+            if (config.message) {
+              welcomeConfig.set(interaction.guild.id, config);
+            } else {
+              welcomeConfig.delete(interaction.guild.id);
+            }
+            await persistState();
+            
+            await interaction.reply({
+              content: '👋 Goodbye messages turned off.',
+              ephemeral: true
+            });
+            addLog('info', `Goodbye messages disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+            logConfigChange(interaction, 'Goodbye messages disabled');
+            return;
+          }
+          
+          const message = interaction.options.getString('message') || '**{user.name}** has left {server}. We are now {memberCount} members.';
+          config.goodbye = {
+            channelId: channel.id,
+            message,
+            embed: interaction.options.getBoolean('embed') ?? false,
+            card: interaction.options.getBoolean('card') ?? false,
+            color: 0xED4245
+          };
+          welcomeConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '✅ Goodbye Messages Configured',
+              fields: [
+                { name: 'Channel', value: `<#${channel.id}>`, inline: true },
+                { name: 'Message', value: message.slice(0, 1024), inline: false }
+              ],
+              color: 0x00FF00
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Goodbye messages configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Goodbye messages configured');
+          break;
+        }
         
-        await interaction.reply({ embeds: [embed] });
-        addLog('info', `${targetUser.tag} was kicked by ${interaction.user.tag}. Reason: ${reason}`);
-      } catch (error) {
-        addLog('error', `Failed to kick ${targetUser.tag}: ${error.message}`);
-        await interaction.reply({
-          content: `Failed to kick the user: ${error.message}`,
-          ephemeral: true
-        });
+        case 'disable': {
+          const goodbye = welcomeConfig.get(interaction.guild.id)?.goodbye;
+          
+          // Goodbye messages have their own switch in /welcome goodbye
+          if (goodbye) {
+            welcomeConfig.set(interaction.guild.id, { goodbye });
+          } else {
+            welcomeConfig.delete(interaction.guild.id);
+          }
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '❌ Welcome System Disabled',
+              description: 'Welcome messages have been disabled.',
+              color: 0xFF0000
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Welcome system disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Welcome system disabled');
+          break;
+        }
+        
+        case 'test': {
+          const type = interaction.options.getString('type') || 'welcome';
+          const config = welcomeConfig.get(interaction.guild.id);
+          
+          if (type === 'goodbye' ? !config?.goodbye : !config?.message) {
+            await interaction.reply({
+              content: type === 'goodbye'
+                ? 'Goodbye messages are not configured. Use `/welcome goodbye` first.'
+                : 'Welcome system is not configured. Use `/welcome setup` first.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          // Rendering the card can take a moment
+          await interaction.deferReply({ ephemeral: true });
+          
+          try {
+            if (type === 'goodbye') {
+              const channel = await sendGoodbye(interaction.member, config.goodbye);
+              await interaction.editReply(`Test goodbye message sent to <#${channel.id}>!`);
+            } else {
+              const delivered = await sendWelcome(interaction.member, config);
+              await interaction.editReply(delivered.length
+                ? `Test welcome message sent to ${delivered.join(' and ')}!`
+                : 'The test welcome message could not be delivered. Check that your DMs are open.');
+            }
+          } catch (error) {
+            await interaction.editReply(`Failed to send test message: ${error.message}`);
+          }
+          break;
+        }
       }
     }
   },
+
+  // AUTO-ROLES
   {
     data: new SlashCommandBuilder()
-      .setName('ban')
-      .setDescription('Ban a user from the server')
-      .addUserOption(option => 
-        option.setName('user')
-          .setDescription('The user to ban')
-          .setRequired(true))
-      .addStringOption(option => 
-        option.setName('reason')
-          .setDescription('Reason for banning')
-          .setRequired(false))
-      .addIntegerOption(option => 
-        option.setName('days')
-          .setDescription('Number of days of messages to delete (0-7)')
-          .setMinValue(0)
-          .setMaxValue(7)
-          .setRequired(false))
-      .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers),
+      .setName('autorole')
+      .setDescription('Configure roles given to new members')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('add')
+          .setDescription('Give a role to new members')
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('The role to give')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('target')
+              .setDescription('Who gets the role (default: humans)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Humans', value: 'humans' },
+                { name: 'Bots', value: 'bots' }
+              ))
+          .addIntegerOption(option =>
+            option.setName('delay_minutes')
+              .setDescription('Wait this many minutes before giving the role (default: 0)')
+              .setMinValue(0)
+              .setMaxValue(10080)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('remove')
+          .setDescription('Stop giving a role to new members')
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('The role to remove')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List auto-roles and the rules gate'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('gate')
+          .setDescription('Require new members to accept the rules before getting roles')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel for the rules message (leave empty to turn the gate off)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false))
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('Member role given when the rules are accepted')
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('rules')
+              .setDescription('Rules text shown above the button')
+              .setMaxLength(4000)
+              .setRequired(false)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
     async execute(interaction) {
-      const targetUser = interaction.options.getUser('user');
-      const reason = interaction.options.getString('reason') || 'No reason provided';
-      const days = interaction.options.getInteger('days') || 0;
-      
       if (!interaction.guild) {
         await interaction.reply({
           content: 'This command can only be used in a server.',
@@ -693,121 +7398,280 @@ const commands = [
         return;
       }
       
-      try {
-        await interaction.guild.members.ban(targetUser, { 
-          deleteMessageDays: days,
-          reason: reason
-        });
-        
-        const embed = new EmbedBuilder()
-          .setTitle('User Banned')
-          .setDescription(`**${targetUser.tag}** has been banned from the server.`)
-          .addFields(
-            { name: 'Reason', value: reason },
-            { name: 'Message History Deleted', value: `${days} days` }
-          )
-          .setColor('#FF0000')
-          .setTimestamp();
-        
-        await interaction.reply({ embeds: [embed] });
-        addLog('info', `${targetUser.tag} was banned by ${interaction.user.tag}. Reason: ${reason}`);
-      } catch (error) {
-        addLog('error', `Failed to ban ${targetUser.tag}: ${error.message}`);
-        await interaction.reply({
-          content: `Failed to ban the user: ${error.message}`,
-          ephemeral: true
-        });
-      }
-    }
-  },
-  {
-    data: new SlashCommandBuilder()
-      .setName('purge')
-      .setDescription('Delete multiple messages from a channel')
-      .addIntegerOption(option => 
-        option.setName('amount')
-          .setDescription('Number of messages to delete (1-100)')
-          .setMinValue(1)
-          .setMaxValue(100)
-          .setRequired(true))
-      .addUserOption(option => 
-        option.setName('user')
-          .setDescription('Delete messages only from this user')
-          .setRequired(false))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
-    async execute(interaction) {
-      const amount = interaction.options.getInteger('amount');
-      const user = interaction.options.getUser('user');
-      
-      await interaction.deferReply({ ephemeral: true });
+      const subcommand = interaction.options.getSubcommand();
+      const config = getAutoRoleConfig(interaction.guild.id);
       
-      try {
-        let messages;
-        if (user) {
-          // Fetch more messages than requested to filter by user
-          const fetchedMessages = await interaction.channel.messages.fetch({ 
-            limit: Math.min(amount * 2, 100) 
+      switch (subcommand) {
+        case 'add': {
+          const role = interaction.options.getRole('role');
+          const target = interaction.options.getString('target') || 'humans';
+          const delayMinutes = interaction.options.getInteger('delay_minutes') || 0;
+          const roleError = getRoleAssignError(role);
+          
+          if (roleError) {
+            await interaction.reply({ content: `❌ ${roleError}`, ephemeral: true });
+            return;
+          }
+          
+          const entries = config[target].filter(entry => entry.roleId !== role.id);
+          if (entries.length >= MAX_AUTO_ROLES) {
+            await interaction.reply({
+              content: `❌ You can have at most ${MAX_AUTO_ROLES} auto-roles for ${target}.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          config[target] = [...entries, { roleId: role.id, delayMinutes }];
+          autoRoleConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: `✅ New ${target} will get <@&${role.id}>${delayMinutes ? ` after ${formatWait(delayMinutes * 60000)}` : ' when they join'}${target === 'humans' && config.gate ? ' (after accepting the rules)' : ''}.`,
+            ephemeral: true
           });
           
-          // Filter messages by user
-          const filteredMessages = fetchedMessages.filter(m => m.author.id === user.id);
-          // Take only the requested amount
-          messages = filteredMessages.first(amount);
-        } else {
-          // Fetch the requested amount directly
-          messages = await interaction.channel.messages.fetch({ limit: amount });
+          addLog('info', `Auto-role ${role.name} added for ${target} by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Auto-role ${role.name} added for ${target}`);
+          break;
         }
         
-        if (messages.length === 0) {
-          await interaction.editReply({
-            content: user ? `No recent messages found from ${user.tag}` : 'No messages to delete',
+        case 'remove': {
+          const role = interaction.options.getRole('role');
+          const before = config.humans.length + config.bots.length;
+          
+          config.humans = config.humans.filter(entry => entry.roleId !== role.id);
+          config.bots = config.bots.filter(entry => entry.roleId !== role.id);
+          
+          if (config.humans.length + config.bots.length === before) {
+            await interaction.reply({
+              content: `<@&${role.id}> is not an auto-role.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          autoRoleConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: `🗑️ <@&${role.id}> will no longer be given to new members.`,
             ephemeral: true
           });
-          return;
+          
+          addLog('info', `Auto-role ${role.name} removed by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Auto-role ${role.name} removed`);
+          break;
         }
         
-        const deletedCount = await interaction.channel.bulkDelete(messages, true)
-          .then(deleted => deleted.size);
-        
-        await interaction.editReply({
-          content: `Successfully deleted ${deletedCount} message${deletedCount !== 1 ? 's' : ''}${user ? ` from ${user.tag}` : ''}.`,
-          ephemeral: true
-        });
+        case 'list': {
+          const describe = entries => entries
+            .map(entry => `<@&${entry.roleId}>${entry.delayMinutes ? ` after ${formatWait(entry.delayMinutes * 60000)}` : ''}`)
+            .join('\n') || 'None';
+          const pending = pendingRoleGrants.filter(grant => grant.guildId === interaction.guild.id).size;
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🎭 Auto-Roles')
+            .setColor('#5865F2')
+            .addFields(
+              { name: 'Humans', value: describe(config.humans), inline: true },
+              { name: 'Bots', value: describe(config.bots), inline: true },
+              {
+                name: 'Rules Gate',
+                value: config.gate ? `<@&${config.gate.roleId}> after accepting the rules in <#${config.gate.channelId}>` : 'Off'
+              },
+              { name: 'Delayed Grants Pending', value: `${pending}`, inline: true }
+            );
+          
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+          break;
+        }
         
-        addLog('info', `${interaction.user.tag} purged ${deletedCount} messages${user ? ` from ${user.tag}` : ''} in #${interaction.channel.name}`);
-      } catch (error) {
-        addLog('error', `Error in purge command: ${error.message}`);
-        await interaction.editReply({
-          content: `Failed to delete messages: ${error.message}. Note that messages older than 14 days cannot be bulk deleted.`,
-          ephemeral: true
-        });
+        case 'gate': {
+          const channel = interaction.options.getChannel('channel');
+          const role = interaction.options.getRole('role');
+          
+          if (!channel) {
+            config.gate = null;
+            autoRoleConfig.set(interaction.guild.id, config);
+            await persistState();
+            
+            await interaction.reply({
+              content: '🔓 Rules gate turned off. New members get their auto-roles when they join.',
+              ephemeral: true
+            });
+            addLog('info', `Rules gate disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+            logConfigChange(interaction, 'Rules gate disabled');
+            return;
+          }
+          
+          if (!role) {
+            await interaction.reply({
+              content: 'Choose the member role to give when the rules are accepted.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const roleError = getRoleAssignError(role);
+          if (roleError) {
+            await interaction.reply({ content: `❌ ${roleError}`, ephemeral: true });
+            return;
+          }
+          
+          const embed = new EmbedBuilder()
+            .setTitle(`📜 ${interaction.guild.name} Rules`)
+            .setDescription(interaction.options.getString('rules') || 'Please read the server rules, then click the button below to get access.')
+            .setColor('#5865F2');
+          
+          const row = new ActionRowBuilder()
+            .addComponents(
+              new ButtonBuilder()
+                .setCustomId('rules_accept')
+                .setLabel('Accept the rules')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('✅')
+            );
+          
+          try {
+            await channel.send({ embeds: [embed], components: [row] });
+          } catch (error) {
+            await interaction.reply({
+              content: `Failed to send the rules message: ${error.message}`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          config.gate = { channelId: channel.id, roleId: role.id };
+          autoRoleConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: `🔒 Rules gate enabled. New members get <@&${role.id}> and their auto-roles after accepting the rules in <#${channel.id}>.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Rules gate enabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Rules gate enabled');
+          break;
+        }
       }
     }
   },
+
+  // ROLE MENUS
   {
     data: new SlashCommandBuilder()
-      .setName('mute')
-      .setDescription('Timeout a user')
-      .addUserOption(option => 
-        option.setName('user')
-          .setDescription('The user to timeout')
-          .setRequired(true))
-      .addIntegerOption(option => 
-        option.setName('duration')
-          .setDescription('Timeout duration in minutes')
-          .setMinValue(1)
-          .setMaxValue(40320) // 28 days (Discord max)
-          .setRequired(true))
-      .addStringOption(option => 
-        option.setName('reason')
-          .setDescription('Reason for timeout')
-          .setRequired(false))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+      .setName('rolemenu')
+      .setDescription('Create self-assignable role menus')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('create')
+          .setDescription('Create a new role menu')
+          .addStringOption(option =>
+            option.setName('title')
+              .setDescription('Menu title')
+              .setMaxLength(256)
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('style')
+              .setDescription('How members pick roles')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Buttons', value: 'buttons' },
+                { name: 'Select menu', value: 'select' },
+                { name: 'Reactions', value: 'reactions' }
+              ))
+          .addStringOption(option =>
+            option.setName('mode')
+              .setDescription('How picking works (default: toggle)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Toggle - pick and unpick freely', value: 'toggle' },
+                { name: 'Unique - one role from this menu', value: 'unique' },
+                { name: 'Verify only - roles can only be added', value: 'verify' }
+              ))
+          .addIntegerOption(option =>
+            option.setName('max_roles')
+              .setDescription('Most roles a member can hold from this menu (0 for no limit)')
+              .setMinValue(0)
+              .setMaxValue(25)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('description')
+              .setDescription('Text shown above the roles')
+              .setMaxLength(2000)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('add-role')
+          .setDescription('Add a role to a menu')
+          .addStringOption(option =>
+            option.setName('menu')
+              .setDescription('Menu ID (see /rolemenu list)')
+              .setRequired(true))
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('The role to offer')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('emoji')
+              .setDescription('Emoji for the option (required for reaction menus)')
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('label')
+              .setDescription('Button or option label (default: the role name)')
+              .setMaxLength(80)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('description')
+              .setDescription('Short description of the role')
+              .setMaxLength(100)
+              .setRequired(false))
+          .addRoleOption(option =>
+            option.setName('requires')
+              .setDescription('Role a member must already have to pick this one')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('remove-role')
+          .setDescription('Remove a role from a menu')
+          .addStringOption(option =>
+            option.setName('menu')
+              .setDescription('Menu ID')
+              .setRequired(true))
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('The role to remove')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('publish')
+          .setDescription('Post a menu, or update it where it was posted')
+          .addStringOption(option =>
+            option.setName('menu')
+              .setDescription('Menu ID')
+              .setRequired(true))
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to post in (default: where it was posted, or here)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List role menus'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('delete')
+          .setDescription('Delete a role menu and its message')
+          .addStringOption(option =>
+            option.setName('menu')
+              .setDescription('Menu ID')
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
     async execute(interaction) {
-      const targetUser = interaction.options.getUser('user');
-      const duration = interaction.options.getInteger('duration');
-      const reason = interaction.options.getString('reason') || 'No reason provided';
-      
       if (!interaction.guild) {
         await interaction.reply({
           content: 'This command can only be used in a server.',
@@ -816,69 +7680,332 @@ const commands = [
         return;
       }
       
-      const member = interaction.guild.members.cache.get(targetUser.id);
-      
-      if (!member) {
-        await interaction.reply({
-          content: 'This user is not in the server.',
-          ephemeral: true
-        });
-        return;
-      }
+      const subcommand = interaction.options.getSubcommand();
+      let menu = null;
       
-      // Check if the bot can timeout the member
-      if (!member.moderatable) {
-        await interaction.reply({
-          content: 'I cannot timeout this user. They might have higher permissions than me.',
-          ephemeral: true
-        });
-        return;
+      if (['add-role', 'remove-role', 'publish', 'delete'].includes(subcommand)) {
+        menu = findRoleMenu(interaction.guild.id, interaction.options.getString('menu').trim());
+        
+        if (!menu) {
+          await interaction.reply({
+            content: 'No role menu with that ID exists. Use `/rolemenu list` to see your menus.',
+            ephemeral: true
+          });
+          return;
+        }
       }
       
-      try {
-        // Convert minutes to milliseconds
-        const timeoutDuration = duration * 60 * 1000;
+      switch (subcommand) {
+        case 'create': {
+          menu = {
+            id: randomBytes(4).toString('hex'),
+            guildId: interaction.guild.id,
+            title: interaction.options.getString('title'),
+            description: interaction.options.getString('description'),
+            style: interaction.options.getString('style'),
+            mode: interaction.options.getString('mode') || 'toggle',
+            maxRoles: interaction.options.getInteger('max_roles') || 0,
+            options: [],
+            channelId: null,
+            messageId: null,
+            createdBy: interaction.user.id,
+            createdAt: new Date().toISOString()
+          };
+          roleMenus.set(menu.id, menu);
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '✅ Role Menu Created',
+              fields: [
+                { name: 'ID', value: `\`${menu.id}\``, inline: true },
+                { name: 'Style', value: ROLE_MENU_STYLES[menu.style], inline: true },
+                { name: 'Mode', value: ROLE_MENU_MODES[menu.mode], inline: true },
+                { name: 'Next Steps', value: `Add roles with \`/rolemenu add-role menu:${menu.id}\`, then post it with \`/rolemenu publish menu:${menu.id}\`.` }
+              ],
+              color: 0x00FF00
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Role menu ${menu.id} created by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Role menu ${menu.id} created`);
+          break;
+        }
+        
+        case 'add-role': {
+          const role = interaction.options.getRole('role');
+          const emoji = interaction.options.getString('emoji')?.trim() || null;
+          const requires = interaction.options.getRole('requires');
+          const roleError = getRoleAssignError(role);
+          
+          if (roleError) {
+            await interaction.reply({ content: `❌ ${roleError}`, ephemeral: true });
+            return;
+          }
+          
+          if (menu.style === 'reactions' && !emoji) {
+            await interaction.reply({
+              content: '❌ Reaction menus need an emoji for every role.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          if (emoji && menu.options.some(option => option.roleId !== role.id && getEmojiKey(option.emoji) === getEmojiKey(emoji))) {
+            await interaction.reply({
+              content: `❌ ${emoji} is already used in this menu.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const options = menu.options.filter(option => option.roleId !== role.id);
+          if (options.length >= getMaxMenuOptions(menu)) {
+            await interaction.reply({
+              content: `❌ This menu already has the maximum of ${getMaxMenuOptions(menu)} roles.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const isUpdate = options.length !== menu.options.length;
+          menu.options = [...options, {
+            roleId: role.id,
+            label: interaction.options.getString('label') || role.name.slice(0, 80),
+            emoji,
+            description: interaction.options.getString('description'),
+            requiredRoleId: requires ? requires.id : null
+          }];
+          await persistState();
+          
+          // Keep a published menu in sync
+          let note = '';
+          if (menu.messageId) {
+            try {
+              await publishRoleMenu(menu, interaction.guild);
+              note = ' The published menu was updated.';
+            } catch (error) {
+              note = ` The published menu could not be updated: ${error.message}`;
+            }
+          }
+          
+          await interaction.reply({
+            content: `✅ <@&${role.id}> ${isUpdate ? 'updated in' : 'added to'} menu \`${menu.id}\`.${note}`,
+            ephemeral: true
+          });
+          break;
+        }
         
-        await member.timeout(timeoutDuration, reason);
+        case 'remove-role': {
+          const role = interaction.options.getRole('role');
+          const option = menu.options.find(entry => entry.roleId === role.id);
+          
+          if (!option) {
+            await interaction.reply({
+              content: `<@&${role.id}> is not in this menu.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          menu.options = menu.options.filter(entry => entry !== option);
+          await persistState();
+          
+          let note = '';
+          if (menu.messageId) {
+            try {
+              const message = await publishRoleMenu(menu, interaction.guild);
+              if (menu.style === 'reactions') {
+                await message.reactions.resolve(getEmojiKey(option.emoji))?.remove();
+              }
+              note = ' The published menu was updated.';
+            } catch (error) {
+              note = ` The published menu could not be updated: ${error.message}`;
+            }
+          }
+          
+          await interaction.reply({
+            content: `🗑️ <@&${role.id}> removed from menu \`${menu.id}\`.${note}`,
+            ephemeral: true
+          });
+          break;
+        }
         
-        const embed = new EmbedBuilder()
-          .setTitle('User Timed Out')
-          .setDescription(`**${targetUser.tag}** has been timed out.`)
-          .addFields(
-            { name: 'Duration', value: `${duration} minute${duration !== 1 ? 's' : ''}` },
-            { name: 'Reason', value: reason }
-          )
-          .setColor('#FFA500')
-          .setTimestamp();
+        case 'publish': {
+          if (menu.options.length === 0) {
+            await interaction.reply({
+              content: 'Add at least one role with `/rolemenu add-role` first.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const channel = interaction.options.getChannel('channel') ||
+            (menu.channelId ? null : interaction.channel);
+          
+          await interaction.deferReply({ ephemeral: true });
+          
+          try {
+            const message = await publishRoleMenu(menu, interaction.guild, channel);
+            await interaction.editReply(`✅ Role menu published: ${message.url}`);
+            addLog('info', `Role menu ${menu.id} published by ${interaction.user.tag} in server ${interaction.guild.name}`);
+            logConfigChange(interaction, `Role menu ${menu.id} published`);
+          } catch (error) {
+            await interaction.editReply(`Failed to publish the role menu: ${error.message}`);
+          }
+          break;
+        }
         
-        await interaction.reply({ embeds: [embed] });
-        addLog('info', `${targetUser.tag} was timed out by ${interaction.user.tag} for ${duration} minutes. Reason: ${reason}`);
-      } catch (error) {
-        addLog('error', `Failed to timeout ${targetUser.tag}: ${error.message}`);
-        await interaction.reply({
-          content: `Failed to timeout the user: ${error.message}`,
-          ephemeral: true
-        });
+        case 'list': {
+          const menus = roleMenus.filter(entry => entry.guildId === interaction.guild.id);
+          
+          if (menus.size === 0) {
+            await interaction.reply({
+              content: 'No role menus yet. Create one with `/rolemenu create`.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🎭 Role Menus')
+            .setColor('#5865F2')
+            .addFields(menus.first(25).map(entry => ({
+              name: `${entry.title} (\`${entry.id}\`)`,
+              value: [
+                `${ROLE_MENU_STYLES[entry.style]} • ${ROLE_MENU_MODES[entry.mode]}${entry.maxRoles ? ` • max ${entry.maxRoles}` : ''}`,
+                `${entry.options.length} role${entry.options.length === 1 ? '' : 's'}`,
+                entry.messageId ? `Posted in <#${entry.channelId}>` : 'Not published'
+              ].join('\n')
+            })));
+          
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+          break;
+        }
+        
+        case 'delete': {
+          roleMenus.delete(menu.id);
+          await persistState();
+          
+          if (menu.messageId) {
+            const channel = interaction.guild.channels.cache.get(menu.channelId);
+            await channel?.messages.delete(menu.messageId).catch(() => {});
+          }
+          
+          await interaction.reply({
+            content: `🗑️ Role menu **${menu.title}** deleted.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Role menu ${menu.id} deleted by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Role menu ${menu.id} deleted`);
+          break;
+        }
       }
     }
   },
+
+  // VERIFICATION
   {
     data: new SlashCommandBuilder()
-      .setName('unmute')
-      .setDescription('Remove timeout from a user')
-      .addUserOption(option => 
-        option.setName('user')
-          .setDescription('The user to remove timeout from')
-          .setRequired(true))
-      .addStringOption(option => 
-        option.setName('reason')
-          .setDescription('Reason for removing timeout')
-          .setRequired(false))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers),
+      .setName('verification')
+      .setDescription('Configure member verification and raid protection')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('setup')
+          .setDescription('Quarantine new members until they pass a challenge')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel for the verification message (visible to unverified members)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true))
+          .addRoleOption(option =>
+            option.setName('unverified_role')
+              .setDescription('Role given to new members until they verify')
+              .setRequired(true))
+          .addStringOption(option =>
+            option.setName('challenge')
+              .setDescription('What members must do to verify (default: button)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Button', value: 'button' },
+                { name: 'Math captcha', value: 'math' },
+                { name: 'Text captcha', value: 'text' }
+              ))
+          .addRoleOption(option =>
+            option.setName('verified_role')
+              .setDescription('Role given once verified (optional)')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('disable')
+          .setDescription('Stop quarantining new members'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('account-age')
+          .setDescription('Kick accounts younger than a minimum age when they join')
+          .addIntegerOption(option =>
+            option.setName('days')
+              .setDescription('Minimum account age in days (0 to disable)')
+              .setMinValue(0)
+              .setMaxValue(365)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('raid')
+          .setDescription('Lock the server down when many members join at once')
+          .addIntegerOption(option =>
+            option.setName('joins')
+              .setDescription('Joins that trigger a lockdown (0 to disable)')
+              .setMinValue(0)
+              .setMaxValue(100)
+              .setRequired(true))
+          .addIntegerOption(option =>
+            option.setName('seconds')
+              .setDescription('Time window for counting joins (default: 10)')
+              .setMinValue(1)
+              .setMaxValue(600)
+              .setRequired(false))
+          .addChannelOption(option =>
+            option.setName('alert_channel')
+              .setDescription('Channel for moderator alerts')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false))
+          .addRoleOption(option =>
+            option.setName('mod_role')
+              .setDescription('Role to ping in alerts')
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('lockdown_minutes')
+              .setDescription('How long invites stay paused (default: 30)')
+              .setMinValue(1)
+              .setMaxValue(MAX_LOCKDOWN_MINUTES)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('lockdown')
+          .setDescription('Start or end a lockdown by hand')
+          .addStringOption(option =>
+            option.setName('action')
+              .setDescription('Start or end')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Start', value: 'start' },
+                { name: 'End', value: 'end' }
+              ))
+          .addIntegerOption(option =>
+            option.setName('minutes')
+              .setDescription('How long invites stay paused (default: 30)')
+              .setMinValue(1)
+              .setMaxValue(MAX_LOCKDOWN_MINUTES)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('status')
+          .setDescription('Show verification and raid protection settings'))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
     async execute(interaction) {
-      const targetUser = interaction.options.getUser('user');
-      const reason = interaction.options.getString('reason') || 'No reason provided';
-      
       if (!interaction.guild) {
         await interaction.reply({
           content: 'This command can only be used in a server.',
@@ -887,74 +8014,396 @@ const commands = [
         return;
       }
       
-      const member = interaction.guild.members.cache.get(targetUser.id);
-      
-      if (!member) {
-        await interaction.reply({
-          content: 'This user is not in the server.',
-          ephemeral: true
-        });
-        return;
-      }
-      
-      // Check if user is timed out
-      if (!member.communicationDisabledUntil) {
-        await interaction.reply({
-          content: 'This user is not timed out.',
-          ephemeral: true
-        });
-        return;
-      }
+      const subcommand = interaction.options.getSubcommand();
+      const config = getVerificationConfig(interaction.guild.id);
       
-      try {
-        await member.timeout(null, reason);
+      switch (subcommand) {
+        case 'setup': {
+          const channel = interaction.options.getChannel('channel');
+          const unverifiedRole = interaction.options.getRole('unverified_role');
+          const verifiedRole = interaction.options.getRole('verified_role');
+          const challenge = interaction.options.getString('challenge') || 'button';
+          
+          for (const role of [unverifiedRole, verifiedRole].filter(Boolean)) {
+            const roleError = getRoleAssignError(role);
+            if (roleError) {
+              await interaction.reply({ content: `❌ ${roleError}`, ephemeral: true });
+              return;
+            }
+          }
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🔐 Verification')
+            .setDescription(`Welcome to **${interaction.guild.name}**! Click the button below to verify and get access to the server.`)
+            .setColor('#5865F2');
+          
+          const row = new ActionRowBuilder()
+            .addComponents(
+              new ButtonBuilder()
+                .setCustomId('verify_start')
+                .setLabel('Verify')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('✅')
+            );
+          
+          try {
+            await channel.send({ embeds: [embed], components: [row] });
+          } catch (error) {
+            await interaction.reply({
+              content: `Failed to send the verification message: ${error.message}`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          Object.assign(config, {
+            enabled: true,
+            channelId: channel.id,
+            unverifiedRoleId: unverifiedRole.id,
+            verifiedRoleId: verifiedRole ? verifiedRole.id : null,
+            challenge
+          });
+          verificationConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '✅ Verification Configured',
+              fields: [
+                { name: 'Channel', value: `<#${channel.id}>`, inline: true },
+                { name: 'Unverified Role', value: `<@&${unverifiedRole.id}>`, inline: true },
+                { name: 'Challenge', value: VERIFICATION_CHALLENGES[challenge], inline: true },
+                { name: 'Next Steps', value: `Make sure <@&${unverifiedRole.id}> can only see <#${channel.id}>.` }
+              ],
+              color: 0x00FF00
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Verification configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Verification configured');
+          break;
+        }
         
-        const embed = new EmbedBuilder()
-          .setTitle('Timeout Removed')
-          .setDescription(`Timeout has been removed from **${targetUser.tag}**.`)
-          .addFields({ name: 'Reason', value: reason })
-          .setColor('#00FF00')
-          .setTimestamp();
+        case 'disable': {
+          config.enabled = false;
+          verificationConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: '🔓 Verification disabled. Members who are still unverified keep the unverified role until you remove it.',
+            ephemeral: true
+          });
+          
+          addLog('info', `Verification disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Verification disabled');
+          break;
+        }
         
-        await interaction.reply({ embeds: [embed] });
-        addLog('info', `Timeout removed from ${targetUser.tag} by ${interaction.user.tag}. Reason: ${reason}`);
-      } catch (error) {
-        addLog('error', `Failed to remove timeout from ${targetUser.tag}: ${error.message}`);
-        await interaction.reply({
-          content: `Failed to remove timeout: ${error.message}`,
-          ephemeral: true
-        });
+        case 'account-age': {
+          config.minAccountAgeDays = interaction.options.getInteger('days');
+          verificationConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: config.minAccountAgeDays
+              ? `🛡️ Accounts younger than ${config.minAccountAgeDays} day${config.minAccountAgeDays === 1 ? '' : 's'} will be kicked when they join.`
+              : '🛡️ Minimum account age turned off.',
+            ephemeral: true
+          });
+          
+          addLog('info', `Minimum account age set to ${config.minAccountAgeDays} days by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Minimum account age set to ${config.minAccountAgeDays} days`);
+          break;
+        }
+        
+        case 'raid': {
+          const joins = interaction.options.getInteger('joins');
+          const alertChannel = interaction.options.getChannel('alert_channel');
+          const modRole = interaction.options.getRole('mod_role');
+          
+          config.raid = joins === 0 ? null : {
+            joinThreshold: joins,
+            windowSeconds: interaction.options.getInteger('seconds') || config.raid?.windowSeconds || 10,
+            alertChannelId: alertChannel ? alertChannel.id : config.raid?.alertChannelId || null,
+            modRoleId: modRole ? modRole.id : config.raid?.modRoleId || null,
+            lockdownMinutes: interaction.options.getInteger('lockdown_minutes') || config.raid?.lockdownMinutes || 30
+          };
+          verificationConfig.set(interaction.guild.id, config);
+          await persistState();
+          
+          await interaction.reply({
+            content: config.raid
+              ? `🚨 A lockdown of ${config.raid.lockdownMinutes} minutes starts when ${config.raid.joinThreshold} members join within ${config.raid.windowSeconds} seconds.${config.raid.alertChannelId ? ` Alerts go to <#${config.raid.alertChannelId}>.` : ' Set `alert_channel` to get moderator alerts.'}`
+              : '🚨 Raid detection turned off.',
+            ephemeral: true
+          });
+          
+          addLog('info', `Raid detection ${config.raid ? 'configured' : 'disabled'} by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Raid detection ${config.raid ? 'configured' : 'disabled'}`);
+          break;
+        }
+        
+        case 'lockdown': {
+          const action = interaction.options.getString('action');
+          
+          await interaction.deferReply({ ephemeral: true });
+          
+          if (action === 'start') {
+            const minutes = interaction.options.getInteger('minutes') || config.raid?.lockdownMinutes || 30;
+            await startLockdown(interaction.guild, config, minutes, `Started by ${interaction.user.tag}`);
+            await interaction.editReply(`🔒 Lockdown started. Invites are paused for ${formatWait(minutes * 60000)}.`);
+          } else if (!config.lockdown) {
+            await interaction.editReply('There is no lockdown to end.');
+          } else {
+            await endLockdown(interaction.guild, config, `ended by ${interaction.user.tag}`);
+            await interaction.editReply('🔓 Lockdown ended. Invites are open again.');
+          }
+          break;
+        }
+        
+        case 'status': {
+          const unverifiedCount = config.enabled
+            ? interaction.guild.roles.cache.get(config.unverifiedRoleId)?.members.size ?? 0
+            : 0;
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🛡️ Verification & Raid Protection')
+            .setColor('#5865F2')
+            .addFields(
+              {
+                name: 'Verification',
+                value: config.enabled
+                  ? `${VERIFICATION_CHALLENGES[config.challenge]} in <#${config.channelId}>\nUnverified role: <@&${config.unverifiedRoleId}> (${unverifiedCount} waiting)`
+                  : 'Off'
+              },
+              { name: 'Minimum Account Age', value: config.minAccountAgeDays ? `${config.minAccountAgeDays} days` : 'Off', inline: true },
+              {
+                name: 'Raid Detection',
+                value: config.raid
+                  ? `${config.raid.joinThreshold} joins in ${config.raid.windowSeconds}s → ${config.raid.lockdownMinutes}m lockdown`
+                  : 'Off',
+                inline: true
+              },
+              {
+                name: 'Lockdown',
+                value: isInLockdown(config)
+                  ? `Active until <t:${Math.floor(new Date(config.lockdown.until).getTime() / 1000)}:t> (${config.lockdown.reason})`
+                  : 'Not active'
+              }
+            );
+          
+          await interaction.reply({ embeds: [embed], ephemeral: true });
+          break;
+        }
       }
     }
   },
 
-  // WELCOME SYSTEM
+  // TICKET SYSTEM
   {
     data: new SlashCommandBuilder()
-      .setName('welcome')
-      .setDescription('Configure the welcome system')
+      .setName('ticket')
+      .setDescription('Configure and manage the ticket system')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('setup')
+          .setDescription('Set up the ticket system')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to send the ticket creation message')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true))
+          .addRoleOption(option =>
+            option.setName('support_role')
+              .setDescription('Role that can see and manage tickets')
+              .setRequired(true))
+          .addChannelOption(option =>
+            option.setName('category')
+              .setDescription('Category to create ticket channels in (required in channel mode)')
+              .addChannelTypes(ChannelType.GuildCategory)
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('mode')
+              .setDescription('Create tickets as channels or as private threads in the panel channel')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Channel', value: 'channel' },
+                { name: 'Private thread', value: 'thread' }
+              )))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('panel')
+          .setDescription('Send a ticket panel to the configured channel')
+          .addStringOption(option =>
+            option.setName('style')
+              .setDescription('How ticket types are offered (default: buttons)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Buttons', value: 'buttons' },
+                { name: 'Select menu', value: 'select' }
+              )))
+      .addSubcommandGroup(group =>
+        group
+          .setName('type')
+          .setDescription('Manage ticket types')
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('add')
+              .setDescription('Add or update a ticket type')
+              .addStringOption(option =>
+                option.setName('name')
+                  .setDescription('Type name, e.g. Billing')
+                  .setMaxLength(80)
+                  .setRequired(true))
+              .addRoleOption(option =>
+                option.setName('support_role')
+                  .setDescription('Support role for this type (default: the setup support role)')
+                  .setRequired(false))
+              .addChannelOption(option =>
+                option.setName('category')
+                  .setDescription('Category for this type (default: the setup category)')
+                  .addChannelTypes(ChannelType.GuildCategory)
+                  .setRequired(false))
+              .addStringOption(option =>
+                option.setName('questions')
+                  .setDescription('Intake form questions separated by ; (up to 5, 45 characters each)')
+                  .setRequired(false))
+              .addStringOption(option =>
+                option.setName('description')
+                  .setDescription('Short description shown on the panel')
+                  .setMaxLength(100)
+                  .setRequired(false))
+              .addStringOption(option =>
+                option.setName('emoji')
+                  .setDescription('Emoji for the button or menu entry')
+                  .setRequired(false)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('remove')
+              .setDescription('Remove a ticket type')
+              .addStringOption(option =>
+                option.setName('name')
+                  .setDescription('Type name')
+                  .setRequired(true)))
+          .addSubcommand(subcommand =>
+            subcommand
+              .setName('list')
+              .setDescription('List ticket types')))
       .addSubcommand(subcommand =>
         subcommand
-          .setName('setup')
-          .setDescription('Set up welcome messages')
+          .setName('disable')
+          .setDescription('Disable the ticket system'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('transcripts')
+          .setDescription('Configure where ticket transcripts are sent when a ticket is closed')
           .addChannelOption(option =>
             option.setName('channel')
-              .setDescription('Channel to send welcome messages')
+              .setDescription('Transcript log channel (leave empty to stop posting transcripts)')
               .addChannelTypes(ChannelType.GuildText)
-              .setRequired(true))
+              .setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('dm_opener')
+              .setDescription('Also DM the transcript to the ticket opener')
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('stats')
+          .setDescription('Show ticket response times, resolution times and backlog')
           .addStringOption(option =>
-            option.setName('message')
-              .setDescription('Welcome message (use {user} for mention, {server} for server name)')
+            option.setName('range')
+              .setDescription('Time range (default: week)')
+              .setRequired(false)
+              .addChoices(
+                { name: 'Day', value: 'day' },
+                { name: 'Week', value: 'week' },
+                { name: 'Month', value: 'month' }
+              )))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('summary')
+          .setDescription('Post a weekly ticket summary to a channel')
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Summary channel (leave empty to stop the weekly summary)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('limits')
+          .setDescription('Configure ticket limits and inactivity auto-close')
+          .addIntegerOption(option =>
+            option.setName('max_open')
+              .setDescription('Open tickets allowed per member (0 for no limit, the default)')
+              .setMinValue(0)
+              .setMaxValue(25)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('cooldown_minutes')
+              .setDescription('Minutes a member must wait between tickets (0 to disable)')
+              .setMinValue(0)
+              .setMaxValue(10080)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('inactivity_hours')
+              .setDescription('Warn after this many hours without activity (0 to disable)')
+              .setMinValue(0)
+              .setMaxValue(720)
+              .setRequired(false))
+          .addIntegerOption(option =>
+            option.setName('grace_hours')
+              .setDescription('Close this many hours after the warning (default 24)')
+              .setMinValue(1)
+              .setMaxValue(720)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('claim')
+          .setDescription('Claim this ticket'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('unclaim')
+          .setDescription('Release your claim on this ticket'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('add')
+          .setDescription('Add a member to this ticket')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('The member to add')
               .setRequired(true)))
       .addSubcommand(subcommand =>
         subcommand
-          .setName('disable')
-          .setDescription('Disable welcome messages'))
+          .setName('remove')
+          .setDescription('Remove a member from this ticket')
+          .addUserOption(option =>
+            option.setName('user')
+              .setDescription('The member to remove')
+              .setRequired(true)))
       .addSubcommand(subcommand =>
         subcommand
-          .setName('test')
-          .setDescription('Test the welcome message'))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+          .setName('rename')
+          .setDescription('Rename this ticket channel')
+          .addStringOption(option =>
+            option.setName('name')
+              .setDescription('New channel name')
+              .setMaxLength(90)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('priority')
+          .setDescription('Set the priority of this ticket')
+          .addStringOption(option =>
+            option.setName('level')
+              .setDescription('Priority level')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Low', value: 'low' },
+                { name: 'Normal', value: 'normal' },
+                { name: 'High', value: 'high' },
+                { name: 'Urgent', value: 'urgent' }
+              ))),
     async execute(interaction) {
       if (!interaction.guild) {
         await interaction.reply({
@@ -964,58 +8413,222 @@ const commands = [
         return;
       }
       
+      const group = interaction.options.getSubcommandGroup(false);
       const subcommand = interaction.options.getSubcommand();
+      const config = ticketConfig.get(interaction.guild.id);
+      let ticket = null;
       
-      switch (subcommand) {
-        case 'setup': {
-          const channel = interaction.options.getChannel('channel');
-          const message = interaction.options.getString('message');
-          
-          // Save welcome configuration
-          welcomeConfig.set(interaction.guild.id, {
-            channelId: channel.id,
-            message: message
+      // Configuration needs Manage Server, everything else is for support staff inside a ticket
+      if (group === 'type' || ['setup', 'panel', 'disable', 'transcripts', 'limits', 'summary'].includes(subcommand)) {
+        if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+          await interaction.reply({
+            content: 'You need the Manage Server permission to configure the ticket system.',
+            ephemeral: true
+          });
+          return;
+        }
+      } else if (subcommand === 'stats') {
+        if (!isTicketStaff(interaction.member, config)) {
+          await interaction.reply({
+            content: 'Only the support team can view ticket stats.',
+            ephemeral: true
+          });
+          return;
+        }
+      } else {
+        ticket = tickets.get(interaction.channel.id);
+        
+        if (!ticket) {
+          await interaction.reply({
+            content: 'This command can only be used inside a ticket channel.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        if (!isTicketStaff(interaction.member, config, ticket)) {
+          await interaction.reply({
+            content: 'Only the support team can manage tickets.',
+            ephemeral: true
+          });
+          return;
+        }
+      }
+      
+      if (group === 'type') {
+        if (!config) {
+          await interaction.reply({
+            content: 'Ticket system is not configured. Use `/ticket setup` first.',
+            ephemeral: true
           });
+          return;
+        }
+        
+        config.types = config.types || {};
+        
+        if (subcommand === 'add') {
+          const name = interaction.options.getString('name').trim();
+          const key = getTicketTypeKey(name);
+          const supportRole = interaction.options.getRole('support_role');
+          const category = interaction.options.getChannel('category');
+          let questions;
+          
+          try {
+            questions = parseTicketQuestions(interaction.options.getString('questions'));
+          } catch (error) {
+            await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            return;
+          }
+          
+          if (!key) {
+            await interaction.reply({
+              content: '❌ The type name needs at least one letter or number.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          if (!config.types[key] && Object.keys(config.types).length >= TICKET_MAX_TYPES) {
+            await interaction.reply({
+              content: `❌ You can have at most ${TICKET_MAX_TYPES} ticket types.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const isUpdate = Boolean(config.types[key]);
+          config.types[key] = {
+            key,
+            name,
+            description: interaction.options.getString('description') || null,
+            emoji: interaction.options.getString('emoji') || null,
+            supportRoleId: supportRole ? supportRole.id : null,
+            categoryId: category ? category.id : null,
+            questions
+          };
+          await persistState();
           
           await interaction.reply({
             embeds: [{
-              title: '✅ Welcome System Configured',
-              description: 'Welcome messages have been set up successfully.',
+              title: isUpdate ? '✅ Ticket Type Updated' : '✅ Ticket Type Added',
               fields: [
-                { name: 'Channel', value: `<#${channel.id}>`, inline: true },
-                { name: 'Message', value: message, inline: false }
+                { name: 'Name', value: name, inline: true },
+                { name: 'Support Role', value: `<@&${supportRole ? supportRole.id : config.supportRoleId}>`, inline: true },
+                { name: 'Category', value: category ? category.name : 'Default', inline: true },
+                { name: 'Questions', value: questions.length ? questions.map((q, i) => `${i + 1}. ${q}`).join('\n') : 'None' },
+                { name: 'Next Steps', value: 'Use `/ticket panel` to send an updated panel.' }
               ],
               color: 0x00FF00
             }],
             ephemeral: true
           });
           
-          addLog('info', `Welcome system configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
-          break;
+          addLog('info', `Ticket type "${name}" ${isUpdate ? 'updated' : 'added'} by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Ticket type "${name}" ${isUpdate ? 'updated' : 'added'}`);
+        } else if (subcommand === 'remove') {
+          const key = getTicketTypeKey(interaction.options.getString('name'));
+          const type = config.types[key];
+          
+          if (!type) {
+            await interaction.reply({
+              content: 'No ticket type with that name exists.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          delete config.types[key];
+          await persistState();
+          
+          await interaction.reply({
+            content: `🗑️ Ticket type **${type.name}** removed. Send a new panel with \`/ticket panel\` to update the buttons.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `Ticket type "${type.name}" removed by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Ticket type "${type.name}" removed`);
+        } else {
+          const types = Object.values(config.types);
+          
+          if (types.length === 0) {
+            await interaction.reply({
+              content: 'No ticket types are defined. The panel uses a single Create Ticket button.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🎫 Ticket Types')
+            .setColor('#5865F2')
+            .addFields(types.map(type => ({
+              name: `${type.emoji ? `${type.emoji} ` : ''}${type.name}`,
+              value: [
+                type.description,
+                `Support: <@&${type.supportRoleId || config.supportRoleId}>`,
+                `Questions: ${type.questions.length}`
+              ].filter(Boolean).join('\n')
+            })));
+          
+          await interaction.reply({ embeds: [embed], ephemeral: true });
         }
-        
-        case 'disable': {
-          welcomeConfig.delete(interaction.guild.id);
+        return;
+      }
+      
+      switch (subcommand) {
+        case 'setup': {
+          const channel = interaction.options.getChannel('channel');
+          const supportRole = interaction.options.getRole('support_role');
+          const category = interaction.options.getChannel('category');
+          const mode = interaction.options.getString('mode') || 'channel';
+          
+          if (mode === 'channel' && !category) {
+            await interaction.reply({
+              content: 'Choose a category for ticket channels, or use `mode: Private thread`.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          // Save ticket configuration, keeping numbering and transcript settings if reconfigured
+          ticketConfig.set(interaction.guild.id, {
+            ...ticketConfig.get(interaction.guild.id),
+            channelId: channel.id,
+            supportRoleId: supportRole.id,
+            categoryId: category ? category.id : null,
+            mode,
+            count: ticketConfig.get(interaction.guild.id)?.count || guildSettings.get(interaction.guild.id)?.ticketCount || 0
+          });
+          await persistState();
           
           await interaction.reply({
             embeds: [{
-              title: '❌ Welcome System Disabled',
-              description: 'Welcome messages have been disabled.',
-              color: 0xFF0000
+              title: '✅ Ticket System Configured',
+              description: 'Ticket system has been set up successfully.',
+              fields: [
+                { name: 'Panel Channel', value: `<#${channel.id}>`, inline: true },
+                { name: 'Support Role', value: `<@&${supportRole.id}>`, inline: true },
+                mode === 'thread'
+                  ? { name: 'Mode', value: `Private threads in <#${channel.id}>`, inline: true }
+                  : { name: 'Tickets Category', value: category.name, inline: true },
+                { name: 'Next Steps', value: 'Use `/ticket panel` to send the ticket creation panel.' }
+              ],
+              color: 0x00FF00
             }],
             ephemeral: true
           });
           
-          addLog('info', `Welcome system disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          addLog('info', `Ticket system configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Ticket system configured');
           break;
         }
         
-        case 'test': {
-          const config = welcomeConfig.get(interaction.guild.id);
+        case 'panel': {
+          const config = ticketConfig.get(interaction.guild.id);
           
           if (!config) {
             await interaction.reply({
-              content: 'Welcome system is not configured. Use `/welcome setup` first.',
+              content: 'Ticket system is not configured. Use `/ticket setup` first.',
               ephemeral: true
             });
             return;
@@ -1025,182 +8638,315 @@ const commands = [
           
           if (!channel || channel.type !== ChannelType.GuildText) {
             await interaction.reply({
-              content: 'The configured welcome channel no longer exists or is not a text channel.',
+              content: 'The configured ticket channel no longer exists or is not a text channel.',
               ephemeral: true
             });
             return;
           }
           
-          const welcomeMessage = config.message
-            .replace('{user}', `<@${interaction.user.id}>`)
-            .replace('{server}', interaction.guild.name);
+          const style = interaction.options.getString('style') || 'buttons';
+          const types = Object.values(config.types || {});
+          
+          const embed = new EmbedBuilder()
+            .setTitle('🎫 Support Tickets')
+            .setDescription(types.length === 0
+              ? 'Click the button below to create a support ticket.'
+              : `Choose the type of ticket you want to open.\n\n${types.map(type => `${type.emoji ? `${type.emoji} ` : ''}**${type.name}**${type.description ? ` - ${type.description}` : ''}`).join('\n')}`)
+            .setColor('#5865F2')
+            .setFooter({ text: 'Your ticket will be created in a private channel.' });
           
           try {
             await channel.send({
-              content: welcomeMessage,
-              allowedMentions: { users: [interaction.user.id] }
+              embeds: [embed],
+              components: buildTicketPanelComponents(config, style)
             });
             
             await interaction.reply({
-              content: `Test welcome message sent to <#${channel.id}>!`,
+              content: `Ticket panel sent to <#${channel.id}>!`,
               ephemeral: true
             });
           } catch (error) {
             await interaction.reply({
-              content: `Failed to send test message: ${error.message}`,
+              content: `Failed to send ticket panel: ${error.message}`,
               ephemeral: true
             });
           }
           break;
         }
-      }
-    }
-  },
-
-  // TICKET SYSTEM
-  {
-    data: new SlashCommandBuilder()
-      .setName('ticket')
-      .setDescription('Configure and manage the ticket system')
-      .addSubcommand(subcommand =>
-        subcommand
-          .setName('setup')
-          .setDescription('Set up the ticket system')
-          .addChannelOption(option =>
-            option.setName('channel')
-              .setDescription('Channel to send the ticket creation message')
-              .addChannelTypes(ChannelType.GuildText)
-              .setRequired(true))
-          .addRoleOption(option =>
-            option.setName('support_role')
-              .setDescription('Role that can see and manage tickets')
-              .setRequired(true))
-          .addChannelOption(option =>
-            option.setName('category')
-              .setDescription('Category to create ticket channels in')
-              .addChannelTypes(ChannelType.GuildCategory)
-              .setRequired(true)))
-      .addSubcommand(subcommand =>
-        subcommand
-          .setName('panel')
-          .setDescription('Send a ticket panel to the configured channel'))
-      .addSubcommand(subcommand =>
-        subcommand
-          .setName('disable')
-          .setDescription('Disable the ticket system'))
-      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-    async execute(interaction) {
-      if (!interaction.guild) {
-        await interaction.reply({
-          content: 'This command can only be used in a server.',
-          ephemeral: true
-        });
-        return;
-      }
-      
-      const subcommand = interaction.options.getSubcommand();
-      
-      switch (subcommand) {
-        case 'setup': {
+        
+        case 'disable': {
+          // Keep the ticket counter so numbers (and the metrics keyed by them)
+          // carry on if the system is set up again
+          const count = ticketConfig.get(interaction.guild.id)?.count || 0;
+          guildSettings.set(interaction.guild.id, {
+            ...guildSettings.get(interaction.guild.id),
+            ticketCount: Math.max(count, guildSettings.get(interaction.guild.id)?.ticketCount || 0)
+          });
+          ticketConfig.delete(interaction.guild.id);
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '❌ Ticket System Disabled',
+              description: 'Ticket system has been disabled.',
+              color: 0xFF0000
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Ticket system disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Ticket system disabled');
+          break;
+        }
+        
+        case 'transcripts': {
+          if (!config) {
+            await interaction.reply({
+              content: 'Ticket system is not configured. Use `/ticket setup` first.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const channel = interaction.options.getChannel('channel');
+          const dmOpener = interaction.options.getBoolean('dm_opener');
+          
+          config.transcriptChannelId = channel ? channel.id : null;
+          if (dmOpener !== null) config.dmTranscripts = dmOpener;
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '📄 Ticket Transcripts',
+              description: 'Transcripts are exported as HTML, plain text and JSON when a ticket is closed.',
+              fields: [
+                { name: 'Log Channel', value: channel ? `<#${channel.id}>` : 'Not posted', inline: true },
+                { name: 'DM Opener', value: config.dmTranscripts ? 'Yes' : 'No', inline: true }
+              ],
+              color: 0x5865F2
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `Ticket transcripts configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Ticket transcripts configured');
+          break;
+        }
+        
+        case 'stats': {
+          const range = interaction.options.getString('range') || 'week';
+          
+          await interaction.reply({
+            embeds: [buildTicketStatsEmbed(interaction.guild, range)],
+            ephemeral: true
+          });
+          break;
+        }
+        
+        case 'summary': {
+          if (!config) {
+            await interaction.reply({
+              content: 'Ticket system is not configured. Use `/ticket setup` first.',
+              ephemeral: true
+            });
+            return;
+          }
+          
           const channel = interaction.options.getChannel('channel');
-          const supportRole = interaction.options.getRole('support_role');
-          const category = interaction.options.getChannel('category');
           
-          // Save ticket configuration
-          ticketConfig.set(interaction.guild.id, {
-            channelId: channel.id,
-            supportRoleId: supportRole.id,
-            categoryId: category.id,
-            count: 0
+          config.reportChannelId = channel ? channel.id : null;
+          // The first summary goes out a week from now
+          config.lastReportAt = channel ? new Date().toISOString() : null;
+          await persistState();
+          
+          await interaction.reply({
+            content: channel
+              ? `🗓️ A weekly ticket summary will be posted in <#${channel.id}>.`
+              : '🗓️ Weekly ticket summaries turned off.',
+            ephemeral: true
           });
           
+          addLog('info', `Ticket summary channel ${channel ? `set to #${channel.name}` : 'cleared'} by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, `Ticket summary channel ${channel ? `set to #${channel.name}` : 'cleared'}`);
+          break;
+        }
+        
+        case 'limits': {
+          if (!config) {
+            await interaction.reply({
+              content: 'Ticket system is not configured. Use `/ticket setup` first.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const maxOpen = interaction.options.getInteger('max_open');
+          const cooldownMinutes = interaction.options.getInteger('cooldown_minutes');
+          const inactivityHours = interaction.options.getInteger('inactivity_hours');
+          const graceHours = interaction.options.getInteger('grace_hours');
+          
+          if (maxOpen !== null) config.maxOpenTickets = maxOpen;
+          if (cooldownMinutes !== null) config.cooldownMinutes = cooldownMinutes;
+          if (inactivityHours !== null) config.inactivityHours = inactivityHours;
+          if (graceHours !== null) config.inactivityGraceHours = graceHours;
+          await persistState();
+          
+          const currentMax = config.maxOpenTickets ?? TICKET_DEFAULT_MAX_OPEN;
+          const currentGrace = config.inactivityGraceHours ?? TICKET_DEFAULT_GRACE_HOURS;
+          
           await interaction.reply({
             embeds: [{
-              title: '✅ Ticket System Configured',
-              description: 'Ticket system has been set up successfully.',
+              title: '🎫 Ticket Limits',
               fields: [
-                { name: 'Panel Channel', value: `<#${channel.id}>`, inline: true },
-                { name: 'Support Role', value: `<@&${supportRole.id}>`, inline: true },
-                { name: 'Tickets Category', value: category.name, inline: true },
-                { name: 'Next Steps', value: 'Use `/ticket panel` to send the ticket creation panel.' }
+                { name: 'Open Tickets per Member', value: currentMax ? `${currentMax}` : 'No limit', inline: true },
+                { name: 'Cooldown', value: config.cooldownMinutes ? formatWait(config.cooldownMinutes * 60000) : 'None', inline: true },
+                {
+                  name: 'Inactivity Auto-Close',
+                  value: config.inactivityHours
+                    ? `Warn after ${config.inactivityHours}h, close ${currentGrace}h later`
+                    : 'Disabled',
+                  inline: true
+                }
               ],
-              color: 0x00FF00
+              color: 0x5865F2
             }],
             ephemeral: true
           });
           
-          addLog('info', `Ticket system configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          addLog('info', `Ticket limits configured by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          logConfigChange(interaction, 'Ticket limits configured');
           break;
         }
         
-        case 'panel': {
-          const config = ticketConfig.get(interaction.guild.id);
+        case 'claim': {
+          const error = await claimTicket(ticket, interaction.user);
           
-          if (!config) {
+          if (error) {
+            await interaction.reply({ content: error, ephemeral: true });
+            return;
+          }
+          
+          await interaction.reply(`🙋 This ticket has been claimed by <@${interaction.user.id}>.`);
+          break;
+        }
+        
+        case 'unclaim': {
+          if (!ticket.claimedBy) {
             await interaction.reply({
-              content: 'Ticket system is not configured. Use `/ticket setup` first.',
+              content: 'This ticket is not claimed.',
               ephemeral: true
             });
             return;
           }
           
-          const channel = interaction.guild.channels.cache.get(config.channelId);
-          
-          if (!channel || channel.type !== ChannelType.GuildText) {
+          // Only the claimer or someone who can manage channels can release a claim
+          if (ticket.claimedBy !== interaction.user.id &&
+              !interaction.memberPermissions.has(PermissionFlagsBits.ManageChannels)) {
             await interaction.reply({
-              content: 'The configured ticket channel no longer exists or is not a text channel.',
+              content: `Only <@${ticket.claimedBy}> can release this claim.`,
               ephemeral: true
             });
             return;
           }
           
-          const embed = new EmbedBuilder()
-            .setTitle('🎫 Support Tickets')
-            .setDescription('Click the button below to create a support ticket.')
-            .setColor('#5865F2')
-            .setFooter({ text: 'Your ticket will be created in a private channel.' });
+          ticket.claimedBy = null;
+          await persistState();
           
-          const row = new ActionRowBuilder()
-            .addComponents(
-              new ButtonBuilder()
-                .setCustomId('create_ticket')
-                .setLabel('Create Ticket')
-                .setStyle(ButtonStyle.Primary)
-                .setEmoji('🎫')
-            );
+          await interaction.reply('This ticket is no longer claimed.');
+          addLog('info', `Ticket #${ticket.number} unclaimed by ${interaction.user.tag}`);
+          logTicketEvent(interaction.guild, ticket, 'Unclaimed', interaction.user);
+          break;
+        }
+        
+        case 'add': {
+          const user = interaction.options.getUser('user');
+          
+          if (user.id === ticket.openerId || ticket.participants.includes(user.id)) {
+            await interaction.reply({
+              content: `<@${user.id}> already has access to this ticket.`,
+              ephemeral: true
+            });
+            return;
+          }
           
           try {
-            await channel.send({
-              embeds: [embed],
-              components: [row]
+            await grantTicketAccess(interaction.channel, ticket, user.id);
+          } catch (error) {
+            await interaction.reply({
+              content: `Failed to add <@${user.id}> to this ticket: ${error.message}`,
+              ephemeral: true
             });
-            
+            return;
+          }
+          
+          ticket.participants.push(user.id);
+          await persistState();
+          
+          await interaction.reply(`➕ Added <@${user.id}> to this ticket.`);
+          addLog('info', `${interaction.user.tag} added ${user.tag} to ticket #${ticket.number}`);
+          break;
+        }
+        
+        case 'remove': {
+          const user = interaction.options.getUser('user');
+          
+          if (user.id === ticket.openerId) {
             await interaction.reply({
-              content: `Ticket panel sent to <#${channel.id}>!`,
+              content: 'The ticket opener cannot be removed from their own ticket.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          if (!ticket.participants.includes(user.id)) {
+            await interaction.reply({
+              content: `<@${user.id}> was not added to this ticket.`,
               ephemeral: true
             });
+            return;
+          }
+          
+          try {
+            await revokeTicketAccess(interaction.channel, user.id);
           } catch (error) {
             await interaction.reply({
-              content: `Failed to send ticket panel: ${error.message}`,
+              content: `Failed to remove <@${user.id}> from this ticket: ${error.message}`,
               ephemeral: true
             });
+            return;
           }
+          
+          ticket.participants = ticket.participants.filter(id => id !== user.id);
+          await persistState();
+          
+          await interaction.reply(`➖ Removed <@${user.id}> from this ticket.`);
+          addLog('info', `${interaction.user.tag} removed ${user.tag} from ticket #${ticket.number}`);
           break;
         }
         
-        case 'disable': {
-          ticketConfig.delete(interaction.guild.id);
+        case 'rename': {
+          const name = interaction.options.getString('name');
           
-          await interaction.reply({
-            embeds: [{
-              title: '❌ Ticket System Disabled',
-              description: 'Ticket system has been disabled.',
-              color: 0xFF0000
-            }],
-            ephemeral: true
-          });
+          // Renames are heavily rate limited by Discord, so reply before waiting on it
+          await interaction.deferReply();
           
-          addLog('info', `Ticket system disabled by ${interaction.user.tag} in server ${interaction.guild.name}`);
+          try {
+            await interaction.channel.setName(name);
+            await interaction.editReply(`✏️ Ticket renamed to **${interaction.channel.name}**.`);
+            addLog('info', `${interaction.user.tag} renamed ticket #${ticket.number} to ${interaction.channel.name}`);
+          } catch (error) {
+            await interaction.editReply(`Failed to rename the ticket: ${error.message}`);
+          }
+          break;
+        }
+        
+        case 'priority': {
+          const level = interaction.options.getString('level');
+          ticket.priority = level;
+          await persistState();
+          
+          await interaction.reply(`Ticket priority set to **${TICKET_PRIORITIES[level]}**.`);
+          addLog('info', `${interaction.user.tag} set ticket #${ticket.number} priority to ${level}`);
           break;
         }
       }
@@ -1225,6 +8971,27 @@ const commands = [
               .setDescription('Channel to send the embed to')
               .addChannelTypes(ChannelType.GuildText)
               .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('save')
+          .setDescription('Save your last created embed under a name (for /dm-role)')
+          .addStringOption(option =>
+            option.setName('name')
+              .setDescription('Name to save the embed as')
+              .setMaxLength(32)
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List saved embeds'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('delete')
+          .setDescription('Delete a saved embed')
+          .addStringOption(option =>
+            option.setName('name')
+              .setDescription('Name of the saved embed')
+              .setRequired(true)))
       .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
     async execute(interaction) {
       const subcommand = interaction.options.getSubcommand();
@@ -1280,16 +9047,344 @@ const commands = [
         const imageRow = new ActionRowBuilder().addComponents(imageInput);
         const footerRow = new ActionRowBuilder().addComponents(footerInput);
         
-        modal.addComponents(titleRow, descriptionRow, colorRow, imageRow, footerRow);
+        modal.addComponents(titleRow, descriptionRow, colorRow, imageRow, footerRow);
+        
+        await interaction.showModal(modal);
+      } else if (subcommand === 'send') {
+        // Send the embed to a specific channel
+        // This relies on temporary storage which will be handled in the modal submit interaction
+        await interaction.reply({
+          content: 'Please use the `/embed create` command first to create an embed.',
+          ephemeral: true
+        });
+      } else if (subcommand === 'save') {
+        const name = interaction.options.getString('name').trim().toLowerCase();
+        const embed = interaction.guild?.embedStore?.[interaction.user.id];
+        
+        if (!embed) {
+          await interaction.reply({
+            content: 'Please use the `/embed create` command first to create an embed.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        savedEmbeds.set(interaction.guild.id, {
+          ...savedEmbeds.get(interaction.guild.id),
+          [name]: embed.toJSON()
+        });
+        await persistState();
+        
+        await interaction.reply({
+          content: `Embed saved as \`${name}\`. Use it with \`/dm-role embed:${name}\`.`,
+          ephemeral: true
+        });
+        addLog('info', `${interaction.user.tag} saved embed "${name}" in ${interaction.guild.name}`);
+      } else if (subcommand === 'list') {
+        const names = Object.keys(savedEmbeds.get(interaction.guild?.id) || {});
+        
+        await interaction.reply({
+          content: names.length > 0
+            ? `Saved embeds: ${names.map(name => `\`${name}\``).join(', ')}`
+            : 'No embeds have been saved yet. Use `/embed create` and then `/embed save`.',
+          ephemeral: true
+        });
+      } else if (subcommand === 'delete') {
+        const name = interaction.options.getString('name').trim().toLowerCase();
+        const guildEmbeds = savedEmbeds.get(interaction.guild?.id);
+        
+        if (!guildEmbeds?.[name]) {
+          await interaction.reply({
+            content: `No saved embed named \`${name}\`.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        delete guildEmbeds[name];
+        await persistState();
+        
+        await interaction.reply({
+          content: `Deleted saved embed \`${name}\`.`,
+          ephemeral: true
+        });
+      }
+    }
+  },
+  // SCHEDULER
+  {
+    data: new SlashCommandBuilder()
+      .setName('schedule')
+      .setDescription('Schedule role DMs and embed announcements')
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('create')
+          .setDescription('Schedule a role DM or an embed post')
+          .addStringOption(option =>
+            option.setName('type')
+              .setDescription('What to send')
+              .setRequired(true)
+              .addChoices(
+                { name: 'Role DM', value: 'dm-role' },
+                { name: 'Embed (your last /embed create)', value: 'embed' }
+              ))
+          .addStringOption(option =>
+            option.setName('when')
+              .setDescription('"YYYY-MM-DD HH:mm" in the server timezone, or "in 30m" / "in 2h" / "in 1d"')
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('repeat')
+              .setDescription('Cron recurrence, e.g. "0 9 * * 1-5" (weekdays 9:00) or @daily')
+              .setRequired(false))
+          .addRoleOption(option =>
+            option.setName('role')
+              .setDescription('Role to DM (role DM only)')
+              .setRequired(false))
+          .addStringOption(option =>
+            option.setName('message')
+              .setDescription('The message to send (role DM only)')
+              .setRequired(false))
+          .addBooleanOption(option =>
+            option.setName('anonymous')
+              .setDescription('Send without sender info (role DM only)')
+              .setRequired(false))
+          .addChannelOption(option =>
+            option.setName('channel')
+              .setDescription('Channel to post the embed in (embed only)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('list')
+          .setDescription('List scheduled broadcasts in this server'))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('cancel')
+          .setDescription('Cancel a scheduled broadcast')
+          .addStringOption(option =>
+            option.setName('id')
+              .setDescription('Schedule ID')
+              .setRequired(true)))
+      .addSubcommand(subcommand =>
+        subcommand
+          .setName('timezone')
+          .setDescription('Set the timezone used for new schedules')
+          .addStringOption(option =>
+            option.setName('timezone')
+              .setDescription('IANA timezone, e.g. Europe/Berlin or America/New_York')
+              .setRequired(true)))
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+    async execute(interaction) {
+      if (!interaction.guild) {
+        await interaction.reply({
+          content: 'This command can only be used in a server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const subcommand = interaction.options.getSubcommand();
+      const timezone = getGuildTimezone(interaction.guild.id);
+      
+      switch (subcommand) {
+        case 'create': {
+          const type = interaction.options.getString('type');
+          const whenInput = interaction.options.getString('when');
+          const recurrence = interaction.options.getString('repeat')?.trim() || null;
+          let payload;
+          
+          if (!whenInput && !recurrence) {
+            await interaction.reply({
+              content: 'Provide a time with `when`, a recurrence with `repeat`, or both.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          if (type === 'dm-role') {
+            const role = interaction.options.getRole('role');
+            const message = interaction.options.getString('message');
+            
+            if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageRoles)) {
+              await interaction.reply({
+                content: 'You need the Manage Roles permission to schedule role DMs.',
+                ephemeral: true
+              });
+              return;
+            }
+            
+            if (!role || !message) {
+              await interaction.reply({
+                content: 'A role DM needs both the `role` and `message` options.',
+                ephemeral: true
+              });
+              return;
+            }
+            
+            payload = {
+              roleId: role.id,
+              message,
+              isAnonymous: interaction.options.getBoolean('anonymous') || false
+            };
+          } else {
+            const channel = interaction.options.getChannel('channel');
+            const embed = interaction.guild.embedStore?.[interaction.user.id];
+            
+            if (!channel) {
+              await interaction.reply({
+                content: 'An embed post needs the `channel` option.',
+                ephemeral: true
+              });
+              return;
+            }
+            
+            if (!embed) {
+              await interaction.reply({
+                content: 'Create the embed with `/embed create` first, then schedule it.',
+                ephemeral: true
+              });
+              return;
+            }
+            
+            payload = {
+              channelId: channel.id,
+              embed: embed.toJSON()
+            };
+          }
+          
+          let runAt;
+          try {
+            if (whenInput) {
+              runAt = parseScheduleTime(whenInput, timezone);
+              if (!runAt) {
+                throw new Error('Use `YYYY-MM-DD HH:mm` or a relative time like `in 2h`.');
+              }
+              if (runAt <= new Date()) {
+                throw new Error('That time is in the past.');
+              }
+            } else {
+              runAt = getNextCronRun(recurrence, new Date(), timezone);
+            }
+            
+            // Validate the recurrence even when a start time was given
+            if (recurrence) parseCron(recurrence);
+          } catch (error) {
+            await interaction.reply({
+              content: `❌ ${error.message}`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          const schedule = {
+            id: randomBytes(4).toString('hex'),
+            guildId: interaction.guild.id,
+            type,
+            payload,
+            runAt: runAt.toISOString(),
+            recurrence,
+            timezone,
+            status: 'active',
+            createdBy: interaction.user.id,
+            createdByTag: interaction.user.tag,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null
+          };
+          
+          schedules.set(schedule.id, schedule);
+          await persistState();
+          
+          await interaction.reply({
+            embeds: [{
+              title: '⏰ Broadcast Scheduled',
+              description: describeSchedule(schedule),
+              fields: [
+                { name: 'Timezone', value: timezone, inline: true }
+              ],
+              color: 0x00FF00
+            }],
+            ephemeral: true
+          });
+          
+          addLog('info', `${interaction.user.tag} scheduled ${type} ${schedule.id} in ${interaction.guild.name} for ${schedule.runAt}`);
+          break;
+        }
+        
+        case 'list': {
+          const guildSchedules = [...schedules.values()]
+            .filter(schedule => schedule.guildId === interaction.guild.id && schedule.status === 'active')
+            .sort((a, b) => a.runAt.localeCompare(b.runAt));
+          
+          if (guildSchedules.length === 0) {
+            await interaction.reply({
+              content: 'There are no scheduled broadcasts in this server.',
+              ephemeral: true
+            });
+            return;
+          }
+          
+          await interaction.reply({
+            embeds: [{
+              title: '⏰ Scheduled Broadcasts',
+              description: guildSchedules.slice(0, 20).map(describeSchedule).join('\n'),
+              color: 0x0099FF,
+              footer: { text: `Server timezone: ${timezone}` }
+            }],
+            ephemeral: true
+          });
+          break;
+        }
+        
+        case 'cancel': {
+          const id = interaction.options.getString('id').trim();
+          const schedule = schedules.get(id);
+          
+          if (!schedule || schedule.guildId !== interaction.guild.id) {
+            await interaction.reply({
+              content: `No schedule with ID \`${id}\` was found in this server.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          schedules.delete(id);
+          await persistState();
+          
+          await interaction.reply({
+            content: `Canceled schedule \`${id}\`.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `${interaction.user.tag} canceled schedule ${id} in ${interaction.guild.name}`);
+          break;
+        }
         
-        await interaction.showModal(modal);
-      } else if (subcommand === 'send') {
-        // Send the embed to a specific channel
-        // This relies on temporary storage which will be handled in the modal submit interaction
-        await interaction.reply({
-          content: 'Please use the `/embed create` command first to create an embed.',
-          ephemeral: true
-        });
+        case 'timezone': {
+          const newTimezone = interaction.options.getString('timezone').trim();
+          
+          if (!isValidTimezone(newTimezone)) {
+            await interaction.reply({
+              content: `\`${newTimezone}\` is not a valid timezone. Use a name like \`Europe/Berlin\` or \`America/New_York\`.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          guildSettings.set(interaction.guild.id, {
+            ...guildSettings.get(interaction.guild.id),
+            timezone: newTimezone
+          });
+          await persistState();
+          
+          await interaction.reply({
+            content: `Server timezone set to **${newTimezone}**. Existing schedules keep the timezone they were created with.`,
+            ephemeral: true
+          });
+          
+          addLog('info', `${interaction.user.tag} set the timezone of ${interaction.guild.name} to ${newTimezone}`);
+          logConfigChange(interaction, `Timezone set to ${newTimezone}`);
+          break;
+        }
       }
     }
   }
@@ -1314,9 +9409,41 @@ function getUptime(startTime) {
 }
 
 // When the client is ready
-client.once(Events.ClientReady, () => {
+client.once(Events.ClientReady, async () => {
+  try {
+    await loadState();
+  } catch (error) {
+    // Refuse to run on unreadable data rather than overwrite it with empty state
+    console.error(`ERROR: Failed to load bot data: ${error.message}`);
+    process.exit(1);
+  }
+  
   addLog('info', `Logged in as ${client.user.tag}`);
   
+  // Continue any DM campaigns that were interrupted by a restart
+  resumeInterruptedCampaigns();
+  
+  // Start running scheduled broadcasts
+  startScheduler();
+  
+  // Warn and auto-close inactive tickets
+  startTicketInactivityChecks();
+  
+  // Post weekly ticket summaries
+  startTicketReports();
+  
+  // Apply delayed auto-roles
+  startAutoRoles();
+  
+  // End raid lockdowns when their time is up
+  startLockdownChecks();
+  
+  // Lift temporary bans when they expire
+  startTempBanChecks();
+  
+  // Forget AutoMod flood history of members who went quiet
+  startAutomodHistorySweep();
+  
   // Register slash commands
   const commandsData = commands.map(command => command.data.toJSON());
   
@@ -1331,127 +9458,455 @@ client.once(Events.ClientReady, () => {
 
 // Guild Member Add Event for Welcome System
 client.on(Events.GuildMemberAdd, async (member) => {
-  const config = welcomeConfig.get(member.guild.id);
-  if (!config) return;
+  // Account age, raid and verification guards come first
+  let screening = 'allowed';
+  try {
+    screening = await screenNewMember(member);
+  } catch (error) {
+    addLog('error', `Failed to screen new member ${member.user.tag}: ${error.message}`);
+  }
+  if (screening === 'removed') return;
   
-  const channel = member.guild.channels.cache.get(config.channelId);
-  if (!channel || channel.type !== ChannelType.GuildText) return;
+  try {
+    await applyJoinRoles(member, screening === 'quarantined');
+  } catch (error) {
+    addLog('error', `Failed to apply auto-roles for ${member.user.tag}: ${error.message}`);
+  }
+  
+  // Members waiting for verification are welcomed once they pass
+  if (screening === 'quarantined') return;
+  
+  await greetMember(member);
+});
+
+// Guild Member Remove Event for goodbye messages
+client.on(Events.GuildMemberRemove, async (member) => {
+  pendingCaptchas.delete(`${member.guild.id}:${member.id}`);
+  
+  sendModLog(member.guild, 'memberLeaves', {
+    title: '📤 Member Left',
+    color: 0x808080,
+    target: member.user,
+    fields: [{
+      name: 'Joined',
+      value: member.joinedTimestamp ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : 'Unknown',
+      inline: true
+    }]
+  });
   
-  const welcomeMessage = config.message
-    .replace('{user}', `<@${member.id}>`)
-    .replace('{server}', member.guild.name);
+  const goodbye = welcomeConfig.get(member.guild.id)?.goodbye;
+  if (!goodbye) return;
   
   try {
-    await channel.send({
-      content: welcomeMessage,
-      allowedMentions: { users: [member.id] }
-    });
-    addLog('info', `Welcome message sent for ${member.user.tag} in ${member.guild.name}`);
+    await sendGoodbye(member, goodbye);
+    addLog('info', `Goodbye message sent for ${member.user.tag} in ${member.guild.name}`);
   } catch (error) {
-    addLog('error', `Failed to send welcome message for ${member.user.tag}: ${error.message}`);
+    addLog('error', `Failed to send goodbye message for ${member.user.tag}: ${error.message}`);
+  }
+});
+
+// Message Create Event for ticket activity tracking
+client.on(Events.MessageCreate, (message) => {
+  recordTicketActivity(message);
+  runAutomod(message);
+});
+
+// Message Update and Delete Events for the mod log. Edits of uncached messages
+// are skipped because their old content is unknown.
+client.on(Events.MessageUpdate, (oldMessage, newMessage) => {
+  if (!newMessage.guild || oldMessage.partial || newMessage.author?.bot) return;
+  if (oldMessage.content === newMessage.content) return;
+  if (newMessage.channelId === modLogConfig.get(newMessage.guild.id)?.channelId) return;
+  
+  sendModLog(newMessage.guild, 'messageEdits', {
+    title: '✏️ Message Edited',
+    color: 0xFFD700,
+    target: newMessage.author,
+    fields: [
+      { name: 'Channel', value: `<#${newMessage.channelId}> · [Jump](${newMessage.url})` },
+      { name: 'Before', value: oldMessage.content ? oldMessage.content.slice(0, 1024) : '*No text*' },
+      { name: 'After', value: newMessage.content ? newMessage.content.slice(0, 1024) : '*No text*' }
+    ]
+  });
+});
+
+client.on(Events.MessageDelete, (message) => {
+  if (!message.guild || message.author?.bot) return;
+  if (message.channelId === modLogConfig.get(message.guild.id)?.channelId) return;
+  
+  const content = message.partial
+    ? '*Not cached, content unknown*'
+    : message.content ? message.content.slice(0, 1024) : '*No text*';
+  
+  sendModLog(message.guild, 'messageDeletes', {
+    title: '🗑️ Message Deleted',
+    color: 0xFF0000,
+    target: message.author || 'Unknown (message was not cached)',
+    fields: [
+      { name: 'Channel', value: `<#${message.channelId}>` },
+      { name: 'Content', value: content },
+      ...(message.attachments?.size ? [{ name: 'Attachments', value: message.attachments.map(attachment => attachment.name).join(', ').slice(0, 1024) }] : [])
+    ]
+  });
+});
+
+// Message Reaction Events for reaction role menus
+client.on(Events.MessageReactionAdd, (reaction, user) => {
+  handleRoleMenuReaction(reaction, user, 'add');
+});
+
+client.on(Events.MessageReactionRemove, (reaction, user) => {
+  handleRoleMenuReaction(reaction, user, 'remove');
+});
+
+// Voice State Update Event for the music player's auto-disconnect
+client.on(Events.VoiceStateUpdate, (oldState, newState) => {
+  const player = musicPlayers.get(newState.guild.id);
+  if (!player || !player.voiceChannelId) return;
+  
+  // Only care about people joining or leaving the channel the bot is in
+  if (oldState.channelId === player.voiceChannelId || newState.channelId === player.voiceChannelId) {
+    player.checkChannelEmpty();
   }
 });
 
 // Handle Button Interactions (for ticket system, etc.)
 client.on(Events.InteractionCreate, async (interaction) => {
   if (interaction.isButton()) {
-    if (interaction.customId === 'create_ticket') {
-      // Handle ticket creation
+    if (interaction.customId === 'create_ticket' || interaction.customId.startsWith('create_ticket_')) {
+      // Handle ticket creation from the panel; typed buttons carry the type key
+      const typeKey = interaction.customId.replace(/^create_ticket_?/, '') || null;
+      await startTicketCreation(interaction, typeKey);
+    } else if (interaction.customId.startsWith('close_ticket_')) {
+      // Handle ticket closing
       if (!interaction.guild) return;
       
       const config = ticketConfig.get(interaction.guild.id);
-      if (!config) {
+      const ticket = tickets.get(interaction.channel.id);
+      const isStaff = isTicketStaff(interaction.member, config, ticket);
+      
+      if (!ticket) {
+        // Tickets opened before tickets were tracked can only be deleted by staff
+        if (!isStaff) {
+          await interaction.reply({
+            content: 'Only the support team can close this ticket.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        // Save the conversation before the channel is gone
+        await interaction.deferReply();
+        const { failures } = await exportTicketTranscript(interaction.channel, null, interaction.user);
+        
+        await interaction.editReply({
+          content: failures.length ? describeTranscriptFailures(failures) : undefined,
+          embeds: [new EmbedBuilder()
+            .setTitle('Ticket Closed')
+            .setDescription(`Ticket was closed by ${interaction.user.tag}.`)
+            .setColor('#FF0000')
+            .setTimestamp()]
+        });
+        
+        setTimeout(async () => {
+          try {
+            await interaction.channel.delete();
+            addLog('info', `Ticket closed and deleted by ${interaction.user.tag}`);
+          } catch (error) {
+            addLog('error', `Failed to delete ticket channel: ${error.message}`);
+          }
+        }, 5000);
+        return;
+      }
+      
+      if (interaction.user.id !== ticket.openerId && !isStaff) {
         await interaction.reply({
-          content: 'Ticket system is not properly configured.',
+          content: 'Only the ticket opener or the support team can close this ticket.',
           ephemeral: true
         });
         return;
       }
       
-      // Increment ticket count
-      config.count++;
-      ticketConfig.set(interaction.guild.id, config);
+      if (ticket.status === 'closed') {
+        await interaction.reply({
+          content: 'This ticket is already closed.',
+          ephemeral: true
+        });
+        return;
+      }
       
-      // Create ticket channel
-      try {
-        const ticketChannel = await interaction.guild.channels.create({
-          name: `ticket-${config.count}`,
-          type: ChannelType.GuildText,
-          parent: config.categoryId,
-          permissionOverwrites: [
-            {
-              id: interaction.guild.id,
-              deny: [PermissionFlagsBits.ViewChannel]
-            },
-            {
-              id: interaction.user.id,
-              allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
-            },
-            {
-              id: config.supportRoleId,
-              allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages]
-            }
-          ]
+      // Export first so problems are reported before the ticket changes state
+      await interaction.deferReply();
+      const { failures } = await exportTicketTranscript(interaction.channel, ticket, interaction.user);
+      
+      await closeTicket(interaction.channel, ticket, interaction.user);
+      
+      const embed = new EmbedBuilder()
+        .setTitle('Ticket Closed')
+        .setDescription(`Ticket was closed by ${interaction.user.tag}. The support team can reopen or delete it.`)
+        .setColor('#FF0000')
+        .setTimestamp();
+      
+      await interaction.editReply({
+        content: failures.length ? describeTranscriptFailures(failures) : undefined,
+        embeds: [embed],
+        components: [buildTicketControls(ticket)]
+      });
+    } else if (['ticket_claim', 'ticket_reopen', 'ticket_delete'].includes(interaction.customId)) {
+      // Handle staff-only ticket buttons
+      if (!interaction.guild) return;
+      
+      const config = ticketConfig.get(interaction.guild.id);
+      const ticket = tickets.get(interaction.channel.id);
+      
+      if (!ticket) {
+        await interaction.reply({
+          content: 'This ticket is no longer tracked.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      if (!isTicketStaff(interaction.member, config, ticket)) {
+        await interaction.reply({
+          content: 'Only the support team can use this button.',
+          ephemeral: true
         });
+        return;
+      }
+      
+      if (interaction.customId === 'ticket_claim') {
+        const error = await claimTicket(ticket, interaction.user);
         
-        // Send initial message in ticket channel
-        const embed = new EmbedBuilder()
-          .setTitle(`Ticket #${config.count}`)
-          .setDescription(`Ticket created by ${interaction.user.tag}. Support team will be with you shortly.`)
-          .setColor('#5865F2')
-          .setTimestamp();
+        if (error) {
+          await interaction.reply({ content: error, ephemeral: true });
+          return;
+        }
         
-        const row = new ActionRowBuilder()
-          .addComponents(
-            new ButtonBuilder()
-              .setCustomId(`close_ticket_${config.count}`)
-              .setLabel('Close Ticket')
-              .setStyle(ButtonStyle.Danger)
-          );
+        await interaction.reply(`🙋 This ticket has been claimed by <@${interaction.user.id}>.`);
+      } else if (interaction.customId === 'ticket_reopen') {
+        if (ticket.status !== 'closed') {
+          await interaction.reply({
+            content: 'This ticket is already open.',
+            ephemeral: true
+          });
+          return;
+        }
         
-        await ticketChannel.send({
-          content: `<@${interaction.user.id}> <@&${config.supportRoleId}>`,
-          embeds: [embed],
-          components: [row]
+        await reopenTicket(interaction.channel, ticket, interaction.user);
+        
+        await interaction.update({ components: [] });
+        await interaction.followUp({
+          embeds: [new EmbedBuilder()
+            .setTitle('Ticket Reopened')
+            .setDescription(`Ticket was reopened by ${interaction.user.tag}.`)
+            .setColor('#00FF00')
+            .setTimestamp()],
+          components: [buildTicketControls(ticket)]
+        });
+      } else {
+        await interaction.update({ components: [] });
+        await interaction.followUp({
+          embeds: [new EmbedBuilder()
+            .setTitle('Ticket Deleted')
+            .setDescription(`This channel will be deleted in 5 seconds (requested by ${interaction.user.tag}).`)
+            .setColor('#FF0000')
+            .setTimestamp()]
         });
         
+        await deleteTicket(interaction.channel, ticket, interaction.user);
+      }
+    } else if (interaction.customId.startsWith('rolemenu_')) {
+      // Handle role menu buttons: rolemenu_<menuId>_<roleId>
+      if (!interaction.guild) return;
+      
+      const [, menuId, roleId] = interaction.customId.split('_');
+      const menu = findRoleMenu(interaction.guild.id, menuId);
+      
+      if (!menu) {
         await interaction.reply({
-          content: `Your ticket has been created: <#${ticketChannel.id}>`,
+          content: 'This role menu no longer exists.',
           ephemeral: true
         });
-        
-        addLog('info', `Ticket #${config.count} created by ${interaction.user.tag} in ${interaction.guild.name}`);
+        return;
+      }
+      
+      try {
+        const result = await applyRoleMenu(interaction.member, menu, 'click', [roleId]);
+        await interaction.reply({ content: formatRoleMenuResult(result), ephemeral: true });
       } catch (error) {
+        addLog('error', `Role menu ${menu.id} failed for ${interaction.user.tag}: ${error.message}`);
         await interaction.reply({
-          content: `Failed to create ticket: ${error.message}`,
+          content: `Failed to update your roles: ${error.message}`,
           ephemeral: true
         });
-        addLog('error', `Failed to create ticket for ${interaction.user.tag}: ${error.message}`);
       }
-    } else if (interaction.customId.startsWith('close_ticket_')) {
-      // Handle ticket closing
+    } else if (interaction.customId === 'verify_start') {
+      // Handle the verification button
       if (!interaction.guild) return;
       
-      const embed = new EmbedBuilder()
-        .setTitle('Ticket Closed')
-        .setDescription(`Ticket was closed by ${interaction.user.tag}.`)
-        .setColor('#FF0000')
-        .setTimestamp();
+      const config = verificationConfig.get(interaction.guild.id);
+      
+      if (!config?.enabled) {
+        await interaction.reply({
+          content: 'Verification is not active on this server.',
+          ephemeral: true
+        });
+        return;
+      }
       
-      await interaction.reply({ embeds: [embed] });
+      if (!interaction.member.roles.cache.has(config.unverifiedRoleId)) {
+        await interaction.reply({
+          content: 'You are already verified.',
+          ephemeral: true
+        });
+        return;
+      }
       
-      // Delay channel deletion by 5 seconds to allow users to see the message
-      setTimeout(async () => {
-        try {
-          await interaction.channel.delete();
-          addLog('info', `Ticket closed and deleted by ${interaction.user.tag}`);
-        } catch (error) {
-          addLog('error', `Failed to delete ticket channel: ${error.message}`);
-        }
-      }, 5000);
+      if (config.challenge !== 'button') {
+        await interaction.showModal(startCaptcha(interaction.member, config.challenge));
+        return;
+      }
+      
+      try {
+        await interaction.deferReply({ ephemeral: true });
+        await completeVerification(interaction.member, config);
+        await interaction.editReply('✅ You are verified. Welcome!');
+      } catch (error) {
+        addLog('error', `Failed to verify ${interaction.user.tag}: ${error.message}`);
+        await interaction.editReply(`Something went wrong while verifying you: ${error.message}`);
+      }
+    } else if (interaction.customId === 'rules_accept') {
+      // Handle the rules gate button
+      if (!interaction.guild) return;
+      
+      try {
+        const message = await acceptRules(interaction.member);
+        await interaction.reply({ content: message, ephemeral: true });
+      } catch (error) {
+        addLog('error', `Failed to apply rules gate for ${interaction.user.tag}: ${error.message}`);
+        await interaction.reply({
+          content: `Something went wrong while giving you access: ${error.message}`,
+          ephemeral: true
+        });
+      }
+    } else if (interaction.customId.startsWith('dm_unsubscribe_')) {
+      // Handle the unsubscribe button on broadcast DMs (usually clicked in DMs)
+      const guildId = interaction.customId.replace('dm_unsubscribe_', '');
+      const guild = client.guilds.cache.get(guildId);
+      const guildName = guild ? guild.name : 'this server';
+      
+      if (!isOptedOutOfDms(guildId, interaction.user.id)) {
+        await setDmOptOut(guildId, interaction.user.id, true);
+        addLog('info', `${interaction.user.tag} unsubscribed from broadcasts in ${guildName}`);
+      }
+      
+      await interaction.reply({
+        content: `🔕 You won't receive broadcast DMs from **${guildName}** anymore. Use \`/dm-preferences opt-in\` in the server to undo this.`,
+        ephemeral: true
+      });
+    } else if (interaction.customId.startsWith('music_queue_')) {
+      // Handle music queue pagination
+      const player = interaction.guild ? musicPlayers.get(interaction.guild.id) : null;
+      
+      if (!player) {
+        await interaction.update({
+          content: 'Nothing is playing right now.',
+          embeds: [],
+          components: []
+        });
+        return;
+      }
+      
+      const page = parseInt(interaction.customId.replace('music_queue_', ''), 10) || 1;
+      await interaction.update(player.buildQueueMessage(page));
+    }
+  } else if (interaction.isStringSelectMenu()) {
+    if (interaction.customId === 'create_ticket_select') {
+      // Handle ticket creation from a select-menu panel
+      await startTicketCreation(interaction, interaction.values[0]);
+      
+      // Re-send the panel's components so the menu resets and the same type can be picked again
+      await interaction.message.edit({ components: interaction.message.components }).catch(() => {});
+    } else if (interaction.customId.startsWith('rolemenu_')) {
+      // Handle role menu selects: each chosen role is toggled for the member
+      if (!interaction.guild) return;
+      
+      const menu = findRoleMenu(interaction.guild.id, interaction.customId.replace('rolemenu_', ''));
+      
+      if (!menu) {
+        await interaction.reply({
+          content: 'This role menu no longer exists.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      try {
+        const result = await applyRoleMenu(interaction.member, menu, 'select', interaction.values);
+        await interaction.reply({ content: formatRoleMenuResult(result), ephemeral: true });
+        // Reset the menu so the same roles can be picked again to remove them
+        await interaction.message.edit({ components: interaction.message.components }).catch(() => {});
+      } catch (error) {
+        addLog('error', `Role menu ${menu.id} failed for ${interaction.user.tag}: ${error.message}`);
+        await interaction.reply({
+          content: `Failed to update your roles: ${error.message}`,
+          ephemeral: true
+        });
+      }
     }
   } else if (interaction.isModalSubmit()) {
-    if (interaction.customId === 'embed_creator_modal') {
+    if (interaction.customId === 'verify_captcha') {
+      // Handle a captcha answer
+      if (!interaction.guild) return;
+      
+      const config = verificationConfig.get(interaction.guild.id);
+      if (!config?.enabled) {
+        await interaction.reply({
+          content: 'Verification is not active on this server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      if (!checkCaptcha(interaction.member, interaction.fields.getTextInputValue('verify_answer'))) {
+        await interaction.reply({
+          content: '❌ That answer is wrong or the captcha expired. Click **Verify** to try again.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      try {
+        await interaction.deferReply({ ephemeral: true });
+        await completeVerification(interaction.member, config);
+        await interaction.editReply('✅ You are verified. Welcome!');
+      } catch (error) {
+        addLog('error', `Failed to verify ${interaction.user.tag}: ${error.message}`);
+        await interaction.editReply(`Something went wrong while verifying you: ${error.message}`);
+      }
+    } else if (interaction.customId.startsWith('ticket_form_')) {
+      // Handle a submitted ticket intake form
+      if (!interaction.guild) return;
+      
+      const config = ticketConfig.get(interaction.guild.id);
+      const type = getTicketType(config, interaction.customId.replace('ticket_form_', ''));
+      
+      if (!type) {
+        await interaction.reply({
+          content: 'This ticket type is no longer available.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      const answers = type.questions.map((question, index) => ({
+        question,
+        answer: interaction.fields.getTextInputValue(`ticket_q_${index}`)
+      }));
+      
+      await createTicket(interaction, config, type, answers);
+    } else if (interaction.customId === 'embed_creator_modal') {
       // Handle embed creation from modal
       const title = interaction.fields.getTextInputValue('embed_title');
       const description = interaction.fields.getTextInputValue('embed_description');
@@ -0,0 +1,227 @@
+// Music building blocks that don't need a Discord connection: audio sources,
+// the queue and duration formatting. index.js wires them into the per-guild
+// player; tests import them directly.
+//
+// Audio sources turn a /music play query into a track and open an audio stream
+// for it. A source implements canHandle(query), resolve(query) and
+// createStream(track), so new sources (or a local test fixture) can be plugged
+// into the player without touching it.
+import { resolve as resolvePath, basename, extname, sep } from 'path';
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+import fs from 'fs/promises';
+
+export const QUEUE_PAGE_SIZE = 10;
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), CGNAT and other reserved
+// ranges a user-supplied link must not reach
+const blockedAddresses = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = isIP(address);
+  if (!family) return false;
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Resolve the host and refuse it if any of its addresses is not public
+async function assertPublicHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(hostname)
+    ? [{ address: hostname }]
+    : await lookup(hostname, { all: true }).catch(() => {
+      throw new Error(`Could not resolve ${hostname}`);
+    });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error('Links to local or private network addresses cannot be played.');
+  }
+}
+
+// Plays audio files from the local music folder
+export class LocalFileSource {
+  constructor(baseDir) {
+    this.baseDir = resolvePath(baseDir);
+  }
+
+  canHandle(query) {
+    return !/^https?:\/\//i.test(query);
+  }
+
+  async resolve(query) {
+    const filePath = resolvePath(this.baseDir, query);
+
+    // Don't allow queries like ../../.env to escape the music folder
+    if (!filePath.startsWith(this.baseDir + sep)) {
+      throw new Error('Only files inside the music folder can be played.');
+    }
+
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      throw new Error(`No file named "${query}" was found in the music folder.`);
+    }
+
+    return {
+      title: basename(filePath, extname(filePath)),
+      source: 'Local file',
+      location: filePath
+    };
+  }
+
+  createStream(track) {
+    return createReadStream(track.location);
+  }
+}
+
+// Plays direct links to audio files (mp3, ogg, wav, etc.) on public hosts
+export class HttpAudioSource {
+  canHandle(query) {
+    return /^https?:\/\//i.test(query);
+  }
+
+  async resolve(query) {
+    let url;
+    try {
+      url = new URL(query);
+    } catch (error) {
+      throw new Error('That is not a valid URL.');
+    }
+
+    let fileName = url.pathname.split('/').pop() || '';
+    try {
+      fileName = decodeURIComponent(fileName);
+    } catch {
+      // Malformed escapes like %E0%A4%A, keep the raw name
+    }
+
+    return {
+      title: fileName ? basename(fileName, extname(fileName)) : url.hostname,
+      source: 'Direct link',
+      location: url.href
+    };
+  }
+
+  // Redirects are followed by hand so every hop is checked. A host that
+  // changes its DNS answer between the check and the request can still slip
+  // through; run the bot behind an egress firewall if that matters.
+  async createStream(track) {
+    let url = new URL(track.location);
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('Only http and https links can be played.');
+      }
+      await assertPublicHost(url);
+
+      response = await fetch(url, { redirect: 'manual' });
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) break;
+
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error('The link redirects too many times');
+      }
+      url = new URL(location, url);
+    }
+
+    if (!response.ok || !response.body) {
+      throw new Error(`The link returned HTTP ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.startsWith('text/')) {
+      throw new Error('The link points to a web page, not an audio file');
+    }
+
+    return Readable.fromWeb(response.body);
+  }
+}
+
+// Format milliseconds as m:ss or h:mm:ss
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const hours = Math.floor(totalSeconds / 3600);
+
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+  return `${minutes}:${seconds}`;
+}
+
+// Upcoming tracks plus the one currently playing
+export class MusicQueue {
+  constructor() {
+    this.tracks = [];
+    this.current = null;
+    this.loopMode = 'off'; // off, track or queue
+  }
+
+  add(track) {
+    this.tracks.push(track);
+    return this.tracks.length;
+  }
+
+  // Move on to the next track, honoring the loop mode. Skipping always
+  // leaves the current track, even when looping a single track.
+  next({ skipping = false } = {}) {
+    if (this.current && this.loopMode === 'track' && !skipping) {
+      return this.current;
+    }
+
+    if (this.current && this.loopMode === 'queue') {
+      this.tracks.push(this.current);
+    }
+
+    this.current = this.tracks.shift() || null;
+    return this.current;
+  }
+
+  shuffle() {
+    for (let i = this.tracks.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [this.tracks[i], this.tracks[j]] = [this.tracks[j], this.tracks[i]];
+    }
+  }
+
+  clear() {
+    this.tracks = [];
+    this.current = null;
+  }
+
+  get pageCount() {
+    return Math.max(1, Math.ceil(this.tracks.length / QUEUE_PAGE_SIZE));
+  }
+
+  getPage(page) {
+    const start = (page - 1) * QUEUE_PAGE_SIZE;
+    return this.tracks.slice(start, start + QUEUE_PAGE_SIZE);
+  }
+}
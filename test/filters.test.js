@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileSafeRegex,
+  testSafeRegex,
+  matchesPurgeFilters,
+  MAX_REGEX_INPUT_LENGTH
+} from '../filters.js';
+
+function fakeMessage(content, { authorId = 'u1', bot = false } = {}) {
+  return { content, author: { id: authorId, bot }, attachments: { size: 0 }, embeds: [] };
+}
+
+test('compileSafeRegex accepts ordinary AutoMod patterns', () => {
+  for (const pattern of [
+    'free\\s*nitro',
+    'disc[o0]rd\\.gift',
+    '(free|cheap) (nitro|gift|steam)',
+    'colou?r',
+    '\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}'
+  ]) {
+    assert.ok(compileSafeRegex(pattern, 'i') instanceof RegExp, pattern);
+  }
+});
+
+test('compileSafeRegex refuses patterns that backtrack badly', () => {
+  assert.throws(() => compileSafeRegex('.*a.*a.*a.*a.*a.*x', 'i'), /one unbounded repeat/);
+  assert.throws(() => compileSafeRegex('(a+)+$', 'i'), /Repeating a group/);
+  assert.throws(() => compileSafeRegex('(a|aa)*', 'i'), /Repeating a group/);
+  assert.throws(() => compileSafeRegex('^(a?){25}', 'i'), /Repeating a group/);
+  assert.throws(() => compileSafeRegex('.*a?a?a?a?x', 'i'), /too many optional parts/);
+  assert.throws(() => compileSafeRegex('(a)\\1', 'i'), /Backreferences/);
+  assert.throws(() => compileSafeRegex('a'.repeat(201), 'i'), /at most 200 characters/);
+  assert.throws(() => compileSafeRegex('(', 'i'), SyntaxError);
+});
+
+test('testSafeRegex only looks at the start of long messages', () => {
+  const regex = compileSafeRegex('nitro', 'i');
+  assert.equal(testSafeRegex(regex, 'free NITRO here'), true);
+  assert.equal(testSafeRegex(regex, `${'a'.repeat(MAX_REGEX_INPUT_LENGTH)}nitro`), false);
+});
+
+test('/purge refuses the same slow regexes and matches quickly on long messages', () => {
+  assert.throws(() => compileSafeRegex('.*a.*a.*a.*a.*a.*x', 'i'), /one unbounded repeat/);
+
+  const filters = { regex: compileSafeRegex('.*a?a?a?x', 'i') };
+  const started = Date.now();
+  for (let i = 0; i < 20; i++) {
+    assert.equal(matchesPurgeFilters(fakeMessage('a'.repeat(4000)), filters), false);
+  }
+  assert.ok(Date.now() - started < 2000);
+
+  assert.equal(matchesPurgeFilters(fakeMessage('spam x'), filters), true);
+});
+
+test('matchesPurgeFilters combines the filters', () => {
+  const filters = { user: { id: 'u1' }, contains: 'hello', has: 'links' };
+  assert.equal(matchesPurgeFilters(fakeMessage('Hello https://example.com'), filters), true);
+  assert.equal(matchesPurgeFilters(fakeMessage('Hello there'), filters), false);
+  assert.equal(matchesPurgeFilters(fakeMessage('Hello https://example.com', { authorId: 'u2' }), filters), false);
+  assert.equal(matchesPurgeFilters(fakeMessage('hi', { bot: false }), { botsOnly: true }), false);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readFile } from 'fs/promises';
+import {
+  LocalFileSource,
+  HttpAudioSource,
+  MusicQueue,
+  formatDuration,
+  isPublicAddress
+} from '../music.js';
+
+const fixturesDir = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+test('LocalFileSource resolves and streams the fixture file', async () => {
+  const source = new LocalFileSource(fixturesDir);
+  assert.equal(source.canHandle('tone.wav'), true);
+  assert.equal(source.canHandle('https://example.com/tone.wav'), false);
+
+  const track = await source.resolve('tone.wav');
+  assert.equal(track.title, 'tone');
+  assert.equal(track.source, 'Local file');
+
+  const data = await readStream(source.createStream(track));
+  assert.deepEqual(data, await readFile(join(fixturesDir, 'tone.wav')));
+  assert.equal(data.subarray(0, 4).toString(), 'RIFF');
+});
+
+test('LocalFileSource rejects missing files and paths outside its folder', async () => {
+  const source = new LocalFileSource(fixturesDir);
+  await assert.rejects(source.resolve('missing.mp3'), /No file named/);
+  await assert.rejects(source.resolve('../music.test.js'), /inside the music folder/);
+});
+
+test('HttpAudioSource names tracks after the file, even with malformed escapes', async () => {
+  const source = new HttpAudioSource();
+  assert.equal((await source.resolve('https://example.com/a/My%20Song.mp3')).title, 'My Song');
+  assert.equal((await source.resolve('https://example.com/bad%E0%A4%A.mp3')).title, 'bad%E0%A4%A');
+  await assert.rejects(source.resolve('http://'), /not a valid URL/);
+});
+
+test('HttpAudioSource refuses local and private addresses', async () => {
+  const source = new HttpAudioSource();
+  for (const url of [
+    'http://127.0.0.1/a.mp3',
+    'http://localhost/a.mp3',
+    'http://169.254.169.254/latest/meta-data',
+    'http://10.1.2.3/a.mp3',
+    'http://[::1]/a.mp3',
+    'http://[::ffff:192.168.0.1]/a.mp3'
+  ]) {
+    await assert.rejects(source.createStream({ location: url }), /private network/, url);
+  }
+});
+
+test('isPublicAddress tells public addresses from reserved ones', () => {
+  assert.equal(isPublicAddress('8.8.8.8'), true);
+  assert.equal(isPublicAddress('2606:4700:4700::1111'), true);
+  assert.equal(isPublicAddress('172.20.0.1'), false);
+  assert.equal(isPublicAddress('fd00::1'), false);
+  assert.equal(isPublicAddress('not an ip'), false);
+});
+
+test('MusicQueue honors loop modes and skipping', () => {
+  const queue = new MusicQueue();
+  queue.add({ title: 'a' });
+  queue.add({ title: 'b' });
+  queue.add({ title: 'c' });
+
+  assert.equal(queue.next().title, 'a');
+  queue.loopMode = 'track';
+  assert.equal(queue.next().title, 'a');
+  assert.equal(queue.next({ skipping: true }).title, 'b');
+
+  queue.loopMode = 'queue';
+  assert.equal(queue.next().title, 'c');
+  assert.equal(queue.next().title, 'b');
+  assert.equal(queue.next().title, 'c');
+
+  queue.loopMode = 'off';
+  queue.clear();
+  assert.equal(queue.next(), null);
+});
+
+test('MusicQueue pages through upcoming tracks', () => {
+  const queue = new MusicQueue();
+  for (let i = 1; i <= 25; i++) queue.add({ title: `${i}` });
+
+  assert.equal(queue.pageCount, 3);
+  assert.equal(queue.getPage(3).length, 5);
+  assert.equal(queue.getPage(2)[0].title, '11');
+});
+
+test('formatDuration', () => {
+  assert.equal(formatDuration(65000), '1:05');
+  assert.equal(formatDuration(3725000), '1:02:05');
+});